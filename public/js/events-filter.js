@@ -3,6 +3,7 @@ function initEventSearch() {
   
   const searchInput = document.getElementById('event-search');
   const cityFilter = document.getElementById('cityFilter');
+  const communityFilter = document.getElementById('communityFilter');
   const clearFiltersBtn = document.getElementById('clear-filters');
   const clearAllFiltersBtn = document.getElementById('clearAllFilters');
   const resultsCount = document.getElementById('results-count');
@@ -28,6 +29,8 @@ function initEventSearch() {
       location: (card.dataset.eventLocation || '').toLowerCase(),
       status: card.dataset.eventStatus || 'ended',
       cities: (card.dataset.eventCities || '').toLowerCase(),
+      mode: card.dataset.eventMode || 'offline',
+      communities: (card.dataset.eventCommunities || '').split(',').filter(Boolean),
       tags: (card.dataset.eventTags || '').toLowerCase(),
       time: (card.dataset.eventTime || '').toLowerCase(),
       formattedDate: (card.dataset.eventFormattedDate || '').toLowerCase(),
@@ -40,6 +43,7 @@ function initEventSearch() {
   const urlParams = new URLSearchParams(window.location.search);
   const searchQuery = urlParams.get('q') || '';
   const city = urlParams.get('city') || '';
+  const community = urlParams.get('community') || '';
   const pageFromUrl = parseInt(urlParams.get('page') || '1');
 
   if (searchInput && searchQuery) {
@@ -48,10 +52,14 @@ function initEventSearch() {
   if (cityFilter && city) {
     cityFilter.value = city;
   }
+  if (communityFilter && community) {
+    communityFilter.value = community;
+  }
 
   function filterEvents() {
     const searchTerm = searchInput?.value.toLowerCase().trim() || '';
     const cityValue = cityFilter?.value || '';
+    const communityValue = communityFilter?.value || '';
 
     filteredEvents = allEventsData.filter(function(event) {
       /* Search matching */
@@ -73,15 +81,21 @@ function initEventSearch() {
 
       /* City matching */
       let matchesCity = true;
-      if (cityValue) {
+      if (cityValue === 'online') {
+        /* The online channel lists online and hybrid events */
+        matchesCity = event.mode !== 'offline';
+      } else if (cityValue) {
         matchesCity = event.cities.includes(cityValue.toLowerCase());
       }
 
-      return matchesSearch && matchesCity;
+      /* Specialized community matching */
+      const matchesCommunity = !communityValue || event.communities.includes(communityValue);
+
+      return matchesSearch && matchesCity && matchesCommunity;
     });
 
     /* Reset to page 1 when filtering changes */
-    const hasFilters = searchTerm || cityValue;
+    const hasFilters = searchTerm || cityValue || communityValue;
     if (hasFilters) {
       currentPage = 1;
     } else {
@@ -152,7 +166,8 @@ function initEventSearch() {
   function updateClearButtons() {
     const searchTerm = searchInput?.value.toLowerCase().trim() || '';
     const cityValue = cityFilter?.value || '';
-    const hasFilters = searchTerm || cityValue;
+    const communityValue = communityFilter?.value || '';
+    const hasFilters = searchTerm || cityValue || communityValue;
     
     if (clearFiltersBtn) {
       clearFiltersBtn.classList.toggle('hidden', !hasFilters);
@@ -252,11 +267,13 @@ function initEventSearch() {
   function updateURL() {
     const searchTerm = searchInput?.value.trim() || '';
     const cityValue = cityFilter?.value || '';
+    const communityValue = communityFilter?.value || '';
     
     const params = new URLSearchParams();
     
     if (searchTerm) params.set('q', searchTerm);
     if (cityValue) params.set('city', cityValue);
+    if (communityValue) params.set('community', communityValue);
     if (currentPage > 1) params.set('page', currentPage.toString());
     
     const newUrl = window.location.pathname + (params.toString() ? '?' + params.toString() : '');
@@ -266,6 +283,7 @@ function initEventSearch() {
   function clearFilters() {
     if (searchInput) searchInput.value = '';
     if (cityFilter) cityFilter.value = '';
+    if (communityFilter) communityFilter.value = '';
     currentPage = 1;
     
     filterEvents();
@@ -286,6 +304,10 @@ function initEventSearch() {
     cityFilter.addEventListener('change', filterEvents);
   }
 
+  if (communityFilter) {
+    communityFilter.addEventListener('change', filterEvents);
+  }
+
   if (clearFiltersBtn) {
     clearFiltersBtn.addEventListener('click', clearFilters);
   }
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+
+/**
+ * City Mapping Audit
+ * Walks through the processed events whose location does not settle their city: no
+ * candidate, a best match below the threshold, or two cities too close to call. For
+ * each event the operator accepts the current mapping, picks a candidate or another
+ * city, or marks the event as online. Decisions are saved to
+ * data/events/city-mapping-decisions.json and applied by process-events.js for as long
+ * as the event keeps the location that was reviewed.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createInterface } from 'readline/promises';
+import { createCityMappingEngine, REVIEW_THRESHOLD } from './utils/cityMapping.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+const processedEventsPath = join(rootDir, 'src', 'data', 'events', 'processed-events.json');
+const citiesPath = join(rootDir, 'src', 'data', 'cities.json');
+const decisionsPath = join(rootDir, 'data', 'events', 'city-mapping-decisions.json');
+
+function loadJson(path, fallback) {
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : fallback;
+}
+
+function saveDecisions(decisions) {
+  const sorted = Object.fromEntries(Object.entries(decisions).sort(([a], [b]) => a.localeCompare(b)));
+  writeFileSync(decisionsPath, JSON.stringify(sorted, null, 2) + '\n', 'utf8');
+}
+
+function parseThreshold(args) {
+  const index = args.indexOf('--threshold');
+  if (index === -1) return REVIEW_THRESHOLD;
+  const threshold = Number(args[index + 1]);
+  if (!(threshold > 0 && threshold <= 1)) {
+    throw new Error('--threshold must be a number between 0 and 1');
+  }
+  return threshold;
+}
+
+function describeMatch(match) {
+  const entry = match.entry
+    ? ` → ${match.entry.name} (${match.entry.level}${match.entry.parent ? ` of ${match.entry.parent}` : ''})`
+    : '';
+  return `${match.confidence.toFixed(2)}  ${match.matchType}  "${match.matchedText}"${entry}`;
+}
+
+function printItem(item, index, total) {
+  const { event, candidates, otherPlaces, previous } = item;
+  console.log(`\n[${index + 1}/${total}] ${event.title}`);
+  console.log(`  ID: ${event.id}  Time: ${event.time}  Location: ${event.location || '-'}`);
+  console.log(`  Current: ${event.cityMappings.join(', ') || '-'}${event.cityMatches?.[0]?.matchType === 'source' ? ` (default city of source ${event.sourceId})` : ''}`);
+  if (previous) {
+    console.log(`  Previously reviewed for location "${previous.location}"`);
+  }
+  if (candidates.length === 0) {
+    console.log('  Candidates: none');
+  } else {
+    console.log('  Candidates:');
+    candidates.forEach((candidate, position) => {
+      console.log(`    ${position + 1}. ${candidate.cityId.padEnd(12)} ${describeMatch(candidate)}`);
+    });
+  }
+  otherPlaces.forEach(place => {
+    console.log(`  Also recognised: ${place.place} (${place.cityId ? `inactive city ${place.cityId}` : 'no community'}) "${place.matchedText}"`);
+  });
+}
+
+/**
+ * What an answer asks for: { decision }, { skip }, { quit } or { error } to ask again
+ */
+function resolveAnswer(answer, item, cityIds) {
+  const candidate = /^\d+$/.test(answer) ? item.candidates[Number(answer) - 1] : null;
+
+  if (answer === 'q') return { quit: true };
+  if (answer === 's' || answer === '') return { skip: true };
+  if (answer === 'o') return { decision: { decision: 'online' } };
+  if (answer === 'a') {
+    return item.event.cityMappings.length > 0
+      ? { decision: { decision: 'city', cityMappings: item.event.cityMappings } }
+      : { error: 'Nothing to accept: the event has no city yet' };
+  }
+  if (candidate) return { decision: { decision: 'city', cityMappings: [candidate.cityId] } };
+  if (cityIds.has(answer)) return { decision: { decision: 'city', cityMappings: [answer] } };
+  return { error: `Unknown answer or city "${answer}"` };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+City Mapping Audit
+
+Usage:
+  node scripts/audit-city-mapping.js [options]
+
+Options:
+  --threshold <n>  Review events whose best match is below this confidence (default ${REVIEW_THRESHOLD})
+  --list           Print the events waiting for review without prompting
+  --help, -h       Show this help message
+
+For each event answer:
+  a         Accept the current mapping
+  1, 2, …   Use that candidate city
+  <cityId>  Use another city, e.g. shanghai
+  o         Online event, no city
+  s         Skip for now
+  q         Save and quit
+`);
+    return;
+  }
+
+  const events = loadJson(processedEventsPath, null);
+  if (!events) {
+    console.log('❌ Processed events not found. Run "npm run events:process" first.');
+    process.exit(1);
+  }
+
+  const threshold = parseThreshold(args);
+  const cities = loadJson(citiesPath, []).filter(city => city.active);
+  const cityIds = new Set(cities.map(city => city.id));
+  const engine = createCityMappingEngine(cities);
+  const decisions = loadJson(decisionsPath, {});
+
+  const items = events
+    // Cities pinned in overrides.yaml win over any decision made here
+    .filter(event => !(event.overriddenFields || []).includes('cityMappings'))
+    .filter(event => decisions[event.id]?.location !== (event.location || ''))
+    .filter(event => engine.needsReview(event, threshold))
+    .map(event => ({
+      event,
+      candidates: engine.mapEventToCities(event),
+      otherPlaces: engine.matchLocation(event.location || '').filter(place => !cityIds.has(place.cityId)),
+      previous: decisions[event.id]
+    }));
+
+  if (items.length === 0) {
+    console.log(`✅ No events below confidence ${threshold} waiting for review`);
+    return;
+  }
+
+  if (args.includes('--list')) {
+    items.forEach((item, index) => printItem(item, index, items.length));
+    return;
+  }
+
+  console.log(`Cities: ${[...cityIds].join(', ')}`);
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  let decided = 0;
+
+  try {
+    for (const [index, item] of items.entries()) {
+      printItem(item, index, items.length);
+      const location = item.event.location || '';
+      let action = null;
+
+      while (!action) {
+        const answer = (await rl.question('  City? [a = accept, 1-n = candidate, <cityId>, o = online, s = skip, q = quit] ')).trim().toLowerCase();
+        action = resolveAnswer(answer, item, cityIds);
+        if (action.error) {
+          console.log(`  ${action.error}`);
+          action = null;
+        }
+      }
+
+      if (action.quit) break;
+      if (action.skip) continue;
+
+      decisions[item.event.id] = { ...action.decision, location, decidedAt: new Date().toISOString() };
+      saveDecisions(decisions);
+      decided++;
+    }
+  } finally {
+    rl.close();
+  }
+
+  console.log(`\n💾 Recorded ${decided} decisions in data/events/city-mapping-decisions.json`);
+  if (decided > 0) {
+    console.log('   Run "npm run events:process" to apply them');
+  }
+}
+
+main().catch(error => {
+  console.error(`💥 Audit failed: ${error.message}`);
+  process.exit(1);
+});
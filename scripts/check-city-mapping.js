@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * City Mapping Fixture Check
+ * Runs every location in data/events/location-fixtures.json through the city mapping
+ * engine and compares the cities and the gazetteer entry behind the best match with the
+ * recorded ones. Every location in data/events/events.json must have a fixture, so a
+ * gazetteer edit that changes how an existing event is mapped shows up as a failure.
+ *
+ * Usage:
+ *   node scripts/check-city-mapping.js           Exit 1 on a changed or missing location
+ *   node scripts/check-city-mapping.js --update  Record the current results, adding new locations
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createCityMappingEngine } from './utils/cityMapping.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+const fixturesFile = join(rootDir, 'data', 'events', 'location-fixtures.json');
+const eventsFile = join(rootDir, 'data', 'events', 'events.json');
+const citiesFile = join(rootDir, 'src', 'data', 'cities.json');
+
+/**
+ * Current result for a location: the cities it maps to and the gazetteer entry of its
+ * best match, which is recorded even when that place has no active community
+ */
+export function describeLocation(engine, location) {
+  const [mapped] = engine.mapEventsToCities([{ location }]);
+  const [best] = engine.matchLocation(location);
+  return {
+    location,
+    cityMappings: mapped.cityMappings,
+    entry: best ? { place: best.place, ...best.entry } : null
+  };
+}
+
+function main() {
+  const update = process.argv.includes('--update');
+  const engine = createCityMappingEngine(JSON.parse(readFileSync(citiesFile, 'utf8')));
+  const fixtures = existsSync(fixturesFile) ? JSON.parse(readFileSync(fixturesFile, 'utf8')) : [];
+  const eventLocations = [...new Set(
+    JSON.parse(readFileSync(eventsFile, 'utf8')).map(event => event.location?.trim()).filter(Boolean)
+  )];
+
+  const known = new Set(fixtures.map(fixture => fixture.location));
+  const missing = eventLocations.filter(location => !known.has(location));
+  const results = [...fixtures.map(fixture => fixture.location), ...missing]
+    .map(location => describeLocation(engine, location));
+
+  if (update) {
+    writeFileSync(fixturesFile, `${JSON.stringify(results, null, 2)}\n`, 'utf8');
+    console.log(`💾 Recorded ${results.length} locations (${missing.length} new) in data/events/location-fixtures.json`);
+    return;
+  }
+
+  const changed = fixtures.filter((fixture, index) => JSON.stringify(fixture) !== JSON.stringify(results[index]));
+  changed.forEach(fixture => {
+    const actual = results.find(result => result.location === fixture.location);
+    console.error(`❌ ${fixture.location}`);
+    console.error(`   expected: ${JSON.stringify({ cityMappings: fixture.cityMappings, entry: fixture.entry })}`);
+    console.error(`   actual:   ${JSON.stringify({ cityMappings: actual.cityMappings, entry: actual.entry })}`);
+  });
+  missing.forEach(location => console.error(`❌ ${location}: no fixture for this event location`));
+
+  if (changed.length > 0 || missing.length > 0) {
+    console.error('\nReview the differences, then run "npm run events:mapping:update" to record them');
+    process.exit(1);
+  }
+  console.log(`✅ All ${fixtures.length} fixture locations map as recorded`);
+}
+
+if (process.argv[1] && process.argv[1].includes('check-city-mapping.js')) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`💥 City mapping check failed: ${error.message}`);
+    process.exit(1);
+  }
+}
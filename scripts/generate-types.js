@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * Type Generation
+ * Writes src/types/data.ts from the JSON Schemas in src/schemas, so the TypeScript
+ * interfaces for the data files are never edited by hand and cannot drift from what
+ * validate-build.js checks. Every $defs entry becomes an exported type named after its
+ * key and every schema with a root type becomes one named after its title.
+ *
+ * Usage:
+ *   node scripts/generate-types.js          Regenerate src/types/data.ts
+ *   node scripts/generate-types.js --check  Exit 1 if src/types/data.ts is out of date
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadSchemas } from './utils/schemaValidation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+export const schemaDir = join(rootDir, 'src', 'schemas');
+export const typesFile = join(rootDir, 'src', 'types', 'data.ts');
+
+// Comments longer than this go on their own line above the property
+const MAX_LINE_LENGTH = 100;
+
+const HEADER = `/**
+ * Data File Types
+ * Generated from src/schemas by scripts/generate-types.js; do not edit.
+ * Run "npm run types:generate" after changing a schema.
+ */
+`;
+
+const PRIMITIVES = {
+  string: 'string',
+  integer: 'number',
+  number: 'number',
+  boolean: 'boolean',
+  null: 'null'
+};
+
+/**
+ * Name of the type a $ref points at: "#/$defs/City" and "cities.schema.json#/$defs/City"
+ * are City, a bare "translations.schema.json" is that schema's title
+ */
+function refName(ref, schemasById) {
+  const [file, pointer = ''] = ref.split('#');
+  const match = pointer.match(/^\/\$defs\/([^/]+)$/);
+  if (match) return match[1];
+  if (file && !pointer && schemasById.has(file)) return schemasById.get(file).title;
+  throw new Error(`Unsupported $ref "${ref}": only whole schemas and $defs entries can be referenced`);
+}
+
+function indent(text, depth) {
+  return text.replace(/\n/g, `\n${'  '.repeat(depth)}`);
+}
+
+// Branches of a union that only add constraints (e.g. anyOf of "required") carry no type
+function isTypeBranch(schema) {
+  return schema === true || ['$ref', 'type', 'enum', 'const', 'anyOf', 'oneOf'].some(key => key in schema);
+}
+
+// Literals are written with single quotes like the rest of src/
+function literal(value) {
+  return typeof value === 'string' ? `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'` : JSON.stringify(value);
+}
+
+function propertyKey(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : literal(name);
+}
+
+function commentLine(line, description) {
+  if (!description) return [line];
+  const trailing = `${line} // ${description}`;
+  return trailing.length <= MAX_LINE_LENGTH ? [trailing] : [`// ${description}`, line];
+}
+
+/**
+ * Members of an object type: one line per property plus an index signature when
+ * additional properties are typed
+ */
+function objectMembers(schema, schemasById) {
+  const required = new Set(schema.required || []);
+  const members = Object.entries(schema.properties || {}).flatMap(([name, property]) => {
+    const optional = required.has(name) ? '' : '?';
+    const line = `${propertyKey(name)}${optional}: ${toType(property, schemasById, 1)};`;
+    return commentLine(line, property.description);
+  });
+
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    members.push(`[key: string]: ${toType(schema.additionalProperties, schemasById, 1)};`);
+  } else if (schema.additionalProperties === true || (!schema.properties && schema.additionalProperties === undefined)) {
+    members.push('[key: string]: unknown;');
+  }
+  return members;
+}
+
+/**
+ * TypeScript type expression for a schema node
+ */
+function toType(schema, schemasById, depth = 0) {
+  if (schema === true || schema === undefined) return 'unknown';
+  if (schema.$ref) return refName(schema.$ref, schemasById);
+  if (schema.enum) return schema.enum.map(literal).join(' | ');
+  if ('const' in schema) return literal(schema.const);
+
+  const union = schema.anyOf || schema.oneOf;
+  if (union && union.every(isTypeBranch)) {
+    return [...new Set(union.map(branch => toType(branch, schemasById, depth)))].join(' | ');
+  }
+
+  if (Array.isArray(schema.type)) {
+    return schema.type.map(type => toType({ ...schema, type }, schemasById, depth)).join(' | ');
+  }
+  if (PRIMITIVES[schema.type]) return PRIMITIVES[schema.type];
+
+  if (schema.type === 'array') {
+    const item = toType(schema.items, schemasById, depth);
+    return /[|&]/.test(item) ? `Array<${item}>` : `${item}[]`;
+  }
+
+  if (schema.type === 'object') {
+    if (!schema.properties) {
+      return schema.additionalProperties && typeof schema.additionalProperties === 'object'
+        ? `Record<string, ${toType(schema.additionalProperties, schemasById, depth)}>`
+        : 'Record<string, unknown>';
+    }
+    const members = objectMembers(schema, schemasById);
+    return indent(`{\n${members.map(member => `  ${member}`).join('\n')}\n}`, depth);
+  }
+
+  throw new Error(`Cannot generate a type for schema node ${JSON.stringify(schema)}`);
+}
+
+/**
+ * Exported declaration for a named schema: objects with properties or an index
+ * signature become interfaces (extending an allOf $ref), everything else a type alias
+ */
+function declaration(name, schema, schemasById) {
+  const comment = schema.description ? `// ${schema.description}\n` : '';
+  const bases = (schema.allOf || []).filter(part => part.$ref).map(part => refName(part.$ref, schemasById));
+
+  if (schema.type === 'object' && (schema.properties || bases.length > 0 || typeof schema.additionalProperties === 'object')) {
+    const members = objectMembers(schema, schemasById);
+    const heritage = bases.length > 0 ? ` extends ${bases.join(', ')}` : '';
+    return `${comment}export interface ${name}${heritage} {\n${members.map(member => `  ${member}`).join('\n')}\n}\n`;
+  }
+  return `${comment}export type ${name} = ${toType(schema, schemasById)};\n`;
+}
+
+/**
+ * Source of src/types/data.ts for a list of schemas
+ */
+export function generateTypes(schemas) {
+  const schemasById = new Map(schemas.map(schema => [schema.$id, schema]));
+  const names = new Map();
+  const claim = (name, owner) => {
+    if (names.has(name)) {
+      throw new Error(`Type ${name} is defined by both ${names.get(name)} and ${owner}`);
+    }
+    names.set(name, owner);
+  };
+
+  const sections = schemas.map(schema => {
+    const declarations = [];
+    const { $defs = {}, title, description, ...root } = schema;
+    // Schemas that only hold $defs (common, event) have no root type
+    if (root.type || root.$ref) {
+      claim(title, schema.$id);
+      declarations.push(declaration(title, { ...root, description }, schemasById));
+    }
+    Object.entries($defs).forEach(([name, definition]) => {
+      claim(name, schema.$id);
+      declarations.push(declaration(name, definition, schemasById));
+    });
+    return `// ${schema.$id}\n\n${declarations.join('\n')}`;
+  });
+
+  return `${HEADER}\n${sections.join('\n')}`;
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const source = generateTypes(loadSchemas(schemaDir));
+  const current = existsSync(typesFile) ? readFileSync(typesFile, 'utf8') : '';
+
+  if (check) {
+    if (current !== source) {
+      console.error('❌ src/types/data.ts is out of date; run "npm run types:generate"');
+      process.exit(1);
+    }
+    console.log('✅ src/types/data.ts matches src/schemas');
+    return;
+  }
+
+  if (current === source) {
+    console.log('✅ src/types/data.ts is up to date');
+    return;
+  }
+  writeFileSync(typesFile, source, 'utf8');
+  console.log('💾 Wrote src/types/data.ts');
+}
+
+if (process.argv[1] && process.argv[1].includes('generate-types.js')) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`💥 Type generation failed: ${error.message}`);
+    process.exit(1);
+  }
+}
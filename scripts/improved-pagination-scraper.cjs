@@ -4,27 +4,396 @@
  * 活动行线下活动分页采集工具
  * 自动遍历所有分页，采集完整的活动数据
  * 支持增量更新和图片下载
+ * 可选采集活动详情页（介绍、议程、嘉宾、起止时间、场地地址、报名状态）
+ *
+ * 用法:
+ *   node scripts/improved-pagination-scraper.cjs [incremental|full|quick] [--details] [--record|--replay] [--fixtures <目录>] [--source <来源ID,...>]
+ *   node scripts/improved-pagination-scraper.cjs details [--all] [--record|--replay] [--fixtures <目录>]
+ *
+ * --record 在正常采集的同时把每个列表页（page-001.html ...）和详情页（details/<活动ID>.html）
+ * 保存到样本目录（默认 data/events/fixtures）；--replay 从样本目录离线运行，
+ * 以录制时的 events.json 为增量基线，结果写入 replay-events.json，不会修改正式数据。
+ *
+ * 每页都会检查页面结构（列表、标题、日期、浏览量、分页控件），结果写入 health-report.json；
+ * 检查失败时不写入数据并以非零状态退出。紧急情况下可用 --skip-health-check 跳过。
+ *
+ * 活动来源（主办方主页）配置在 data/events/sources.json，每个来源包含 id、orgId、可选的 host
+ * 以及默认城市 defaultCity / 默认专项社区 defaultCommunity；采集到的活动会记录 sourceId。
+ *
+ * 每次采集都会把抓取到的活动的浏览量和收藏数追加到 engagement-history.json（每天每个活动最多一条），
+ * 用于计算近期增长和“热门趋势”活动。
+ *
+ * 列表页大多只显示 MM/DD，年份根据页面倒序排列、相邻带年份的活动和封面图路径 logo/YYYYMM 推断，
+ * 推断结果和依据记录在每个活动的 yearInference 上（见 inferEventYears）。
+ *
+ * 完整遍历到最后一页的来源中没有出现的已有活动会累计 missingRuns（并记录 missingSince），
+ * 重新出现时清除；卡片上标注“已取消”的活动记为 cancelled。处理流程据此生成活动变更记录。
  */
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
+const { createImageDownloader } = require('./utils/imageDownloader.cjs');
+
+// 默认活动来源：亚马逊云科技 User Group 主办方主页
+const DEFAULT_SOURCE_HOST = 'www.huodongxing.com';
+const DEFAULT_SOURCE = {
+  id: 'usergroup',
+  name: '亚马逊云科技 User Group',
+  orgId: '691333798680',
+  host: 'usergroup.huodongxing.com'
+};
+
+function getSourceUrl(source) {
+  return `https://${source.host || DEFAULT_SOURCE_HOST}/org/${source.orgId}`;
+}
+
+// 日期时间片段，例如 2026/08/21 周五 13:00、2026年8月21日 13:00、08/21 13:00
+const DETAIL_DATETIME_PATTERN = /(?:(\d{4})\s*[\/\-.年]\s*)?(\d{1,2})\s*[\/\-.月]\s*(\d{1,2})\s*日?\s*(?:[(（]?(?:周|星期)[一二三四五六日天][)）]?)?\s*(\d{1,2}):(\d{2})/;
+
+// 报名状态关键词，按优先级排列
+const REGISTRATION_KEYWORDS = [
+  ['cancelled', ['活动已取消', '已取消']],
+  ['closed', ['报名已截止', '报名截止', '停止报名']],
+  ['full', ['名额已满', '已满员', '报名已满']],
+  ['ended', ['已结束', '活动结束']],
+  ['open', ['立即报名', '我要报名', '马上报名']]
+];
+
+function formatDetailTime(year, month, day, hour, minute) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${year}/${pad(month)}/${pad(day)} ${pad(hour)}:${pad(minute)}`;
+}
+
+// 解析详情页中的时间范围，返回 YYYY/MM/DD HH:MM 格式的开始和结束时间
+function parseDetailTimeRange(text, fallbackYear) {
+  const result = { startTime: '', endTime: '' };
+  if (!text) return result;
+
+  const startMatch = text.match(DETAIL_DATETIME_PATTERN);
+  if (!startMatch) return result;
+
+  const [, startYear, month, day, hour, minute] = startMatch;
+  const year = startYear ? parseInt(startYear) : fallbackYear;
+  result.startTime = formatDetailTime(year, month, day, hour, minute);
+
+  const rest = text.slice(startMatch.index + startMatch[0].length);
+  const endMatch = rest.match(DETAIL_DATETIME_PATTERN);
+  if (endMatch) {
+    const [, endYear, endMonth, endDay, endHour, endMinute] = endMatch;
+    result.endTime = formatDetailTime(endYear ? parseInt(endYear) : year, endMonth, endDay, endHour, endMinute);
+  } else {
+    // 同一天结束，例如 "13:00 ~ 17:30"
+    const endClock = rest.match(/^\s*[-~～—–至到]\s*(\d{1,2}):(\d{2})/);
+    if (endClock) {
+      result.endTime = formatDetailTime(year, month, day, endClock[1], endClock[2]);
+    }
+  }
+
+  return result;
+}
+
+// 解析议程行，例如 "13:30-14:00 开场致辞"
+function parseAgendaRow(row) {
+  const text = (row || '').trim();
+  if (!text) return null;
+
+  const match = text.match(/^(\d{1,2}:\d{2})(?:\s*[-~～—–至到]\s*(\d{1,2}:\d{2}))?\s*(.*)$/);
+  if (!match) {
+    return { time: '', title: text };
+  }
+
+  const [, start, end, title] = match;
+  return {
+    time: end ? `${start}-${end}` : start,
+    title: title.trim()
+  };
+}
+
+// 页面结构健康检查阈值：低于这些比例说明选择器很可能已经失效
+const DEFAULT_HEALTH_THRESHOLDS = {
+  minTitleRatio: 0.8, // 有标题的卡片比例
+  minDateRatio: 0.8, // 日期可解析的卡片比例
+  minViewsRatio: 0.8, // 浏览量为数字的卡片比例
+  minExtractedRatio: 0.8, // 成功提取的卡片比例（提取时的异常会被静默跳过）
+  fullPageSize: 10 // 达到该卡片数的首页必须有分页控件
+};
+
+// 根据页面结构统计检查单页健康状况，返回发现的问题
+function evaluatePageHealth(structure, extractedCount, pageNumber, thresholds = DEFAULT_HEALTH_THRESHOLDS) {
+  const issues = [];
+  const addIssue = (severity, code, message) => issues.push({ severity, code, message });
+  const ratio = (count) => structure.itemCount > 0 ? count / structure.itemCount : 1;
+
+  if (!structure.hasEventList) {
+    addIssue('error', 'missing-event-list', '缺少活动列表 ul.event-list');
+  } else if (structure.itemCount === 0) {
+    addIssue('warning', 'empty-event-list', '活动列表中没有 li.event-item');
+  }
+
+  if (structure.itemCount > 0) {
+    if (ratio(extractedCount) < thresholds.minExtractedRatio) {
+      addIssue('error', 'dropped-cards', `只提取到 ${extractedCount}/${structure.itemCount} 张活动卡片（缺少活动链接）`);
+    }
+    if (ratio(structure.withTitle) < thresholds.minTitleRatio) {
+      addIssue('error', 'missing-titles', `只有 ${structure.withTitle}/${structure.itemCount} 张卡片有标题 (.event-item-title)`);
+    }
+    if (ratio(structure.withDate) < thresholds.minDateRatio) {
+      addIssue('error', 'missing-dates', `只有 ${structure.withDate}/${structure.itemCount} 张卡片有可解析的日期 (.event-item-date)`);
+    }
+    if (ratio(structure.withNumericViews) < thresholds.minViewsRatio) {
+      addIssue('error', 'non-numeric-views', `只有 ${structure.withNumericViews}/${structure.itemCount} 张卡片的浏览量是数字 (.card-img-box span)`);
+    }
+  }
+
+  if (!structure.hasPager) {
+    const pagerRequired = pageNumber === 1 && structure.itemCount >= thresholds.fullPageSize;
+    addIssue(pagerRequired ? 'error' : 'warning', 'missing-pager', '缺少下一页按钮 button[aria-label="Go to next page"]');
+  }
+
+  return {
+    page: pageNumber,
+    ...structure,
+    extractedCount,
+    issues
+  };
+}
+
+// 汇总各页检查结果，生成本次采集的健康报告
+function buildHealthReport(pageResults) {
+  const errors = [];
+  const warnings = [];
+  pageResults.forEach(result => {
+    result.issues.forEach(issue => {
+      const entry = { source: result.source, page: result.page, ...issue };
+      (issue.severity === 'error' ? errors : warnings).push(entry);
+    });
+  });
+
+  return {
+    checkedAt: new Date().toISOString(),
+    healthy: pageResults.length > 0 && errors.length === 0,
+    pagesChecked: pageResults.length,
+    cardsFound: pageResults.reduce((sum, result) => sum + result.itemCount, 0),
+    cardsExtracted: pageResults.reduce((sum, result) => sum + result.extractedCount, 0),
+    errors,
+    warnings,
+    pages: pageResults
+  };
+}
+
+function detectRegistrationStatus(buttonTexts) {
+  for (const [status, keywords] of REGISTRATION_KEYWORDS) {
+    if (buttonTexts.some(text => keywords.some(keyword => text.includes(keyword)))) {
+      return status;
+    }
+  }
+  return 'unknown';
+}
+
+// 列表页的日期只有当年以外的活动才带年份，例如 "08/21 周五 13:00" 和 "2025/12/20 周六 13:30"
+const LIST_DATE_PATTERN = /^(?:(\d{4})\/)?(\d{1,2})\/(\d{1,2})/;
+// 封面图路径中的上传年月，例如 https://cdn.huodongxing.com/logo/202608/<活动ID>/xxx.jpg
+const IMAGE_UPLOAD_MONTH_PATTERN = /\/logo\/(\d{4})(\d{2})\//;
+
+function parseListDate(time) {
+  const match = (time || '').match(LIST_DATE_PATTERN);
+  if (!match) return null;
+  return {
+    year: match[1] ? parseInt(match[1]) : null,
+    month: parseInt(match[2]),
+    day: parseInt(match[3])
+  };
+}
+
+function dateKey(year, month, day) {
+  return year * 10000 + month * 100 + day;
+}
+
+// 封面图一般在活动发布时上传，活动日期不早于上传月份
+function yearFromImagePath(imageUrl, month) {
+  const match = (imageUrl || '').match(IMAGE_UPLOAD_MONTH_PATTERN);
+  if (!match) return null;
+  const uploadYear = parseInt(match[1]);
+  return month >= parseInt(match[2]) ? uploadYear : uploadYear + 1;
+}
+
+// 在上下两侧带年份的活动之间找出合适的年份。列表按活动日期倒序排列，
+// 所以活动日期不晚于上方（较新）的活动、不早于下方（较旧）的活动。
+function yearsWithinBounds(date, newer, older) {
+  const years = [];
+  const from = older ? older.year : newer.year - 1;
+  const to = newer ? newer.year : older.year + 1;
+  for (let year = from; year <= to; year++) {
+    const key = dateKey(year, date.month, date.day);
+    if ((!newer || key <= dateKey(newer.year, newer.month, newer.day)) &&
+        (!older || key >= dateKey(older.year, older.month, older.day))) {
+      years.push(year);
+    }
+  }
+  // 只有一侧有参照时取最靠近参照的年份
+  if (!older) return years.slice(-1);
+  if (!newer) return years.slice(0, 1);
+  return years;
+}
+
+// 没有任何参照时，取离采集日期最近的年份（12 月的活动在 1 月采集时归到上一年）
+function yearClosestTo(date, referenceDate) {
+  const referenceYear = referenceDate.getFullYear();
+  return [referenceYear - 1, referenceYear, referenceYear + 1]
+    .map(year => ({ year, distance: Math.abs(new Date(year, date.month - 1, date.day) - referenceDate) }))
+    .sort((a, b) => a.distance - b.distance)[0].year;
+}
+
+/**
+ * 为一页活动补齐年份，并在每个活动上记录 yearInference: { year, rule, confidence }
+ * 规则按优先级：
+ *   explicit    列表日期自带年份
+ *   page-order  上下两侧都有带年份的活动，且只有一个年份符合倒序排列（高可信度）
+ *   image-path  封面图路径 logo/YYYYMM 推断（与排列顺序一致时高可信度，无参照时中等）
+ *   page-order  只有一侧有参照（中等可信度）
+ *   scrape-date 离采集日期最近的年份（低可信度）
+ * 与排列顺序矛盾的封面图推断标记为低可信度。newerBound 是上一页最后一个带年份的活动日期。
+ */
+function inferEventYears(events, { referenceDate = new Date(), newerBound = null } = {}) {
+  const dates = events.map(event => parseListDate(event.time));
+  const anchors = dates.map(date => (date && date.year ? date : null));
+
+  const findAnchor = (index, step) => {
+    for (let i = index + step; i >= 0 && i < anchors.length; i += step) {
+      if (anchors[i]) return anchors[i];
+    }
+    return step < 0 ? newerBound : null;
+  };
+
+  events.forEach((event, index) => {
+    const date = dates[index];
+    if (!date) return;
+
+    let inference;
+    if (date.year) {
+      inference = { year: date.year, rule: 'explicit', confidence: 'high' };
+    } else {
+      const newer = findAnchor(index, -1);
+      const older = findAnchor(index, 1);
+      const boundedYears = newer || older ? yearsWithinBounds(date, newer, older) : [];
+      const imageYear = yearFromImagePath(event.imageUrl, date.month);
+      const imageAgrees = imageYear !== null && boundedYears.includes(imageYear);
+
+      if (newer && older && boundedYears.length === 1) {
+        inference = { year: boundedYears[0], rule: 'page-order', confidence: 'high' };
+      } else if (imageYear !== null && (boundedYears.length === 0 || imageAgrees)) {
+        inference = { year: imageYear, rule: 'image-path', confidence: imageAgrees ? 'high' : 'medium' };
+      } else if (boundedYears.length > 0) {
+        inference = {
+          year: boundedYears[boundedYears.length - 1],
+          rule: 'page-order',
+          confidence: imageYear === null ? 'medium' : 'low'
+        };
+      } else {
+        inference = { year: yearClosestTo(date, referenceDate), rule: 'scrape-date', confidence: 'low' };
+      }
+      event.time = `${inference.year}/${event.time}`;
+    }
+
+    event.yearInference = inference;
+  });
+
+  return events;
+}
+
+// 互动历史：每个活动一组 [日期, 浏览量, 收藏数] 快照，日期按北京时间
+const ENGAGEMENT_HISTORY_FIELDS = ['date', 'views', 'favorites'];
+
+function getSnapshotDate(date = new Date()) {
+  return new Date(date.getTime() + 8 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// 把本次抓取的浏览量和收藏数追加到历史中。同一天重复抓取时只保留最新一次，
+// 数值与上一条快照相同时不追加（读取时上一条快照一直有效到下一条为止）
+function appendEngagementSnapshots(history, events, date = getSnapshotDate()) {
+  const result = { version: 1, fields: ENGAGEMENT_HISTORY_FIELDS, events: { ...history?.events } };
+  let appended = 0;
+
+  events.forEach(event => {
+    if (!event.id) return;
+    const snapshots = [...(result.events[event.id] || [])];
+    const snapshot = [date, event.views || 0, event.favorites || 0];
+
+    if (snapshots.length > 0 && snapshots[snapshots.length - 1][0] === date) {
+      snapshots.pop();
+    }
+    const previous = snapshots[snapshots.length - 1];
+    if (!previous || previous[1] !== snapshot[1] || previous[2] !== snapshot[2]) {
+      snapshots.push(snapshot);
+      appended++;
+    }
+    result.events[event.id] = snapshots;
+  });
+
+  return { history: result, appended };
+}
+
+// 每个活动占一行，文件保持紧凑且 git diff 可读
+function serializeEngagementHistory(history) {
+  const lines = Object.entries(history.events)
+    .map(([id, snapshots]) => `    ${JSON.stringify(id)}: ${JSON.stringify(snapshots)}`);
+  return [
+    '{',
+    `  "version": ${history.version},`,
+    `  "fields": ${JSON.stringify(history.fields)},`,
+    lines.length > 0 ? `  "events": {\n${lines.join(',\n')}\n  }` : '  "events": {}',
+    '}',
+    ''
+  ].join('\n');
+}
 
 class EventPaginationScraper {
   constructor(options = {}) {
-    this.baseUrl = 'https://usergroup.huodongxing.com/org/691333798680';
     this.dataDir = './data/events';
     this.imageDir = './data/events/images';
     this.dataFile = path.join(this.dataDir, 'events.json');
     this.logFile = path.join(this.dataDir, 'scraper.log');
+    this.sourcesFile = path.join(this.dataDir, 'sources.json');
 
     // 增量采集配置
     this.incrementalMode = options.incremental !== false; // 默认启用增量模式
     this.earlyStopThreshold = options.earlyStopThreshold || 2; // 连续N页无新增时停止
     this.maxEmptyPages = options.maxEmptyPages || 3; // 最大允许连续空页数
 
+    // 详情页采集配置（默认关闭）
+    this.detailsEnabled = options.details === true;
+    this.detailFixturesDir = options.detailFixturesDir || null; // 从保存的 HTML 读取详情页（离线）
+    this.detailDelay = options.detailDelay !== undefined ? options.detailDelay : 3000;
+
+    // 录制/回放配置：record 在正常采集的同时保存每个列表页和详情页，
+    // replay 使用保存的页面离线运行同样的提取和增量合并逻辑，结果写入样本目录而不是正式数据
+    this.mode = options.mode || 'live';
+    this.fixturesDir = options.fixturesDir || path.join(this.dataDir, 'fixtures');
+    this.outputFile = this.dataFile;
+    this.historyFile = path.join(this.dataDir, 'engagement-history.json');
+    if (this.mode === 'replay') {
+      this.historyFile = path.join(this.fixturesDir, 'replay-engagement-history.json');
+      this.dataFile = path.join(this.fixturesDir, 'events.json');
+      this.outputFile = path.join(this.fixturesDir, 'replay-events.json');
+      this.detailFixturesDir = this.detailFixturesDir || path.join(this.fixturesDir, 'details');
+    }
+
+    // 页面结构健康检查（默认开启），发现选择器失效时拒绝写入数据
+    this.healthCheck = options.healthCheck !== false;
+    this.healthThresholds = { ...DEFAULT_HEALTH_THRESHOLDS, ...options.healthThresholds };
+    this.pageHealth = [];
+    this.completedSources = new Set();
+
+    // 推断列表日期年份时参照的采集日期；回放时使用录制日期，结果与录制时一致
+    this.referenceDate = options.referenceDate || this.loadReferenceDate();
+
     this.ensureDirectories();
+    this.imageDownloader = createImageDownloader({
+      imageDir: this.imageDir,
+      manifestFile: path.join(this.dataDir, 'image-manifest.json'),
+      log: message => this.log(message)
+    });
+    this.sources = this.loadSources(options.sourceIds);
     this.existingEvents = this.loadExistingEvents();
   }
 
@@ -37,6 +406,36 @@ class EventPaginationScraper {
     }
   }
 
+  loadReferenceDate() {
+    const manifestFile = path.join(this.fixturesDir, 'manifest.json');
+    if (this.mode === 'replay' && fs.existsSync(manifestFile)) {
+      const { recordedAt } = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+      if (recordedAt) return new Date(recordedAt);
+    }
+    return new Date();
+  }
+
+  // 加载活动来源（主办方主页），可通过 sourceIds 只采集部分来源
+  loadSources(sourceIds) {
+    let sources = [DEFAULT_SOURCE];
+    if (fs.existsSync(this.sourcesFile)) {
+      try {
+        sources = JSON.parse(fs.readFileSync(this.sourcesFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`活动来源配置无效 ${this.sourcesFile}: ${error.message}`);
+      }
+    }
+
+    sources = sources.filter(source => source.active !== false);
+    if (sourceIds && sourceIds.length > 0) {
+      sources = sources.filter(source => sourceIds.includes(source.id));
+    }
+    if (sources.length === 0) {
+      throw new Error('没有可采集的活动来源');
+    }
+    return sources;
+  }
+
   loadExistingEvents() {
     if (fs.existsSync(this.dataFile)) {
       try {
@@ -61,70 +460,17 @@ class EventPaginationScraper {
     return !this.existingEvents.some(event => event.id === eventId);
   }
 
+  // 下载活动封面（重试、校验和清单由共享的图片下载工具处理）
   async downloadImage(imageUrl, eventId) {
-    return new Promise((resolve, reject) => {
-      if (!imageUrl) {
-        resolve(null);
-        return;
-      }
-
-      try {
-        const url = new URL(imageUrl);
-        const ext = path.extname(url.pathname) || '.jpg';
-        const filename = `${eventId}${ext}`;
-        const filepath = path.join(this.imageDir, filename);
-
-        if (fs.existsSync(filepath)) {
-          resolve(filename);
-          return;
-        }
-
-        const protocol = url.protocol === 'https:' ? https : http;
-        const file = fs.createWriteStream(filepath);
-
-        // 添加请求头以绕过防盗链
-        const options = {
-          headers: {
-            'Referer': 'https://usergroup.huodongxing.com/',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-          }
-        };
-
-        protocol.get(imageUrl, options, (response) => {
-          // 处理重定向
-          if (response.statusCode === 301 || response.statusCode === 302) {
-            const redirectUrl = response.headers.location;
-            if (redirectUrl) {
-              // 递归下载重定向后的URL
-              this.downloadImage(redirectUrl, eventId).then(resolve).catch(reject);
-              return;
-            }
-          }
-
-          if (response.statusCode !== 200) {
-            reject(new Error(`HTTP ${response.statusCode}`));
-            return;
-          }
-
-          response.pipe(file);
-          file.on('finish', () => {
-            file.close();
-            resolve(filename);
-          });
-          file.on('error', (err) => {
-            fs.unlink(filepath, () => { });
-            reject(err);
-          });
-        }).on('error', reject);
-      } catch (error) {
-        reject(error);
-      }
-    });
+    const result = await this.imageDownloader.download(imageUrl, eventId);
+    this.imageDownloader.saveManifest();
+    return result ? result.filename : null;
   }
 
   // 提取当前页面的活动数据
-  async extractEventsFromPage(browserPage) {
-    return await browserPage.evaluate(() => {
+  async extractEventsFromPage(browserPage, source = this.sources[0]) {
+    const origin = `https://${source.host || DEFAULT_SOURCE_HOST}`;
+    return await browserPage.evaluate((origin) => {
       const events = [];
 
       // 查找活动列表区域 - 修正选择器
@@ -166,7 +512,7 @@ class EventPaginationScraper {
           if (imgElement) {
             imageUrl = imgElement.src || imgElement.getAttribute('data-src') || imgElement.getAttribute('data-original') || '';
             if (imageUrl && !imageUrl.startsWith('http')) {
-              imageUrl = `https://usergroup.huodongxing.com${imageUrl}`;
+              imageUrl = `${origin}${imageUrl}`;
             }
           }
 
@@ -192,32 +538,21 @@ class EventPaginationScraper {
             status = 'ended';
           }
 
-          // 补齐年份：如果时间格式为 MM/DD（无年份），补充当前年份
-          let fullTime = time;
-          if (time && !time.match(/^\d{4}\//)) {
-            // 时间不以 YYYY/ 开头，说明缺少年份，补充当前年份
-            const currentYear = new Date().getFullYear();
-            const monthMatch = time.match(/^(\d{2})\//);
-            if (monthMatch) {
-              const eventMonth = parseInt(monthMatch[1]);
-              const currentMonth = new Date().getMonth() + 1;
-              // 如果活动月份大于当前月份+2，可能是去年的活动（网站倒序排列情况下不太会出现）
-              // 正常情况下无年份=当前年份
-              fullTime = `${currentYear}/${time}`;
-            }
-          }
+          // 主办方取消的活动在卡片或标题上标注"已取消"
+          const cancelled = itemText.includes('已取消') || title.includes('已取消');
 
           // 构建完整URL
-          const fullUrl = href.startsWith('http') ? href : `https://usergroup.huodongxing.com${href}`;
+          const fullUrl = href.startsWith('http') ? href : `${origin}${href}`;
 
           const event = {
             id: eventId,
             title,
-            time: fullTime,
+            time, // 年份在页面外按排列顺序推断，见 inferEventYears
             location,
             url: fullUrl,
             imageUrl,
             status,
+            cancelled,
             views,
             favorites,
             scrapedAt: new Date().toISOString()
@@ -231,7 +566,65 @@ class EventPaginationScraper {
       });
 
       return events;
+    }, origin);
+  }
+
+  // 统计页面结构，用于检测选择器失效
+  async inspectPageStructure(browserPage) {
+    return await browserPage.evaluate(() => {
+      const eventListUl = document.querySelector('ul.event-list');
+      const items = eventListUl ? Array.from(eventListUl.querySelectorAll('li.event-item')) : [];
+      const count = (predicate) => items.filter(predicate).length;
+      const textOf = (item, selector) => {
+        const element = item.querySelector(selector);
+        return element ? element.textContent.trim() : '';
+      };
+
+      return {
+        hasEventList: !!eventListUl,
+        itemCount: items.length,
+        withTitle: count(item => textOf(item, '.event-item-title').length > 0),
+        withDate: count(item => /\d{1,2}\/\d{1,2}/.test(textOf(item, '.event-item-date'))),
+        withNumericViews: count(item => {
+          const spans = item.querySelectorAll('.card-img-box span');
+          return spans.length >= 2 && /^\d+$/.test(spans[0].textContent.trim());
+        }),
+        hasPager: !!document.querySelector('button[aria-label="Go to next page"]')
+      };
+    });
+  }
+
+  // 检查单页健康状况并记录，错误立即写入日志
+  async checkPageHealth(browserPage, pageEvents, pageNumber, source) {
+    const structure = await this.inspectPageStructure(browserPage);
+    const result = {
+      source: source.id,
+      ...evaluatePageHealth(structure, pageEvents.length, pageNumber, this.healthThresholds)
+    };
+    this.pageHealth.push(result);
+
+    result.issues.forEach(issue => {
+      const prefix = issue.severity === 'error' ? '❌ 健康检查' : '⚠️ 健康检查';
+      this.log(`${prefix} ${source.id} 第 ${pageNumber} 页: ${issue.message}`);
     });
+    return result;
+  }
+
+  // 保存健康报告；存在错误时抛出异常，避免把退化的数据写入 events.json
+  finishHealthCheck() {
+    const report = buildHealthReport(this.pageHealth);
+    const reportFile = path.join(path.dirname(this.outputFile), 'health-report.json');
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+    this.log(`健康报告已保存到: ${reportFile} (检查 ${report.pagesChecked} 页, 卡片 ${report.cardsExtracted}/${report.cardsFound})`);
+
+    if (!report.healthy) {
+      const details = report.errors.length > 0
+        ? report.errors.map(error => `${error.source} 第 ${error.page} 页 ${error.message}`).join('; ')
+        : '没有检查到任何页面';
+      throw new Error(`采集健康检查失败，页面结构可能已变化，已拒绝写入数据: ${details}`);
+    }
+
+    return report;
   }
 
   // 注释：状态判断功能已移除，避免触发封禁和不准确的判断
@@ -286,159 +679,508 @@ class EventPaginationScraper {
     });
   }
 
-  // 分页采集方法
-  async scrapeAllPages() {
+  // 启动浏览器
+  async launchBrowser() {
     const { chromium } = require('playwright');
-    let browser = null;
-    let allEvents = [];
-    let currentPage = 1;
-    let globalSortIndex = 1; // 全局sort索引，按网站显示顺序递增
 
-    try {
-      this.log('启动浏览器...');
-      browser = await chromium.launch({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-blink-features=AutomationControlled',
-          '--disable-web-security'
-        ]
-      });
+    this.log('启动浏览器...');
+    const browser = await chromium.launch({
+      headless: true,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-blink-features=AutomationControlled',
+        '--disable-web-security'
+      ]
+    });
 
-      // 活动时间由页面 JS 按浏览器时区渲染，必须固定为北京时间。
-      // 否则在 UTC 环境（如 GitHub Actions runner）抓到的时间会早 8 小时。
-      const context = await browser.newContext({
-        timezoneId: 'Asia/Shanghai',
-        locale: 'zh-CN'
-      });
-      const browserPage = await context.newPage();
-      browserPage.setDefaultTimeout(60000);
+    // 活动时间由页面 JS 按浏览器时区渲染，必须固定为北京时间。
+    // 否则在 UTC 环境（如 GitHub Actions runner）抓到的时间会早 8 小时。
+    const context = await browser.newContext({
+      timezoneId: 'Asia/Shanghai',
+      locale: 'zh-CN'
+    });
 
-      // 访问活动列表页。活动行会持续发起统计请求，不能使用 networkidle。
-      this.log(`访问活动列表: ${this.baseUrl}`);
-      let navigationError = null;
-      for (let attempt = 1; attempt <= 3; attempt++) {
-        try {
-          await browserPage.goto(this.baseUrl, {
-            waitUntil: 'domcontentloaded',
-            timeout: 90000
-          });
-          await browserPage.waitForSelector('a[href*="/event/"]', { timeout: 30000 });
-          navigationError = null;
-          break;
-        } catch (error) {
-          navigationError = error;
-          this.log(`第 ${attempt} 次加载活动列表失败: ${error.message}`);
-          if (attempt < 3) {
-            await browserPage.waitForTimeout(attempt * 5000);
+    return { browser, context };
+  }
+
+  // 判断是否需要采集详情页：新活动、尚未采集过详情，或列表中的标题/时间/地点发生变化
+  needsDetails(event) {
+    const existing = this.existingEvents.find(item => item.id === event.id);
+    if (!existing || !existing.detailScrapedAt) {
+      return true;
+    }
+
+    return existing.title !== event.title ||
+      existing.time !== event.time ||
+      existing.location !== event.location;
+  }
+
+  // 打开活动详情页：配置了离线样本目录时读取 <活动ID>.html，否则访问 event.url
+  async loadEventDetailPage(browserPage, event) {
+    if (this.detailFixturesDir) {
+      const fixtureFile = path.join(this.detailFixturesDir, `${event.id}.html`);
+      if (!fs.existsSync(fixtureFile)) {
+        return false;
+      }
+
+      await browserPage.setContent(fs.readFileSync(fixtureFile, 'utf8'), { waitUntil: 'domcontentloaded' });
+      return true;
+    }
+
+    await browserPage.goto(event.url, { waitUntil: 'domcontentloaded', timeout: 90000 });
+    await browserPage.waitForTimeout(2000);
+
+    if (this.mode === 'record') {
+      const detailsDir = path.join(this.fixturesDir, 'details');
+      fs.mkdirSync(detailsDir, { recursive: true });
+      fs.writeFileSync(path.join(detailsDir, `${event.id}.html`), await browserPage.content());
+    }
+    return true;
+  }
+
+  // 提取详情页原始数据（解析和规范化在 normalizeEventDetails 中完成）
+  async extractEventDetailsFromPage(browserPage) {
+    return await browserPage.evaluate(() => {
+      const textOf = (element) => element ? (element.innerText || element.textContent || '').trim() : '';
+      const findFirst = (selectors) => {
+        for (const selector of selectors) {
+          const element = document.querySelector(selector);
+          if (element && textOf(element)) {
+            return element;
           }
         }
+        return null;
+      };
+
+      // 活动介绍
+      const descriptionElement = findFirst([
+        '#event_desc_page',
+        '.event-desc',
+        '.event-detail-content',
+        '[class*="event-desc"]',
+        '[class*="detail-content"]'
+      ]);
+      const metaDescription = document.querySelector('meta[name="description"]');
+      const description = textOf(descriptionElement) ||
+        (metaDescription ? (metaDescription.getAttribute('content') || '').trim() : '');
+
+      // 活动时间：优先使用时间区块，找不到时在正文中查找第一个日期时间
+      let timeText = textOf(findFirst([
+        '.event-time',
+        '.jumbotron .address-info-wrap',
+        '[class*="event-time"]',
+        '[class*="time-info"]'
+      ]));
+      if (!timeText && document.body) {
+        const bodyMatch = textOf(document.body).match(/\d{4}[\/\-年]\d{1,2}[\/\-月]\d{1,2}[^\n]*?\d{1,2}:\d{2}[^\n]*/);
+        timeText = bodyMatch ? bodyMatch[0] : '';
       }
 
-      if (navigationError) {
-        throw new Error(`活动列表连续加载失败: ${navigationError.message}`);
+      // 活动地址
+      const address = textOf(findFirst([
+        '.event-address',
+        '.address-text',
+        '[class*="address-text"]',
+        '[class*="event-address"]'
+      ]));
+
+      // 活动议程
+      const agendaRows = [];
+      document.querySelectorAll('[class*="agenda"] li, [class*="agenda"] tr, [class*="schedule"] li, [class*="schedule"] tr')
+        .forEach(row => {
+          const rowText = textOf(row);
+          if (rowText) {
+            agendaRows.push(rowText.replace(/\s+/g, ' '));
+          }
+        });
+
+      // 活动嘉宾
+      const speakers = [];
+      document.querySelectorAll('.speaker, [class*="speaker-item"], [class*="guest-item"]').forEach(item => {
+        const nameElement = item.querySelector('.name, [class*="name"], h4, h5, strong');
+        const titleElement = item.querySelector('.title, [class*="title"], [class*="desc"], p');
+        const name = textOf(nameElement);
+        if (name) {
+          speakers.push({
+            name,
+            title: titleElement && titleElement !== nameElement ? textOf(titleElement) : ''
+          });
+        }
+      });
+
+      // 报名按钮文字，用于判断报名状态
+      const buttonTexts = Array.from(document.querySelectorAll('a, button'))
+        .map(element => textOf(element))
+        .filter(text => text && text.length <= 10);
+
+      return { description, timeText, address, agendaRows, speakers, buttonTexts };
+    });
+  }
+
+  // 规范化详情页数据，生成写入原始活动的新字段
+  normalizeEventDetails(rawDetails, event) {
+    const yearMatch = (event.time || '').match(/^(\d{4})\//);
+    const fallbackYear = yearMatch ? parseInt(yearMatch[1]) : new Date().getFullYear();
+    const { startTime, endTime } = parseDetailTimeRange(rawDetails.timeText, fallbackYear);
+
+    const description = (rawDetails.description || '')
+      .replace(/[\u200B-\u200D\uFEFF]/g, '')
+      .replace(/[ \t]+/g, ' ')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+      .slice(0, 5000);
+
+    const agenda = (rawDetails.agendaRows || [])
+      .map(parseAgendaRow)
+      .filter(Boolean);
+
+    const seenSpeakers = new Set();
+    const speakers = (rawDetails.speakers || []).filter(speaker => {
+      if (seenSpeakers.has(speaker.name)) return false;
+      seenSpeakers.add(speaker.name);
+      return true;
+    });
+
+    return {
+      description,
+      agenda,
+      speakers,
+      startTime,
+      endTime,
+      venueAddress: (rawDetails.address || '').replace(/\s+/g, ' ').trim(),
+      registrationStatus: detectRegistrationStatus(rawDetails.buttonTexts || []),
+      detailScrapedAt: new Date().toISOString()
+    };
+  }
+
+  // 采集活动详情页，直接把详情字段写入传入的活动对象
+  async scrapeEventDetails(context, events, options = {}) {
+    const targets = events.filter(event => event.url && (options.all || this.needsDetails(event)));
+    if (targets.length === 0) {
+      this.log('没有需要采集详情的活动');
+      return 0;
+    }
+
+    const source = this.detailFixturesDir ? `离线样本 ${this.detailFixturesDir}` : '活动详情页';
+    this.log(`开始采集 ${targets.length} 个活动的详情 (来源: ${source})`);
+
+    const detailPage = await context.newPage();
+    detailPage.setDefaultTimeout(60000);
+    let updated = 0;
+
+    for (const event of targets) {
+      try {
+        const loaded = await this.loadEventDetailPage(detailPage, event);
+        if (!loaded) {
+          this.log(`跳过详情 ${event.id}: 没有找到离线样本`);
+          continue;
+        }
+
+        const rawDetails = await this.extractEventDetailsFromPage(detailPage);
+        Object.assign(event, this.normalizeEventDetails(rawDetails, event));
+        updated++;
+        this.log(`详情采集完成 ${event.id}: 议程 ${event.agenda.length} 项, 嘉宾 ${event.speakers.length} 位, 报名状态 ${event.registrationStatus}`);
+      } catch (error) {
+        this.log(`详情采集失败 ${event.id}: ${error.message}`);
       }
 
-      await browserPage.waitForTimeout(2000);
+      if (!this.detailFixturesDir && this.detailDelay > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.detailDelay + Math.random() * 2000));
+      }
+    }
 
-      // 增量采集状态跟踪
-      let consecutiveEmptyPages = 0;
-      let consecutivePagesWithoutNew = 0;
-      let totalNewEvents = 0;
+    await detailPage.close();
+    this.log(`详情采集结束：成功 ${updated}/${targets.length} 个活动`);
+    return updated;
+  }
 
-      // 开始分页采集
-      while (true) {
-        this.log(`正在采集第 ${currentPage} 页...`);
+  // 仅对已有数据补采详情（不翻页），all 为 true 时重新采集全部活动
+  async runDetails(options = {}) {
+    if (this.existingEvents.length === 0) {
+      throw new Error('没有已有活动数据，请先运行列表采集');
+    }
 
-        try {
-          // 提取当前页面的活动
-          const pageEvents = await this.extractEventsFromPage(browserPage);
+    let browser = null;
+    try {
+      const launched = await this.launchBrowser();
+      browser = launched.browser;
+      const updated = await this.scrapeEventDetails(launched.context, this.existingEvents, options);
 
-          if (pageEvents.length === 0) {
-            consecutiveEmptyPages++;
-            this.log(`第 ${currentPage} 页没有找到活动 (连续空页: ${consecutiveEmptyPages})`);
+      if (updated > 0) {
+        fs.writeFileSync(this.outputFile, JSON.stringify(this.existingEvents, null, 2));
+        this.log(`已更新 ${updated} 个活动的详情数据`);
+      }
+    } finally {
+      if (browser) {
+        await browser.close();
+      }
+    }
+  }
 
-            if (consecutiveEmptyPages >= this.maxEmptyPages) {
-              this.log(`连续 ${this.maxEmptyPages} 页没有活动，可能已到达最后一页`);
-              break;
-            }
-          } else {
-            consecutiveEmptyPages = 0; // 重置连续空页计数
-          }
+  // 录制的列表页文件，例如 usergroup/page-001.html
+  listFixtureFile(source, pageNumber) {
+    return path.join(this.fixturesDir, source.id, `page-${String(pageNumber).padStart(3, '0')}.html`);
+  }
 
-          // 为页面上的每个活动分配sort字段（按网站显示顺序）
-          pageEvents.forEach(event => {
-            event.sort = globalSortIndex++;
-          });
+  // 回放模式：加载录制的列表页
+  async loadListFixture(browserPage, source, pageNumber) {
+    const fixtureFile = this.listFixtureFile(source, pageNumber);
+    if (!fs.existsSync(fixtureFile)) {
+      this.log(`没有第 ${pageNumber} 页的录制文件: ${fixtureFile}`);
+      return false;
+    }
 
-          const newEvents = pageEvents.filter(event => this.isNewEvent(event.id));
-          this.log(`第 ${currentPage} 页找到 ${pageEvents.length} 个活动，其中 ${newEvents.length} 个是新活动`);
+    await browserPage.setContent(fs.readFileSync(fixtureFile, 'utf8'), { waitUntil: 'domcontentloaded' });
+    return true;
+  }
 
-          // 增量采集逻辑：检查是否应该提前停止
-          if (this.incrementalMode && newEvents.length === 0) {
-            consecutivePagesWithoutNew++;
-            this.log(`连续 ${consecutivePagesWithoutNew} 页无新增活动`);
+  // 录制模式：开始前保存已有数据作为回放时的增量基线
+  startRecording() {
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(path.join(this.fixturesDir, 'events.json'), JSON.stringify(this.existingEvents, null, 2));
+    this.log(`📼 录制模式：列表页和详情页将保存到 ${this.fixturesDir}`);
+  }
 
-            if (consecutivePagesWithoutNew >= this.earlyStopThreshold) {
-              this.log(`🚀 增量采集模式：连续 ${this.earlyStopThreshold} 页无新增，提前结束采集`);
-              this.log(`📊 本次增量采集统计：总计新增 ${totalNewEvents} 个活动`);
-              break;
-            }
-          } else if (newEvents.length > 0) {
-            consecutivePagesWithoutNew = 0; // 重置连续无新增计数
-            totalNewEvents += newEvents.length;
-          }
+  // 录制模式：结束后记录录制参数，方便回放时核对
+  finishRecording() {
+    const manifest = {
+      recordedAt: new Date().toISOString(),
+      sources: this.sources.map(source => ({
+        id: source.id,
+        url: getSourceUrl(source),
+        pages: this.recordedPages[source.id] || 0
+      })),
+      incrementalMode: this.incrementalMode,
+      earlyStopThreshold: this.earlyStopThreshold,
+      maxEmptyPages: this.maxEmptyPages
+    };
+    fs.writeFileSync(path.join(this.fixturesDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    const pageCount = Object.values(this.recordedPages).reduce((sum, count) => sum + count, 0);
+    this.log(`📼 已录制 ${pageCount} 个列表页`);
+  }
 
-          // 处理新活动：下载图片
-          for (const event of newEvents) {
-            // 状态保持为 unknown（避免不准确的判断）
-            // 注释掉所有状态判断逻辑
-            // event.status = this.getStatusByTime(event.time);
-            // this.log(`活动状态: ${event.id} = ${event.status} (基于时间判断)`);
-
-            // 下载图片
-            if (event.imageUrl) {
-              try {
-                const imageName = await this.downloadImage(event.imageUrl, event.id);
-                if (imageName) {
-                  event.localImage = imageName;
-                }
-              } catch (error) {
-                this.log(`下载图片失败 ${event.id}: ${error.message}`);
-              }
-            }
-          }
+  // 打开活动列表第一页
+  async openListPage(browserPage, source) {
+    if (this.mode === 'replay') {
+      this.log(`▶️ 回放模式：从 ${this.fixturesDir} 读取 ${source.id} 的列表页`);
+      if (!await this.loadListFixture(browserPage, source, 1)) {
+        throw new Error(`没有找到录制的列表页，请先使用 --record 采集`);
+      }
+      return;
+    }
+
+    // 访问活动列表页。活动行会持续发起统计请求，不能使用 networkidle。
+    const sourceUrl = getSourceUrl(source);
+    this.log(`访问活动列表: ${sourceUrl}`);
+    let navigationError = null;
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      try {
+        await browserPage.goto(sourceUrl, {
+          waitUntil: 'domcontentloaded',
+          timeout: 90000
+        });
+        await browserPage.waitForSelector('a[href*="/event/"]', { timeout: 30000 });
+        navigationError = null;
+        break;
+      } catch (error) {
+        navigationError = error;
+        this.log(`第 ${attempt} 次加载活动列表失败: ${error.message}`);
+        if (attempt < 3) {
+          await browserPage.waitForTimeout(attempt * 5000);
+        }
+      }
+    }
+
+    if (navigationError) {
+      throw new Error(`活动列表 ${source.id} 连续加载失败: ${navigationError.message}`);
+    }
+
+    await browserPage.waitForTimeout(2000);
+  }
+
+  // 翻到下一页：回放模式加载下一个录制文件，否则点击下一页按钮并等待加载
+  async goToNextPage(browserPage, currentPage, source) {
+    if (this.mode === 'replay') {
+      return this.loadListFixture(browserPage, source, currentPage + 1);
+    }
+
+    const nextClicked = await this.clickNextPage(browserPage);
+    if (!nextClicked) {
+      return false;
+    }
+
+    // 等待页面加载
+    await browserPage.waitForTimeout(6000);
+
+    // 添加随机延迟，避免被反爬
+    const delay = 3000 + Math.random() * 2000;
+    await new Promise(resolve => setTimeout(resolve, delay));
+    return true;
+  }
 
-          // 保留本次页面上的全部活动，用于刷新已有活动的状态和时间。
-          allEvents = allEvents.concat(pageEvents);
+  // 采集单个来源的全部分页，state.sortIndex 在多个来源间连续递增
+  async scrapeSourcePages(browserPage, source, state) {
+    let sourceEvents = [];
+    let currentPage = 1;
+    let newerBound = null; // 上一页最后一个年份可信的活动日期
+
+    await this.openListPage(browserPage, source);
+
+    // 增量采集状态跟踪
+    let consecutiveEmptyPages = 0;
+    let consecutivePagesWithoutNew = 0;
+    let totalNewEvents = 0;
+
+    // 开始分页采集
+    while (true) {
+      this.log(`正在采集 ${source.id} 第 ${currentPage} 页...`);
+
+      try {
+        if (this.mode === 'record') {
+          const fixtureFile = this.listFixtureFile(source, currentPage);
+          fs.mkdirSync(path.dirname(fixtureFile), { recursive: true });
+          fs.writeFileSync(fixtureFile, await browserPage.content());
+        }
+
+        // 提取当前页面的活动，并为不带年份的日期推断年份
+        const pageEvents = await this.extractEventsFromPage(browserPage, source);
+        inferEventYears(pageEvents, { referenceDate: this.referenceDate, newerBound });
+        const pageAnchor = pageEvents
+          .filter(event => event.yearInference && event.yearInference.confidence === 'high')
+          .map(event => parseListDate(event.time))
+          .pop();
+        newerBound = pageAnchor || newerBound;
+
+        if (this.healthCheck) {
+          await this.checkPageHealth(browserPage, pageEvents, currentPage, source);
+        }
 
-          // 检查是否有下一页
-          const hasNextPage = await this.isNextPageAvailable(browserPage);
-          if (!hasNextPage) {
-            this.log(`第 ${currentPage} 页是最后一页，采集完成`);
+        if (pageEvents.length === 0) {
+          consecutiveEmptyPages++;
+          this.log(`第 ${currentPage} 页没有找到活动 (连续空页: ${consecutiveEmptyPages})`);
+
+          if (consecutiveEmptyPages >= this.maxEmptyPages) {
+            this.log(`连续 ${this.maxEmptyPages} 页没有活动，可能已到达最后一页`);
             break;
           }
+        } else {
+          consecutiveEmptyPages = 0; // 重置连续空页计数
+        }
+
+        // 为页面上的每个活动分配sort字段（按网站显示顺序）
+        pageEvents.forEach(event => {
+          event.sort = state.sortIndex++;
+          event.sourceId = source.id;
+        });
+
+        const newEvents = pageEvents.filter(event => this.isNewEvent(event.id));
+        this.log(`第 ${currentPage} 页找到 ${pageEvents.length} 个活动，其中 ${newEvents.length} 个是新活动`);
+
+        // 增量采集逻辑：检查是否应该提前停止
+        if (this.incrementalMode && newEvents.length === 0) {
+          consecutivePagesWithoutNew++;
+          this.log(`连续 ${consecutivePagesWithoutNew} 页无新增活动`);
 
-          // 点击下一页
-          const nextClicked = await this.clickNextPage(browserPage);
-          if (!nextClicked) {
-            this.log('无法点击下一页按钮，采集结束');
+          if (consecutivePagesWithoutNew >= this.earlyStopThreshold) {
+            this.log(`🚀 增量采集模式：连续 ${this.earlyStopThreshold} 页无新增，提前结束采集`);
+            this.log(`📊 本次增量采集统计：总计新增 ${totalNewEvents} 个活动`);
             break;
           }
+        } else if (newEvents.length > 0) {
+          consecutivePagesWithoutNew = 0; // 重置连续无新增计数
+          totalNewEvents += newEvents.length;
+        }
+
+        // 处理新活动：并发下载图片（回放模式不访问网络）
+        // 状态保持为 unknown（避免不准确的判断）
+        const imageTasks = newEvents
+          .filter(event => event.imageUrl && this.mode !== 'replay')
+          .map(event => ({ imageUrl: event.imageUrl, eventId: event.id }));
+        if (imageTasks.length > 0) {
+          const imageResults = await this.imageDownloader.downloadAll(imageTasks);
+          imageResults.forEach(result => {
+            const event = newEvents.find(item => item.id === result.eventId);
+            if (result.error) {
+              this.log(`下载图片失败 ${result.eventId}: ${result.error}`);
+            } else if (result.filename) {
+              event.localImage = result.filename;
+            }
+          });
+        }
 
-          // 等待页面加载
-          await browserPage.waitForTimeout(6000);
-          currentPage++;
+        // 保留本次页面上的全部活动，用于刷新已有活动的状态和时间。
+        sourceEvents = sourceEvents.concat(pageEvents);
 
-          // 添加随机延迟，避免被反爬
-          const delay = 3000 + Math.random() * 2000;
-          await new Promise(resolve => setTimeout(resolve, delay));
+        // 检查是否有下一页
+        const hasNextPage = await this.isNextPageAvailable(browserPage);
+        if (!hasNextPage) {
+          this.log(`第 ${currentPage} 页是最后一页，采集完成`);
+          this.completedSources.add(source.id);
+          break;
+        }
 
-        } catch (error) {
-          this.log(`第 ${currentPage} 页采集失败: ${error.message}`);
+        // 翻到下一页
+        const nextOpened = await this.goToNextPage(browserPage, currentPage, source);
+        if (!nextOpened) {
+          this.log('无法打开下一页，采集结束');
           break;
         }
+
+        currentPage++;
+
+      } catch (error) {
+        this.log(`第 ${currentPage} 页采集失败: ${error.message}`);
+        break;
+      }
+    }
+
+    if (this.mode === 'record') {
+      this.recordedPages[source.id] = currentPage;
+    }
+
+    return sourceEvents;
+  }
+
+  // 分页采集方法：依次采集所有启用的来源
+  async scrapeAllPages() {
+    let browser = null;
+    let allEvents = [];
+    const state = { sortIndex: 1 }; // 全局sort索引，按网站显示顺序递增
+    this.pageHealth = [];
+    this.recordedPages = {};
+    this.completedSources = new Set(); // 本次完整遍历到最后一页的来源
+
+    try {
+      const launched = await this.launchBrowser();
+      browser = launched.browser;
+      const context = launched.context;
+      const browserPage = await context.newPage();
+      browserPage.setDefaultTimeout(60000);
+
+      if (this.mode === 'record') {
+        this.startRecording();
+      }
+
+      for (const source of this.sources) {
+        this.log(`📡 采集来源 ${source.id} (${source.name || source.orgId})`);
+        const sourceEvents = await this.scrapeSourcePages(browserPage, source, state);
+
+        // 同一活动可能由多个主办方账号发布，保留最先采集到的来源
+        const seenIds = new Set(allEvents.map(event => event.id));
+        const uniqueEvents = sourceEvents.filter(event => !seenIds.has(event.id));
+        if (uniqueEvents.length < sourceEvents.length) {
+          this.log(`来源 ${source.id} 有 ${sourceEvents.length - uniqueEvents.length} 个活动已由其他来源采集，跳过`);
+        }
+        allEvents = allEvents.concat(uniqueEvents);
+      }
+
+      if (this.detailsEnabled) {
+        await this.scrapeEventDetails(context, allEvents);
+      }
+
+      if (this.mode === 'record') {
+        this.finishRecording();
       }
 
     } catch (error) {
@@ -461,25 +1203,67 @@ class EventPaginationScraper {
     // 抓取到的活动排在前面并刷新状态；未出现在本次增量抓取中的旧活动继续保留。
     const existingById = new Map(this.existingEvents.map(event => [event.id, event]));
     const scrapedIds = new Set(scrapedEvents.map(event => event.id));
-    const refreshedEvents = scrapedEvents.map(event => ({
-      ...existingById.get(event.id),
-      ...event,
-      localImage: event.localImage || existingById.get(event.id)?.localImage
-    }));
-    const preservedEvents = this.existingEvents.filter(event => !scrapedIds.has(event.id));
+    const refreshedEvents = scrapedEvents.map(event => {
+      const refreshed = {
+        ...existingById.get(event.id),
+        ...event,
+        localImage: event.localImage || existingById.get(event.id)?.localImage
+      };
+      // 重新出现在列表中的活动不再算作缺失
+      delete refreshed.missingRuns;
+      delete refreshed.missingSince;
+      return refreshed;
+    });
+
+    // 完整遍历过的来源中没有出现的旧活动记一次缺失；提前结束的增量采集无法判断，不计数
+    const missingAt = new Date().toISOString();
+    let missingCount = 0;
+    const preservedEvents = this.existingEvents
+      .filter(event => !scrapedIds.has(event.id))
+      .map(event => {
+        if (!this.completedSources.has(event.sourceId || DEFAULT_SOURCE.id)) {
+          return event;
+        }
+        missingCount++;
+        return {
+          ...event,
+          missingRuns: (event.missingRuns || 0) + 1,
+          missingSince: event.missingSince || missingAt
+        };
+      });
     const mergedEvents = [...refreshedEvents, ...preservedEvents];
+    if (missingCount > 0) {
+      this.log(`⚠️ ${missingCount} 个已有活动没有出现在完整遍历的来源列表中`);
+    }
 
     mergedEvents.forEach((event, index) => {
       event.sort = index + 1;
     });
 
-    fs.writeFileSync(this.dataFile, JSON.stringify(mergedEvents, null, 2));
+    fs.writeFileSync(this.outputFile, JSON.stringify(mergedEvents, null, 2));
     const newEvents = scrapedEvents.filter(event => !existingById.has(event.id));
     this.log(`刷新了 ${scrapedEvents.length} 个活动，新增 ${newEvents.length} 个，总计 ${mergedEvents.length} 个活动`);
 
+    this.saveEngagementHistory(scrapedEvents);
     this.generateReport(newEvents, mergedEvents);
   }
 
+  // 只记录本次实际抓取到的活动；保留下来的旧活动数值没有刷新，不能当作新快照
+  saveEngagementHistory(scrapedEvents) {
+    let history = null;
+    if (fs.existsSync(this.historyFile)) {
+      try {
+        history = JSON.parse(fs.readFileSync(this.historyFile, 'utf8'));
+      } catch (error) {
+        this.log(`读取互动历史失败，将重新开始记录: ${error.message}`);
+      }
+    }
+
+    const result = appendEngagementSnapshots(history, scrapedEvents);
+    fs.writeFileSync(this.historyFile, serializeEngagementHistory(result.history));
+    this.log(`互动历史: 追加 ${result.appended} 条快照，共 ${Object.keys(result.history.events).length} 个活动`);
+  }
+
   generateReport(newEvents, allEvents) {
     const report = {
       scrapedAt: new Date().toISOString(),
@@ -493,7 +1277,7 @@ class EventPaginationScraper {
       }
     };
 
-    const reportFile = path.join(this.dataDir, 'report.json');
+    const reportFile = path.join(path.dirname(this.outputFile), 'report.json');
     fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
     this.log(`统计报告已保存到: ${reportFile}`);
 
@@ -589,6 +1373,9 @@ class EventPaginationScraper {
       }
 
       const newEvents = await this.scrapeAllPages();
+      if (this.healthCheck) {
+        this.finishHealthCheck();
+      }
       this.saveEvents(newEvents);
 
     } catch (error) {
@@ -601,13 +1388,23 @@ class EventPaginationScraper {
 if (require.main === module) {
   const args = process.argv.slice(2);
   const mode = args[0] || 'incremental';
-  const scraper = new EventPaginationScraper();
+  const fixturesIndex = args.indexOf('--fixtures');
+  const sourceIndex = args.indexOf('--source');
+  const scraper = new EventPaginationScraper({
+    details: args.includes('--details') || mode === 'details',
+    mode: args.includes('--replay') ? 'replay' : args.includes('--record') ? 'record' : 'live',
+    healthCheck: !args.includes('--skip-health-check'),
+    sourceIds: sourceIndex !== -1 ? args[sourceIndex + 1].split(',') : undefined,
+    fixturesDir: fixturesIndex !== -1 ? args[fixturesIndex + 1] : undefined
+  });
 
   const run = mode === 'full' || mode === '--full'
     ? scraper.runFull()
     : mode === 'quick' || mode === '--quick'
       ? scraper.runIncremental({ earlyStopThreshold: 1 })
-      : scraper.run();
+      : mode === 'details'
+        ? scraper.runDetails({ all: args.includes('--all') })
+        : scraper.run();
 
   run.catch(error => {
     console.error(error);
@@ -615,4 +1412,12 @@ if (require.main === module) {
   });
 }
 
-module.exports = EventPaginationScraper;
\ No newline at end of file
+module.exports = EventPaginationScraper;
+module.exports.parseDetailTimeRange = parseDetailTimeRange;
+module.exports.parseAgendaRow = parseAgendaRow;
+module.exports.detectRegistrationStatus = detectRegistrationStatus;
+module.exports.evaluatePageHealth = evaluatePageHealth;
+module.exports.buildHealthReport = buildHealthReport;
+module.exports.appendEngagementSnapshots = appendEngagementSnapshots;
+module.exports.serializeEngagementHistory = serializeEngagementHistory;
+module.exports.inferEventYears = inferEventYears;
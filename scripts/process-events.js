@@ -6,9 +6,10 @@
  */
 
 import { execSync } from 'child_process';
-import { readFileSync, writeFileSync, existsSync, mkdirSync, statSync } from 'fs';
-import { join, dirname } from 'path';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, statSync, readdirSync } from 'fs';
+import { join, dirname, basename, resolve, relative } from 'path';
 import { fileURLToPath } from 'url';
+import { load as loadYaml } from 'js-yaml';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -20,11 +21,29 @@ const config = {
   dataDir: join(rootDir, 'data', 'events'),
   srcDataDir: join(rootDir, 'src', 'data', 'events'),
   eventsFile: join(rootDir, 'data', 'events', 'events.json'),
+  manualEventsDir: join(rootDir, 'data', 'events', 'manual'),
+  overridesFile: join(rootDir, 'data', 'events', 'overrides.yaml'),
+  duplicateDecisionsFile: join(rootDir, 'data', 'events', 'duplicate-decisions.json'),
+  cityMappingDecisionsFile: join(rootDir, 'data', 'events', 'city-mapping-decisions.json'),
+  icsDir: join(rootDir, 'data', 'events', 'ics'),
   citiesFile: join(rootDir, 'src', 'data', 'cities.json'),
+  communitiesFile: join(rootDir, 'src', 'data', 'specialized-communities.json'),
+  sourcesFile: join(rootDir, 'data', 'events', 'sources.json'),
+  historyFile: join(rootDir, 'data', 'events', 'engagement-history.json'),
+  changelogFile: join(rootDir, 'data', 'events', 'changelog.json'),
+  processingCacheFile: join(rootDir, 'data', 'events', 'processing-cache.json'),
+  slugRegistryFile: join(rootDir, 'src', 'data', 'events', 'slug-registry.json'),
+  tagTaxonomyFile: join(rootDir, 'src', 'data', 'tag-taxonomy.json'),
+  cityGazetteerFile: join(rootDir, 'src', 'data', 'city-gazetteer.json'),
+  seriesFile: join(rootDir, 'src', 'data', 'event-series.json'),
+  translationGlossaryFile: join(rootDir, 'src', 'data', 'translation-glossary.json'),
+  schemaDir: join(rootDir, 'src', 'schemas'),
+  tombstoneAfterRuns: 3, // Full scrapes an event may be missing before it gets a tombstone page
   outputFiles: {
     processedEvents: join(rootDir, 'src', 'data', 'events', 'processed-events.json'),
     cityMappings: join(rootDir, 'src', 'data', 'events', 'city-mappings.json'),
     eventStats: join(rootDir, 'src', 'data', 'events', 'event-stats.json'),
+    series: join(rootDir, 'src', 'data', 'events', 'series.json'),
     qualityReport: join(rootDir, 'data', 'events', 'quality-report.json')
   },
   scrapeTimeout: 10 * 60 * 1000, // 10 minutes
@@ -33,6 +52,7 @@ const config = {
 
 class EventProcessor {
   constructor() {
+    this.previousEvents = [];
     this.ensureDirectories();
   }
 
@@ -127,7 +147,7 @@ class EventProcessor {
   /**
    * Load raw events data
    */
-  loadRawEvents() {
+  async loadRawEvents() {
     if (!existsSync(config.eventsFile)) {
       throw new Error('Event data file not found');
     }
@@ -142,14 +162,18 @@ class EventProcessor {
 
       // Historical workflows did not commit raw data, so preserve any events that only exist
       // in the last valid processed dataset until the scraper sees them again.
+      // Manual and calendar-imported events are excluded: they are re-read from their files every run.
+      // Overrides are reverted so they are applied afresh, or not at all once removed.
       let mergedEvents = events;
       if (existsSync(config.outputFiles.processedEvents)) {
+        const { revertEventOverrides } = await import('./utils/eventProcessing.js');
         const previousProcessed = JSON.parse(readFileSync(config.outputFiles.processedEvents, 'utf8'));
         if (Array.isArray(previousProcessed)) {
+          this.previousEvents = previousProcessed;
           const rawIds = new Set(events.map(event => event.id));
           mergedEvents = [
             ...events,
-            ...previousProcessed.filter(event => !rawIds.has(event.id))
+            ...previousProcessed.filter(event => !rawIds.has(event.id) && !event.origin).map(revertEventOverrides)
           ];
         }
       }
@@ -161,6 +185,258 @@ class EventProcessor {
     }
   }
 
+  /**
+   * Load manually maintained events from data/events/manual/*.yaml
+   * Files starting with "_" (such as the template) are skipped.
+   */
+  loadManualEvents() {
+    if (!existsSync(config.manualEventsDir)) {
+      return [];
+    }
+
+    const files = readdirSync(config.manualEventsDir)
+      .filter(file => /\.ya?ml$/.test(file) && !file.startsWith('_'))
+      .sort();
+    const events = [];
+    const seenIds = new Map();
+
+    files.forEach(file => {
+      let entries;
+      try {
+        entries = loadYaml(readFileSync(join(config.manualEventsDir, file), 'utf8')) || [];
+      } catch (error) {
+        throw new Error(`Failed to parse manual events file ${file}: ${error.message}`);
+      }
+      if (!Array.isArray(entries)) {
+        throw new Error(`Manual events file ${file} must contain a list of events`);
+      }
+
+      entries.forEach(entry => {
+        const id = entry?.id === undefined ? '' : String(entry.id);
+        if (id && seenIds.has(id)) {
+          throw new Error(`Manual event "${id}" is defined in both ${seenIds.get(id)} and ${file}`);
+        }
+        seenIds.set(id, file);
+        events.push({ ...entry, id, manualFile: file });
+      });
+    });
+
+    if (events.length > 0) {
+      this.log(`Loaded ${events.length} manual events from ${files.length} files`);
+    }
+    return events;
+  }
+
+  /**
+   * Merge manual events into the scraped events (manual fields take precedence)
+   */
+  async mergeManualEvents(scrapedEvents, manualEvents) {
+    if (manualEvents.length === 0) {
+      return scrapedEvents;
+    }
+
+    const { mergeManualEvents } = await import('./utils/eventProcessing.js');
+    const { events, summary } = mergeManualEvents(scrapedEvents, manualEvents);
+    this.log(`Merged manual events: ${summary.added} added, ${summary.overridden} overriding scraped events`);
+    return events;
+  }
+
+  /**
+   * Load calendar events from data/events/ics/*.ics and any files passed with --ics
+   */
+  async loadIcsEvents(extraFiles = []) {
+    const files = existsSync(config.icsDir)
+      ? readdirSync(config.icsDir).filter(file => file.endsWith('.ics')).sort().map(file => join(config.icsDir, file))
+      : [];
+    extraFiles.map(file => resolve(file)).forEach(file => {
+      if (!files.includes(file)) files.push(file);
+    });
+    if (files.length === 0) {
+      return [];
+    }
+
+    const { importICalendarEvents } = await import('./utils/icalendar.js');
+    const events = files.flatMap(file => {
+      if (!existsSync(file)) {
+        throw new Error(`Calendar file not found: ${file}`);
+      }
+      return importICalendarEvents(readFileSync(file, 'utf8'), { fileName: basename(file) });
+    });
+
+    this.log(`Imported ${events.length} calendar events from ${files.length} .ics files`);
+    return events;
+  }
+
+  /**
+   * Load per-event overrides from data/events/overrides.yaml, keyed by event ID
+   */
+  async loadOverrides(cities, communities = []) {
+    if (!existsSync(config.overridesFile)) {
+      return {};
+    }
+
+    let overrides;
+    try {
+      overrides = loadYaml(readFileSync(config.overridesFile, 'utf8')) || {};
+    } catch (error) {
+      throw new Error(`Failed to parse overrides file: ${error.message}`);
+    }
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('Overrides file must map event IDs to override fields');
+    }
+
+    const { validateEventOverrides } = await import('./utils/eventProcessing.js');
+    const errors = validateEventOverrides(overrides, { cities, communities });
+    if (errors.length > 0) {
+      throw new Error(`Invalid overrides:\n  ${errors.join('\n  ')}`);
+    }
+
+    this.log(`Loaded ${Object.keys(overrides).length} event overrides`);
+    return overrides;
+  }
+
+  /**
+   * Load the series definitions (title patterns) from src/data/event-series.json
+   */
+  async loadSeriesDefinitions() {
+    if (!existsSync(config.seriesFile)) {
+      return [];
+    }
+
+    let definitions;
+    try {
+      definitions = JSON.parse(readFileSync(config.seriesFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse series definitions: ${error.message}`);
+    }
+
+    const { validateSeriesDefinitions } = await import('./utils/eventSeries.js');
+    const errors = validateSeriesDefinitions(definitions);
+    if (errors.length > 0) {
+      throw new Error(`Invalid series definitions:\n  ${errors.join('\n  ')}`);
+    }
+    return definitions;
+  }
+
+  /**
+   * Load the Chinese → English terms used to translate event titles from
+   * src/data/translation-glossary.json
+   */
+  loadTranslationGlossary() {
+    if (!existsSync(config.translationGlossaryFile)) {
+      return {};
+    }
+
+    let glossary;
+    try {
+      glossary = JSON.parse(readFileSync(config.translationGlossaryFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse translation glossary: ${error.message}`);
+    }
+
+    const invalid = Object.entries(glossary).filter(([, en]) => typeof en !== 'string').map(([zh]) => zh);
+    if (invalid.length > 0) {
+      throw new Error(`Invalid translation glossary: translations must be strings (${invalid.join(', ')})`);
+    }
+    this.log(`Loaded ${Object.keys(glossary).length} translation glossary terms`);
+    return glossary;
+  }
+
+  /**
+   * Load confirmed/rejected near-duplicate decisions recorded by scripts/review-duplicates.js
+   */
+  loadDuplicateDecisions() {
+    if (!existsSync(config.duplicateDecisionsFile)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(readFileSync(config.duplicateDecisionsFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load duplicate decisions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the city decisions recorded by scripts/audit-city-mapping.js, keyed by event ID
+   */
+  async loadCityMappingDecisions(cities) {
+    if (!existsSync(config.cityMappingDecisionsFile)) {
+      return {};
+    }
+
+    let decisions;
+    try {
+      decisions = JSON.parse(readFileSync(config.cityMappingDecisionsFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load city mapping decisions: ${error.message}`);
+    }
+
+    const { validateCityMappingDecisions } = await import('./utils/cityMapping.js');
+    const errors = validateCityMappingDecisions(decisions, { cities });
+    if (errors.length > 0) {
+      throw new Error(`Invalid city mapping decisions:\n  ${errors.join('\n  ')}`);
+    }
+    return decisions;
+  }
+
+  /**
+   * Load the series published by the previous run, so auto-detected series keep their IDs
+   */
+  loadPreviousSeries() {
+    if (!existsSync(config.outputFiles.series)) {
+      return [];
+    }
+
+    try {
+      const series = JSON.parse(readFileSync(config.outputFiles.series, 'utf8'));
+      return Array.isArray(series) ? series : [];
+    } catch (error) {
+      throw new Error(`Failed to load previous series: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the slugs events were previously published under
+   */
+  loadSlugRegistry() {
+    if (!existsSync(config.slugRegistryFile)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(readFileSync(config.slugRegistryFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load slug registry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the processing cache. It is keyed by a hash of the tag taxonomy, city gazetteer,
+   * cities and sources, so editing any of them re-derives every event.
+   */
+  async loadProcessingCache(cities, sources, fullRebuild = false) {
+    const { computeConfigHash, readProcessingCache } = await import('./utils/processingCache.js');
+    const configHash = computeConfigHash({
+      taxonomy: JSON.parse(readFileSync(config.tagTaxonomyFile, 'utf8')),
+      gazetteer: JSON.parse(readFileSync(config.cityGazetteerFile, 'utf8')),
+      cities,
+      sources
+    });
+
+    let data = null;
+    if (existsSync(config.processingCacheFile)) {
+      try {
+        data = JSON.parse(readFileSync(config.processingCacheFile, 'utf8'));
+      } catch (error) {
+        this.log(`Ignoring unreadable processing cache: ${error.message}`, 'warning');
+      }
+    }
+
+    const cache = readProcessingCache(data, configHash);
+    return fullRebuild ? { ...cache, reusable: false, invalidated: false } : cache;
+  }
+
   /**
    * Load cities data
    */
@@ -180,10 +456,77 @@ class EventProcessor {
     }
   }
 
+  /**
+   * Load specialized communities and their event keywords
+   */
+  loadCommunities() {
+    if (!existsSync(config.communitiesFile)) {
+      this.log('No specialized communities file found, skipping community mapping', 'warning');
+      return [];
+    }
+
+    try {
+      const communities = JSON.parse(readFileSync(config.communitiesFile, 'utf8'));
+      this.log(`Loaded ${communities.length} specialized communities`);
+      return communities;
+    } catch (error) {
+      throw new Error(`Failed to load specialized communities: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load organizer sources and check their default city/community references
+   */
+  loadSources(cities, communities = []) {
+    if (!existsSync(config.sourcesFile)) {
+      this.log('No event sources file found, skipping source defaults', 'warning');
+      return [];
+    }
+
+    try {
+      const sources = JSON.parse(readFileSync(config.sourcesFile, 'utf8'));
+      const cityIds = new Set(cities.map(city => city.id));
+      const communityIds = new Set(communities.map(community => community.id));
+
+      sources.forEach(source => {
+        if (source.defaultCity && !cityIds.has(source.defaultCity)) {
+          this.log(`Source "${source.id}" has unknown default city "${source.defaultCity}"`, 'warning');
+        }
+        if (source.defaultCommunity && !communityIds.has(source.defaultCommunity)) {
+          this.log(`Source "${source.id}" has unknown default community "${source.defaultCommunity}"`, 'warning');
+        }
+      });
+
+      this.log(`Loaded ${sources.length} event sources`);
+      return sources;
+    } catch (error) {
+      throw new Error(`Failed to load event sources: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the per-event views/favorites snapshots appended by the scraper
+   */
+  loadEngagementHistory() {
+    if (!existsSync(config.historyFile)) {
+      this.log('No engagement history found, skipping growth metrics', 'warning');
+      return null;
+    }
+
+    try {
+      const history = JSON.parse(readFileSync(config.historyFile, 'utf8'));
+      this.log(`Loaded engagement history for ${Object.keys(history.events || {}).length} events`);
+      return history;
+    } catch (error) {
+      this.log(`Failed to load engagement history: ${error.message}`, 'warning');
+      return null;
+    }
+  }
+
   /**
    * Process events using the event processing utilities with data cleaning and quality reporting
    */
-  async processEvents(rawEvents, cities) {
+  async processEvents(rawEvents, cities, sources = [], history = null, overrides = {}, cache = null, seriesDefinitions = [], glossary = {}, communities = []) {
     this.log('Processing events with data cleaning and quality checks...');
 
     try {
@@ -194,9 +537,17 @@ class EventProcessor {
         calculateEventStats,
         removeDuplicateEvents,
         cleanEventData,
-        generateDataQualityReport
+        generateDataQualityReport,
+        applyEventOverrides
       } = await import('./utils/eventProcessing.js');
-      const { createCityMappingEngine } = await import('./utils/cityMapping.js');
+      const { createCityMappingEngine, applyCityMappingDecisions } = await import('./utils/cityMapping.js');
+      const { createCommunityMappingEngine } = await import('./utils/communityMapping.js');
+      const { trackEventLifecycle } = await import('./utils/eventLifecycle.js');
+      const { findDuplicateCandidates, applyDuplicateDecisions } = await import('./utils/duplicateDetection.js');
+      const { computeEventHash, diffAgainstCache, buildProcessingCache } = await import('./utils/processingCache.js');
+      const { updateSlugRegistry } = await import('./utils/slugRegistry.js');
+      const { detectEventSeries } = await import('./utils/eventSeries.js');
+      const { applyEnglishText } = await import('./utils/eventTranslation.js');
 
       // Step 1: Remove duplicates
       this.log('Step 1: Removing duplicate events...');
@@ -236,30 +587,125 @@ class EventProcessor {
         this.log(`Found ${validation.warnings.length} events with warnings`, 'warning');
       }
 
-      // Step 4: Process valid events
+      // Step 4: Process valid events, reusing cached results for events whose content hash is unchanged
       this.log('Step 4: Processing valid events...');
-      const processedEvents = processEvents(validation.valid);
-      this.log(`Processed ${processedEvents.length} events`);
+      const cacheEntries = cache ? cache.entries : new Map();
+      const hashedEvents = validation.valid.map(event => ({ ...event, contentHash: computeEventHash(event) }));
+      const changes = diffAgainstCache(hashedEvents, cacheEntries);
+      const reused = cache?.reusable
+        ? new Map(changes.unchanged.map(event => [event.id, cacheEntries.get(event.id)]))
+        : new Map();
+      const processedEvents = processEvents(hashedEvents, reused);
+      this.log(`Processed ${processedEvents.length} events (${changes.added.length} new, ${changes.changed.length} changed, ${reused.size} cached)`);
+      if (cache?.invalidated) {
+        this.log('Tag taxonomy, city gazetteer, cities or sources changed; processing cache rebuilt', 'warning');
+      }
 
-      // Step 5: Map events to cities
+      // Step 5: Map new and changed events to cities
       this.log('Step 5: Mapping events to cities...');
-      const cityMappingEngine = createCityMappingEngine(cities);
-      const mappedEvents = cityMappingEngine.mapEventsToCities(processedEvents);
-      this.log('Mapped events to cities');
+      const cityMappingEngine = createCityMappingEngine(cities, { sources });
+      const remapped = new Map(
+        cityMappingEngine.mapEventsToCities(processedEvents.filter(event => !reused.has(event.id)))
+          .map(event => [event.id, event])
+      );
+      const cityMappedEvents = processedEvents.map(event => remapped.get(event.id) || event);
+      this.log(`Mapped ${remapped.size} events to cities`);
+      const processingCache = cache ? buildProcessingCache(cityMappedEvents, cache.configHash) : null;
+
+      // Reviewed cities are applied after caching so the cache keeps the automatic mapping
+      const cityDecisions = applyCityMappingDecisions(cityMappedEvents, await this.loadCityMappingDecisions(cities));
+      const unreviewed = cityDecisions.events
+        .filter(event => !cityDecisions.applied.includes(event.id) && cityMappingEngine.needsReview(event));
+      this.log(`Applied ${cityDecisions.applied.length} reviewed city decisions, ${unreviewed.length} events have an ambiguous location`);
+      if (cityDecisions.outdated.length > 0) {
+        this.log(`${cityDecisions.outdated.length} city decisions were made for a location that has since changed: ${cityDecisions.outdated.join(', ')}`, 'warning');
+      }
+      if (unreviewed.length > 0) {
+        this.log('Review them with: node scripts/audit-city-mapping.js', 'warning');
+      }
+
+      // Specialized communities: the organizer's own community, title keywords and attendance modes.
+      // Mapped after the reviewed cities so events the audit marked as online count as online;
+      // overrides of the title or attendance mode rematch them in step 7
+      const communityMappingEngine = createCommunityMappingEngine(communities, { sources });
+      const communityMappedEvents = communityMappingEngine.mapEventsToCommunities(cityDecisions.events);
+      const communityStats = communityMappingEngine.generateMappingStats(communityMappedEvents);
+      this.log(`Mapped ${communityStats.mappedEvents} events to specialized communities`);
+      Object.entries(communityStats.eventsByCommunity).forEach(([communityId, count]) => {
+        this.log(`  - ${communityId}: ${count} events`);
+      });
+
+      // Step 6: Drop confirmed near-duplicates and report new candidate pairs for review
+      this.log('Step 6: Detecting near-duplicate events...');
+      const decisions = this.loadDuplicateDecisions();
+      const decided = applyDuplicateDecisions(communityMappedEvents, decisions);
+      const nearDuplicates = findDuplicateCandidates(decided.events, { decisions });
+      this.log(`Removed ${decided.removed.length} confirmed duplicates, found ${nearDuplicates.length} candidate pairs to review`);
+      if (nearDuplicates.length > 0) {
+        this.log('Review candidates with: node scripts/review-duplicates.js', 'warning');
+      }
+
+      // Step 7: Apply data/events/overrides.yaml so pinned values win over computed ones
+      this.log('Step 7: Applying event overrides...');
+      const overrideResult = applyEventOverrides(decided.events, overrides, { cityMappingEngine, communityMappingEngine });
+      this.log(`Applied overrides to ${overrideResult.applied.length} events (${overrideResult.hidden.length} hidden)`);
+      if (overrideResult.stale.length > 0) {
+        this.log(`${overrideResult.stale.length} overrides point at events that no longer exist: ${overrideResult.stale.join(', ')}`, 'warning');
+      }
+
+      // Step 8: Track lifecycle changes against the previous processed dataset. That
+      // dataset was saved with overrides applied, so this run is compared after them too
+      // and a pinned time or title is not reported as a change on every run.
+      this.log('Step 8: Tracking event lifecycle changes...');
+      const lifecycle = trackEventLifecycle(overrideResult.events, this.previousEvents, {
+        tombstoneAfterRuns: config.tombstoneAfterRuns
+      });
+      this.log(`Recorded ${lifecycle.changes.length} lifecycle changes`);
+      Object.entries(lifecycle.summary).forEach(([type, count]) => {
+        this.log(`  - ${type}: ${count} events`);
+      });
+
+      // Keep the slugs events were published under so the old links redirect
+      const slugs = updateSlugRegistry(this.loadSlugRegistry(), lifecycle.events, this.previousEvents);
+      if (slugs.changes.length > 0) {
+        this.log(`Recorded ${slugs.changes.length} changed slugs in the slug registry`);
+      }
+
+      // Step 9: English titles and summaries, after overrides so pinned English text wins
+      this.log('Step 9: Generating English titles and summaries...');
+      const english = applyEnglishText(lifecycle.events, glossary, { cities });
+      const formatSources = counts => Object.entries(counts).map(([source, count]) => `${count} ${source}`).join(', ');
+      this.log(`English titles: ${formatSources(english.summary.title)}; summaries: ${formatSources(english.summary.summary)}`);
+      if (english.summary.title.transliterated > 0) {
+        this.log(`${english.summary.title.transliterated} English titles fall back to pinyin; add terms to the translation glossary or pin titleEn in overrides`, 'warning');
+      }
+
+      // Step 10: Group recurring events into series, after overrides so pinned titles count
+      this.log('Step 10: Grouping events into series...');
+      const seriesResult = detectEventSeries(english.events, seriesDefinitions, {
+        cities,
+        translate: english.translate,
+        previousSeries: this.loadPreviousSeries()
+      });
+      const mappedEvents = seriesResult.events;
+      const series = seriesResult.series;
+      const autoSeries = series.filter(entry => entry.auto).length;
+      this.log(`Grouped ${mappedEvents.filter(event => event.seriesId).length} events into ${series.length} series (${autoSeries} detected by title similarity)`);
 
       // Generate city mappings
       const cityMappings = cityMappingEngine.generateCityMappings(mappedEvents);
-      const citiesWithEvents = cityMappings.filter(mapping => mapping.eventCount > 0);
-      this.log(`Generated mappings for ${citiesWithEvents.length} cities with events`);
+      const citiesWithEvents = cityMappings.filter(mapping => !mapping.virtual && mapping.eventCount > 0);
+      const onlineChannel = cityMappings.find(mapping => mapping.virtual);
+      this.log(`Generated mappings for ${citiesWithEvents.length} cities with events and ${onlineChannel?.eventCount || 0} online events`);
 
-      // Step 6: Calculate statistics
-      this.log('Step 6: Calculating statistics...');
-      const eventStats = calculateEventStats(mappedEvents);
+      // Step 11: Calculate statistics
+      this.log('Step 11: Calculating statistics...');
+      const eventStats = calculateEventStats(mappedEvents, history);
       const mappingStats = cityMappingEngine.generateMappingStats(mappedEvents);
 
-      // Step 7: Generate data quality report
-      this.log('Step 7: Generating data quality report...');
-      const qualityReport = generateDataQualityReport(rawEvents, validation, deduplication, cleaning);
+      // Step 12: Generate data quality report
+      this.log('Step 12: Generating data quality report...');
+      const qualityReport = generateDataQualityReport(rawEvents, validation, deduplication, cleaning, overrideResult, nearDuplicates);
 
       // Combine stats with quality information
       const combinedStats = {
@@ -275,7 +721,16 @@ class EventProcessor {
           warningEvents: validation.summary.warningEvents,
           processedEvents: mappedEvents.length,
           citiesWithEvents: citiesWithEvents.length,
+          series: series.length,
+          englishText: english.summary,
           dataQualityScore: validation.summary.qualityScore,
+          incremental: {
+            newEvents: changes.added.length,
+            changedEvents: changes.changed.length,
+            cachedEvents: reused.size,
+            removedEvents: changes.removed.length,
+            cacheRebuilt: Boolean(cache?.invalidated)
+          },
           processedAt: new Date().toISOString()
         },
         qualityReport
@@ -287,11 +742,16 @@ class EventProcessor {
       return {
         processedEvents: mappedEvents,
         cityMappings,
+        series,
         eventStats: combinedStats,
         validation,
         deduplication,
         cleaning,
-        qualityReport
+        qualityReport,
+        lifecycleChanges: lifecycle.changes,
+        processingCache,
+        slugRegistry: slugs.registry,
+        changes
       };
 
     } catch (error) {
@@ -300,11 +760,30 @@ class EventProcessor {
   }
 
   /**
-   * Save processed data to files including quality report
+   * Save processed data to files including quality report and lifecycle changelog
    */
-  saveProcessedData({ processedEvents, cityMappings, eventStats, qualityReport }) {
+  async saveProcessedData({ processedEvents, cityMappings, series = [], eventStats, qualityReport, lifecycleChanges = [], processingCache = null, slugRegistry = null }) {
     this.log('Saving processed data and quality report...');
 
+    // Nothing is written unless every output matches its schema, so a bad run never
+    // replaces the data the site was last built from
+    const { createSchemaValidator, loadSchemas } = await import('./utils/schemaValidation.js');
+    const validator = createSchemaValidator(loadSchemas(config.schemaDir));
+    const outputs = [
+      [config.outputFiles.processedEvents, 'processed-events.schema.json', processedEvents],
+      [config.outputFiles.cityMappings, 'city-mappings.schema.json', cityMappings],
+      [config.outputFiles.series, 'series.schema.json', series],
+      [config.outputFiles.eventStats, 'event-stats.schema.json', eventStats],
+      ...(slugRegistry ? [[config.slugRegistryFile, 'slug-registry.schema.json', slugRegistry]] : [])
+    ];
+    const schemaErrors = outputs.flatMap(([file, schema, data]) =>
+      validator.validate(schema, data).map(error => `${relative(rootDir, file)}#${error.path}: ${error.message}`)
+    );
+    if (schemaErrors.length > 0) {
+      schemaErrors.slice(0, 20).forEach(error => this.log(error, 'error'));
+      throw new Error(`Processed data does not match its schema (${schemaErrors.length} problems); nothing was saved`);
+    }
+
     try {
       // Save processed events
       writeFileSync(
@@ -322,6 +801,14 @@ class EventProcessor {
       );
       this.log(`Saved city mappings to ${config.outputFiles.cityMappings}`);
 
+      // Save event series
+      writeFileSync(
+        config.outputFiles.series,
+        JSON.stringify(series, null, 2),
+        'utf8'
+      );
+      this.log(`Saved ${series.length} event series to ${config.outputFiles.series}`);
+
       // Save event statistics
       writeFileSync(
         config.outputFiles.eventStats,
@@ -338,6 +825,29 @@ class EventProcessor {
       );
       this.log(`Saved quality report to ${config.outputFiles.qualityReport}`);
 
+      // Append lifecycle changes to the changelog
+      if (lifecycleChanges.length > 0) {
+        const { serializeChangelog } = await import('./utils/eventLifecycle.js');
+        const changelog = existsSync(config.changelogFile)
+          ? JSON.parse(readFileSync(config.changelogFile, 'utf8'))
+          : [];
+        writeFileSync(config.changelogFile, serializeChangelog([...changelog, ...lifecycleChanges]), 'utf8');
+        this.log(`Appended ${lifecycleChanges.length} changes to ${config.changelogFile}`);
+      }
+
+      // Save the slug registry
+      if (slugRegistry) {
+        const { serializeSlugRegistry } = await import('./utils/slugRegistry.js');
+        writeFileSync(config.slugRegistryFile, serializeSlugRegistry(slugRegistry), 'utf8');
+        this.log(`Saved slug registry to ${config.slugRegistryFile}`);
+      }
+
+      // Save the processing cache for the next run
+      if (processingCache) {
+        writeFileSync(config.processingCacheFile, JSON.stringify(processingCache, null, 2), 'utf8');
+        this.log(`Saved processing cache to ${config.processingCacheFile}`);
+      }
+
       this.log('All processed data and reports saved successfully', 'success');
 
     } catch (error) {
@@ -349,7 +859,7 @@ class EventProcessor {
    * Generate comprehensive processing report with data quality information
    */
   generateReport(result, processingTime, usedFallback = false) {
-    const { processedEvents, cityMappings, eventStats, validation, deduplication, cleaning, qualityReport } = result;
+    const { processedEvents, cityMappings, series, eventStats, validation, deduplication, cleaning, qualityReport, changes } = result;
 
     console.log('\n📊 Event Processing Report');
     console.log('='.repeat(60));
@@ -370,6 +880,27 @@ class EventProcessor {
     console.log(`   Invalid events: ${eventStats.processing.invalidEvents}`);
     console.log(`   Warning events: ${eventStats.processing.warningEvents}`);
 
+    // Changes since the previous run
+    if (changes) {
+      console.log('\n🔁 Changes Since Last Run:');
+      console.log(`   New events: ${changes.added.length}`);
+      console.log(`   Changed events: ${changes.changed.length}`);
+      console.log(`   Unchanged events: ${changes.unchanged.length} (${eventStats.processing.incremental.cachedEvents} reused from cache)`);
+      console.log(`   No longer present: ${changes.removed.length}`);
+      if (eventStats.processing.incremental?.cacheRebuilt) {
+        console.log('   Processing cache rebuilt (tag taxonomy, city gazetteer, cities or sources changed)');
+      }
+      [...changes.added.map(event => ['+', event]), ...changes.changed.map(event => ['~', event])]
+        .slice(0, 10)
+        .forEach(([marker, event]) => {
+          console.log(`   ${marker} ${event.title}`);
+        });
+      const unlisted = changes.added.length + changes.changed.length - 10;
+      if (unlisted > 0) {
+        console.log(`   … and ${unlisted} more`);
+      }
+    }
+
     // Data Processing Pipeline
     if (deduplication && deduplication.duplicates.length > 0) {
       console.log('\n🔄 Deduplication Results:');
@@ -399,8 +930,9 @@ class EventProcessor {
     console.log(`   Unmapped events: ${eventStats.mappingStats.unmappedEvents}`);
     console.log(`   Mapping success rate: ${(eventStats.mappingStats.mappingSuccessRate * 100).toFixed(1)}%`);
 
-    const citiesWithEvents = cityMappings.filter(m => m.eventCount > 0);
+    const citiesWithEvents = cityMappings.filter(m => !m.virtual && m.eventCount > 0);
     console.log(`   Cities with events: ${citiesWithEvents.length}`);
+    console.log(`   Online events: ${cityMappings.find(m => m.virtual)?.eventCount || 0}`);
 
     if (citiesWithEvents.length > 0) {
       console.log('\n🏙️  Top Cities by Event Count:');
@@ -412,6 +944,30 @@ class EventProcessor {
         });
     }
 
+    // Event Series
+    if (series && series.length > 0) {
+      console.log('\n🔗 Event Series:');
+      console.log(`   Series: ${series.length} (${series.filter(entry => entry.auto).length} detected by title similarity)`);
+      [...series]
+        .sort((a, b) => b.eventIds.length - a.eventIds.length)
+        .slice(0, 5)
+        .forEach(entry => {
+          console.log(`   - ${entry.name.zh}: ${entry.eventIds.length} editions in ${entry.cities.length} cities`);
+        });
+    }
+
+    // English Text
+    const englishText = eventStats.processing?.englishText;
+    if (englishText) {
+      console.log('\n🌐 English Titles and Summaries:');
+      Object.entries(englishText.title).forEach(([source, count]) => {
+        console.log(`   - Titles (${source}): ${count} events`);
+      });
+      Object.entries(englishText.summary).forEach(([source, count]) => {
+        console.log(`   - Summaries (${source}): ${count} events`);
+      });
+    }
+
     // Data Quality Issues
     if (validation.invalid.length > 0) {
       console.log('\n❌ Critical Data Issues:');
@@ -469,6 +1025,7 @@ class EventProcessor {
     console.log('   ✅ city-mappings.json - City-event mappings');
     console.log('   ✅ event-stats.json - Statistics and metrics');
     console.log('   ✅ quality-report.json - Data quality report');
+    console.log('   ✅ processing-cache.json - Per-event hashes and derived fields');
   }
 
   /**
@@ -506,14 +1063,28 @@ class EventProcessor {
       }
 
       // Load data
-      const rawEvents = this.loadRawEvents();
+      // Calendar events go last so deduplication keeps the scraped copy of an event
+      const rawEvents = [
+        ...await this.mergeManualEvents(await this.loadRawEvents(), this.loadManualEvents()),
+        ...await this.loadIcsEvents(options.icsFiles)
+      ];
       const cities = this.loadCities();
+      const communities = this.loadCommunities();
+      const sources = this.loadSources(cities, communities);
+      const history = this.loadEngagementHistory();
+      const overrides = await this.loadOverrides(cities, communities);
+      const cache = await this.loadProcessingCache(cities, sources, options.full);
+      const seriesDefinitions = await this.loadSeriesDefinitions();
+      const glossary = this.loadTranslationGlossary();
+      if (options.full) {
+        this.log('Ignoring processing cache (--full)');
+      }
 
       // Process events
-      const result = await this.processEvents(rawEvents, cities);
+      const result = await this.processEvents(rawEvents, cities, sources, history, overrides, cache, seriesDefinitions, glossary, communities);
 
       // Save processed data
-      this.saveProcessedData(result);
+      await this.saveProcessedData(result);
 
       // Generate report
       const processingTime = Date.now() - startTime;
@@ -569,6 +1140,8 @@ async function main() {
   const options = {
     force: args.includes('--force') || args.includes('-f'),
     skipScrape: args.includes('--skip-scrape'),
+    full: args.includes('--full'),
+    icsFiles: args.flatMap((arg, index) => (arg === '--ics' && args[index + 1] ? [args[index + 1]] : [])),
     help: args.includes('--help') || args.includes('-h')
   };
 
@@ -581,11 +1154,16 @@ Usage:
 
 Options:
   --force, -f    Force refresh event data even if recent
+  --skip-scrape  Process existing raw event data without scraping
+  --ics <file>   Import events from an iCalendar file (repeatable;
+                 data/events/ics/*.ics is always imported)
+  --full         Ignore the processing cache and re-derive every event
   --help, -h     Show this help message
 
 Examples:
   node scripts/process-events.js          # Process with auto-refresh
   node scripts/process-events.js --force  # Force refresh and process
+  node scripts/process-events.js --skip-scrape --ics meetups.ics
 `);
     return;
   }
@@ -1,136 +1,89 @@
 #!/usr/bin/env node
 
 /**
- * 重新下载缺失的活动图片
+ * 重新下载缺失或损坏的活动图片，并检查图片目录完整性
+ *
+ * 用法:
+ *   node scripts/redownload-images.cjs               # 下载缺失、损坏或与清单不一致的图片
+ *   node scripts/redownload-images.cjs --revalidate  # 同时用 ETag/If-Modified-Since 检查服务器上的更新
+ *   node scripts/redownload-images.cjs --verify      # 只检查，不下载；发现问题时以非零状态退出
  */
 
 const fs = require('fs');
-const path = require('path');
-const https = require('https');
-const http = require('http');
+const { createImageDownloader } = require('./utils/imageDownloader.cjs');
 
 const dataFile = './data/events/events.json';
-const imageDir = './data/events/images';
+const processedFile = './src/data/events/processed-events.json';
 
-// 确保图片目录存在
-if (!fs.existsSync(imageDir)) {
-  fs.mkdirSync(imageDir, { recursive: true });
+function loadEvents(file) {
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
 }
 
-// 读取活动数据
-const events = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
-
-console.log(`总共 ${events.length} 个活动`);
-
-// 下载图片函数
-async function downloadImage(imageUrl, eventId) {
-  return new Promise((resolve, reject) => {
-    if (!imageUrl) {
-      resolve(null);
-      return;
-    }
-
-    try {
-      const url = new URL(imageUrl);
-      const ext = path.extname(url.pathname) || '.jpg';
-      const filename = `${eventId}${ext}`;
-      const filepath = path.join(imageDir, filename);
-
-      // 如果文件已存在，跳过
-      if (fs.existsSync(filepath)) {
-        resolve({ filename, skipped: true });
-        return;
-      }
-
-      const protocol = url.protocol === 'https:' ? https : http;
-      const file = fs.createWriteStream(filepath);
-
-      // 添加请求头以绕过防盗链
-      const options = {
-        headers: {
-          'Referer': 'https://usergroup.huodongxing.com/',
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-        }
-      };
-
-      protocol.get(imageUrl, options, (response) => {
-        // 处理重定向
-        if (response.statusCode === 301 || response.statusCode === 302) {
-          const redirectUrl = response.headers.location;
-          if (redirectUrl) {
-            file.close();
-            fs.unlinkSync(filepath);
-            downloadImage(redirectUrl, eventId).then(resolve).catch(reject);
-            return;
-          }
-        }
-
-        if (response.statusCode !== 200) {
-          file.close();
-          fs.unlinkSync(filepath);
-          reject(new Error(`HTTP ${response.statusCode}`));
-          return;
-        }
-
-        response.pipe(file);
-        file.on('finish', () => {
-          file.close();
-          resolve({ filename, skipped: false });
-        });
-        file.on('error', (err) => {
-          fs.unlink(filepath, () => { });
-          reject(err);
-        });
-      }).on('error', (err) => {
-        file.close();
-        if (fs.existsSync(filepath)) {
-          fs.unlinkSync(filepath);
-        }
-        reject(err);
-      });
-    } catch (error) {
-      reject(error);
+// 检查图片目录
+function verifyImages(downloader, events) {
+  // 处理后的数据会保留原始数据中已消失的活动，它们的图片同样不算孤立
+  const referenced = [...events, ...loadEvents(processedFile)].map(event => event.localImage);
+  const report = downloader.verify(referenced);
+
+  console.log('=== 图片完整性检查 ===');
+  console.log(`📁 检查文件: ${report.checked} 个，正常 ${report.ok.length} 个`);
+
+  const sections = [
+    ['missing', '❌ 活动引用但文件缺失'],
+    ['zeroByte', '❌ 空文件'],
+    ['truncated', '❌ 文件被截断'],
+    ['checksumMismatch', '❌ 与校验和清单不一致'],
+    ['undecodable', '❌ 无法解码（不是有效图片）'],
+    ['orphaned', '🗑️  没有被任何活动引用']
+  ];
+  sections.forEach(([key, label]) => {
+    if (report[key].length > 0) {
+      console.log(`\n${label}: ${report[key].length} 个`);
+      report[key].forEach(file => console.log(`   - ${file}`));
     }
   });
+
+  if (report.healthy) {
+    console.log('\n✅ 图片目录完整');
+  } else {
+    console.log('\n运行 node scripts/redownload-images.cjs 重新下载有问题的图片');
+    process.exitCode = 1;
+  }
 }
 
-// 主函数
-async function main() {
-  let downloaded = 0;
-  let skipped = 0;
-  let failed = 0;
+// 下载缺失或损坏的图片
+async function downloadImages(downloader, events, options) {
+  const tasks = events
+    .filter(event => event.imageUrl)
+    .map(event => ({ imageUrl: event.imageUrl, eventId: event.id }));
+
+  console.log(`总共 ${events.length} 个活动，${tasks.length} 张图片`);
+  const results = await downloader.downloadAll(tasks, options);
+
   let updated = 0;
+  const counts = { downloaded: 0, cached: 0, 'not-modified': 0, failed: 0 };
+  const eventsById = new Map(events.map(event => [event.id, event]));
+
+  results.forEach(result => {
+    const event = eventsById.get(result.eventId);
+    if (result.error) {
+      counts.failed++;
+      console.error(`❌ 下载失败: ${result.eventId} - ${result.error}`);
+      return;
+    }
 
-  for (const event of events) {
-    if (!event.imageUrl) {
-      continue;
+    counts[result.status]++;
+    if (result.status === 'downloaded') {
+      console.log(`✅ 下载成功: ${event.id} - ${event.title}`);
     }
 
-    try {
-      const result = await downloadImage(event.imageUrl, event.id);
-
-      if (result) {
-        if (result.skipped) {
-          skipped++;
-        } else {
-          downloaded++;
-          console.log(`✅ 下载成功: ${event.id} - ${event.title}`);
-
-          // 更新事件数据中的 localImage 字段
-          if (!event.localImage) {
-            event.localImage = result.filename;
-            updated++;
-          }
-        }
-      }
-
-      // 添加延迟避免请求过快
-      await new Promise(resolve => setTimeout(resolve, 100));
-    } catch (error) {
-      failed++;
-      console.error(`❌ 下载失败: ${event.id} - ${error.message}`);
+    // 更新事件数据中的 localImage 字段
+    if (event.localImage !== result.filename) {
+      event.localImage = result.filename;
+      updated++;
     }
-  }
+  });
 
   // 如果有更新，保存数据
   if (updated > 0) {
@@ -139,10 +92,33 @@ async function main() {
   }
 
   console.log('\n=== 下载完成 ===');
-  console.log(`✅ 成功下载: ${downloaded} 个`);
-  console.log(`⏭️  已存在跳过: ${skipped} 个`);
-  console.log(`❌ 下载失败: ${failed} 个`);
+  console.log(`✅ 成功下载: ${counts.downloaded} 个`);
+  console.log(`⏭️  本地完整跳过: ${counts.cached} 个`);
+  if (options.revalidate) {
+    console.log(`🔁 服务器未更新: ${counts['not-modified']} 个`);
+  }
+  console.log(`❌ 下载失败: ${counts.failed} 个`);
   console.log(`📊 总计: ${events.length} 个活动`);
+
+  if (counts.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const events = loadEvents(dataFile);
+  const downloader = createImageDownloader();
+
+  if (args.includes('--verify')) {
+    verifyImages(downloader, events);
+    return;
+  }
+
+  await downloadImages(downloader, events, { revalidate: args.includes('--revalidate') });
 }
 
-main().catch(console.error);
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Near-Duplicate Review
+ * Walks through the candidate pairs in the quality report and records whether each
+ * pair is the same event. Decisions are saved to data/events/duplicate-decisions.json
+ * and applied by process-events.js, so a decided pair is never asked again.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createInterface } from 'readline/promises';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+const qualityReportPath = join(rootDir, 'data', 'events', 'quality-report.json');
+const decisionsPath = join(rootDir, 'data', 'events', 'duplicate-decisions.json');
+
+function loadJson(path, fallback) {
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf8')) : fallback;
+}
+
+function saveDecisions(decisions) {
+  const sorted = Object.fromEntries(Object.entries(decisions).sort(([a], [b]) => a.localeCompare(b)));
+  writeFileSync(decisionsPath, JSON.stringify(sorted, null, 2) + '\n', 'utf8');
+}
+
+function printCandidate(candidate, index, total) {
+  console.log(`\n[${index + 1}/${total}] score ${candidate.score} (title ${candidate.titleSimilarity}, tokens ${candidate.tokenOverlap}${candidate.sameCity ? ', same city' : ''})`);
+  candidate.events.forEach((event, position) => {
+    console.log(`  ${position + 1}. ${event.title}`);
+    console.log(`     ID: ${event.id}  Time: ${event.time}  Location: ${event.location || '-'}`);
+    console.log(`     Cities: ${event.cityMappings.join(', ') || '-'}  URL: ${event.url || '-'}`);
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Near-Duplicate Review
+
+Usage:
+  node scripts/review-duplicates.js [options]
+
+Options:
+  --list       Print pending candidate pairs without prompting
+  --help, -h   Show this help message
+
+For each pair answer:
+  1 / 2   Same event, keep event 1 / event 2 (the other is dropped on the next run)
+  n       Different events, never ask again
+  s       Skip for now
+  q       Save and quit
+`);
+    return;
+  }
+
+  const report = loadJson(qualityReportPath, null);
+  if (!report) {
+    console.log('❌ Quality report not found. Run "npm run events:process" first.');
+    process.exit(1);
+  }
+
+  const decisions = loadJson(decisionsPath, {});
+  const candidates = (report.issues?.nearDuplicates || []).filter(candidate => !decisions[candidate.key]);
+
+  if (candidates.length === 0) {
+    console.log('✅ No near-duplicate pairs waiting for review');
+    return;
+  }
+
+  if (args.includes('--list')) {
+    candidates.forEach((candidate, index) => printCandidate(candidate, index, candidates.length));
+    return;
+  }
+
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  let decided = 0;
+
+  try {
+    for (const [index, candidate] of candidates.entries()) {
+      printCandidate(candidate, index, candidates.length);
+      const answer = (await rl.question('  Same event? [1/2 = keep that one, n = different, s = skip, q = quit] ')).trim().toLowerCase();
+
+      if (answer === 'q') break;
+      if (answer === '1' || answer === '2') {
+        decisions[candidate.key] = {
+          decision: 'duplicate',
+          keep: candidate.events[Number(answer) - 1].id,
+          decidedAt: new Date().toISOString()
+        };
+      } else if (answer === 'n') {
+        decisions[candidate.key] = { decision: 'distinct', decidedAt: new Date().toISOString() };
+      } else {
+        continue;
+      }
+
+      saveDecisions(decisions);
+      decided++;
+    }
+  } finally {
+    rl.close();
+  }
+
+  console.log(`\n💾 Recorded ${decided} decisions in data/events/duplicate-decisions.json`);
+  if (decided > 0) {
+    console.log('   Run "npm run events:process" to apply them');
+  }
+}
+
+main().catch(error => {
+  console.error(`💥 Review failed: ${error.message}`);
+  process.exit(1);
+});
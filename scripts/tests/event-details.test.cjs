@@ -0,0 +1,95 @@
+/**
+ * 活动详情页采集测试
+ * 解析函数直接测试；完整的详情采集用 scripts/tests/fixtures/details 中保存的详情页离线回放，
+ * 需要 Playwright Chromium（npx playwright install chromium），未安装时跳过
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const EventPaginationScraper = require('../improved-pagination-scraper.cjs');
+
+const { parseDetailTimeRange, parseAgendaRow, detectRegistrationStatus } = EventPaginationScraper;
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'details');
+
+test('parseDetailTimeRange reads start and end times', () => {
+  assert.deepEqual(parseDetailTimeRange('2026/07/25 周六 13:30 ~ 2026/07/26 周日 17:30', 2025), {
+    startTime: '2026/07/25 13:30',
+    endTime: '2026/07/26 17:30'
+  });
+  assert.deepEqual(parseDetailTimeRange('8月21日 13:00 - 17:30', 2026), {
+    startTime: '2026/08/21 13:00',
+    endTime: '2026/08/21 17:30'
+  });
+  assert.deepEqual(parseDetailTimeRange('2026年8月21日（周五）13:00', 2025), {
+    startTime: '2026/08/21 13:00',
+    endTime: ''
+  });
+  assert.deepEqual(parseDetailTimeRange('时间待定', 2026), { startTime: '', endTime: '' });
+});
+
+test('parseAgendaRow splits the time from the title', () => {
+  assert.deepEqual(parseAgendaRow('13:30-14:00 开场致辞'), { time: '13:30-14:00', title: '开场致辞' });
+  assert.deepEqual(parseAgendaRow('14:00 ～ 15:00 主题分享'), { time: '14:00-15:00', title: '主题分享' });
+  assert.deepEqual(parseAgendaRow('15:00 茶歇'), { time: '15:00', title: '茶歇' });
+  assert.deepEqual(parseAgendaRow('自由交流'), { time: '', title: '自由交流' });
+  assert.equal(parseAgendaRow('  '), null);
+});
+
+test('detectRegistrationStatus follows keyword priority', () => {
+  assert.equal(detectRegistrationStatus(['首页', '立即报名']), 'open');
+  assert.equal(detectRegistrationStatus(['立即报名', '名额已满']), 'full');
+  assert.equal(detectRegistrationStatus(['报名已截止', '已结束']), 'closed');
+  assert.equal(detectRegistrationStatus(['活动已取消', '立即报名']), 'cancelled');
+  assert.equal(detectRegistrationStatus(['分享']), 'unknown');
+});
+
+let browserInstalled = false;
+try {
+  browserInstalled = fs.existsSync(require('playwright').chromium.executablePath());
+} catch (error) {
+  browserInstalled = false;
+}
+
+test('replays a saved detail page', { skip: !browserInstalled && 'Playwright Chromium is not installed' }, async () => {
+  const scraper = new EventPaginationScraper({ detailFixturesDir: FIXTURES_DIR });
+  const event = {
+    id: '2869686580911',
+    title: 'AI Agent 融入工作流，Amazon Quick 为职场办公赋能',
+    time: '2026/07/25 周六 13:30',
+    url: 'https://usergroup.huodongxing.com/event/2869686580911'
+  };
+
+  const { browser, context } = await scraper.launchBrowser();
+  try {
+    assert.equal(await scraper.scrapeEventDetails(context, [event], { all: true }), 1);
+  } finally {
+    await browser.close();
+  }
+
+  const { detailScrapedAt, ...details } = event;
+  assert.ok(detailScrapedAt);
+  assert.deepEqual(details, {
+    id: '2869686580911',
+    title: 'AI Agent 融入工作流，Amazon Quick 为职场办公赋能',
+    time: '2026/07/25 周六 13:30',
+    url: 'https://usergroup.huodongxing.com/event/2869686580911',
+    description: '本次活动将介绍如何用 Amazon Quick 把 AI Agent 融入日常工作流，现场演示报表自动化和知识库问答。',
+    agenda: [
+      { time: '13:00-13:30', title: '签到' },
+      { time: '13:30-14:00', title: '开场致辞' },
+      { time: '14:00-15:00', title: 'Amazon Quick 功能介绍与演示' },
+      { time: '15:00', title: '茶歇' },
+      { time: '', title: '自由交流' }
+    ],
+    speakers: [
+      { name: '王磊', title: '亚马逊云科技解决方案架构师' },
+      { name: '李娜', title: '西安 User Group 组织者' }
+    ],
+    startTime: '2026/07/25 13:30',
+    endTime: '2026/07/25 17:30',
+    venueAddress: '陕西省西安市雁塔区 科技路 48 号 创业广场 B 座 3 层',
+    registrationStatus: 'open'
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Event series detection tests (scripts/utils/eventSeries.js)
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { autoSeriesId, detectEventSeries } from '../utils/eventSeries.js';
+
+function edition(id, title, startDate) {
+  return { id, title, startDate: `${startDate}T14:00:00+08:00`, cityMappings: [] };
+}
+
+test('caps long auto series IDs at a word boundary', () => {
+  assert.equal(
+    autoSeriesId('Serverless Application Modernization Deep Dive Workshop', '101'),
+    'auto-serverless-application-modernization'
+  );
+});
+
+test('cuts long auto series IDs without a word boundary at the cap', () => {
+  assert.equal(
+    autoSeriesId('Supercalifragilisticexpialidociousserverlessworkshop', '101'),
+    'auto-supercalifragilisticexpialidociousserver'
+  );
+});
+
+test('falls back to the event ID when the title has nothing to slugify', () => {
+  assert.equal(autoSeriesId('🎉🎉🎉', '201'), 'auto-201');
+  assert.equal(autoSeriesId('', 'manual-Spring_Meetup'), 'auto-manual-spring-meetup');
+});
+
+test('names auto series after their earliest edition', () => {
+  const { series } = detectEventSeries([
+    edition('102', 'Serverless 实战训练营 第二期', '2026-04-01'),
+    edition('101', 'Serverless 实战训练营 第一期', '2026-03-01')
+  ]);
+
+  assert.equal(series.length, 1);
+  assert.equal(series[0].id, 'auto-serverless-shi-zhan-xun-lian-ying');
+  assert.deepEqual(series[0].eventIds, ['101', '102']);
+});
+
+test('keeps the previously published ID of an auto series', () => {
+  const events = [
+    edition('101', 'Serverless 实战训练营', '2026-03-01'),
+    edition('102', 'Serverless 实战训练营', '2026-04-01')
+  ];
+  const previousSeries = [{ id: 'auto-serverless-bootcamp', auto: true, eventIds: ['102'] }];
+  const { series, events: assigned } = detectEventSeries(events, [], { previousSeries });
+
+  assert.equal(series[0].id, 'auto-serverless-bootcamp');
+  assert.deepEqual(assigned.map(event => event.seriesId), ['auto-serverless-bootcamp', 'auto-serverless-bootcamp']);
+});
+
+test('does not group the parts of one event', () => {
+  const { series } = detectEventSeries([
+    edition('101', '应用混合云部署的实践方案（上集）', '2026-03-01'),
+    edition('102', '应用混合云部署的实践方案（下集）', '2026-03-08')
+  ]);
+
+  assert.deepEqual(series, []);
+});
@@ -0,0 +1,47 @@
+/**
+ * Attendance Mode (JavaScript version for Node.js)
+ * Whether an event happens at a venue (offline), only on the internet (online) or both
+ * (hybrid). Detected from the location and title; manual entries and
+ * data/events/overrides.yaml can set attendanceMode by hand.
+ */
+
+export const ATTENDANCE_MODES = ['offline', 'online', 'hybrid'];
+
+// A location on the internet: 线上活动, 在线直播, 网络研讨会, Zoom… (not 云上/云端, which mean "on the cloud")
+const ONLINE_LOCATION = /线上|在线|直播|网络研讨会|腾讯会议|视频号|(?<![a-z])(?:online|webinar|livestream|live stream|virtual|zoom)(?![a-z])/i;
+
+// Titles mention products and topics too, so only unambiguous words count there
+const ONLINE_TITLE = /线上|直播|网络研讨会|(?<![a-z])(?:webinar|livestream)(?![a-z])/i;
+
+// Both at once: 线上+线下, 线上线下, 线下/直播同步, Hybrid
+const HYBRID_PATTERN = /线上\s*[+＋&/、与和]?\s*线下|线下\s*[+＋&/、与和]?\s*(?:线上|直播)|同步直播|(?<![a-z])hybrid(?![a-z])/i;
+
+/**
+ * Detect the attendance mode: a location that only names the internet is online, a
+ * venue with a livestream or an explicit "线上+线下" is hybrid, everything else offline.
+ * A title that mentions going online makes an event without a location online and an
+ * event with a venue hybrid.
+ */
+export function detectAttendanceMode(event) {
+  const location = (event.location || '').trim();
+  const title = event.title || '';
+
+  if (HYBRID_PATTERN.test(location) || HYBRID_PATTERN.test(title)) return 'hybrid';
+  if (ONLINE_LOCATION.test(location)) return 'online';
+  if (ONLINE_TITLE.test(title)) return location ? 'hybrid' : 'online';
+  return 'offline';
+}
+
+/**
+ * Attendance mode of an event: set by hand, recorded by processing, or detected
+ */
+export function getAttendanceMode(event) {
+  return ATTENDANCE_MODES.includes(event.attendanceMode) ? event.attendanceMode : detectAttendanceMode(event);
+}
+
+/**
+ * Whether the event can be joined online (online or hybrid)
+ */
+export function isOnlineEvent(event) {
+  return getAttendanceMode(event) !== 'offline';
+}
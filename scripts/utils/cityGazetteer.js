@@ -0,0 +1,148 @@
+/**
+ * City Gazetteer (JavaScript version for Node.js)
+ * Place names from src/data/city-gazetteer.json: provinces, prefecture-level cities and
+ * the districts and counties of every community city. Each name is indexed in its full
+ * form (浦东新区) and its common short form (浦东). Chinese text has no word boundaries,
+ * so names are found by longest match; Latin names (English city names) must stand
+ * alone as words. Prefecture-level cities without a cityId have no community but are
+ * listed so that "广东东莞" is recognised as Dongguan rather than guessed as a Guangdong
+ * community.
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const gazetteerFile = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'src', 'data', 'city-gazetteer.json');
+
+const CJK = /[㐀-鿿]/;
+
+// "浦东新区" → "浦东", "昌吉回族自治州" → "昌吉"; short forms need at least two characters
+const SHORT_NAME = /^(.{2,}?)(?:(?:[㐀-鿿]{1,3}族)+(?:自治)?[区州县]|自治区|新区|区|县|市|省)$/;
+
+// A place name directly followed by one of these is part of a street name (上海南京东路)
+const STREET_SUFFIX = /^[东西南北中]?(?:路|街|大街|大道|巷|弄|胡同)/;
+
+/**
+ * Short form of an administrative name, or null when it has none
+ */
+export function getShortName(name) {
+  const match = name.match(SHORT_NAME);
+  return match ? match[1] : null;
+}
+
+/**
+ * Index the gazetteer. Every name maps to the entries it can mean: 鼓楼 is a district
+ * of both Nanjing and Fuzhou. A short form is not indexed for a place when its city
+ * already owns that name (兰州新区 does not claim 兰州).
+ */
+export function compileCityGazetteer(data, { cities = [] } = {}) {
+  const provinces = new Map();
+  const places = [];
+  const terms = new Map();
+  const latinTerms = [];
+
+  const addTerm = (term, entry, derived = false) => {
+    if (!term || term.length < 2) return;
+    const entries = terms.get(term) || [];
+    if (derived && entries.some(existing => existing.place === entry.place)) return;
+    if (!entries.includes(entry)) entries.push(entry);
+    terms.set(term, entries);
+  };
+  const addLatinTerm = (term, entry) => {
+    const pattern = new RegExp(`(?<![a-z])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![a-z])`, 'i');
+    latinTerms.push({ term, pattern, entry });
+  };
+
+  (data.provinces || []).forEach(province => {
+    if (provinces.has(province.name)) {
+      throw new Error(`City gazetteer lists province "${province.name}" twice`);
+    }
+    const entry = { name: province.name, level: 'province', province: province.name, place: null };
+    provinces.set(province.name, entry);
+    addTerm(province.name, entry);
+    (province.aliases || []).forEach(alias => addTerm(alias, entry));
+    addTerm(getShortName(province.name), entry, true);
+    if (province.en) addLatinTerm(province.en, entry);
+  });
+
+  const englishNames = new Map(cities.map(city => [city.id, city.name?.en]));
+  const children = [];
+  (data.cities || []).forEach(city => {
+    if (city.province !== city.name && !provinces.has(city.province)) {
+      throw new Error(`City gazetteer entry "${city.name}" has unknown province "${city.province}"`);
+    }
+    if (places.some(place => place.name === city.name)) {
+      throw new Error(`City gazetteer lists city "${city.name}" twice`);
+    }
+    const place = { name: city.name, cityId: city.cityId || null, province: city.province };
+    places.push(place);
+
+    const entry = { name: city.name, level: 'city', province: city.province, place };
+    addTerm(city.name, entry);
+    (city.aliases || []).forEach(alias => addTerm(alias, entry));
+    addTerm(getShortName(city.name), entry, true);
+    if (englishNames.get(city.cityId)) addLatinTerm(englishNames.get(city.cityId), entry);
+
+    [['district', city.districts], ['county', city.counties]].forEach(([level, names = []]) => {
+      names.forEach(name => children.push({ name, level, province: city.province, place }));
+    });
+  });
+
+  // Districts and counties after every city, so a city's own name always wins
+  children.forEach(entry => {
+    addTerm(entry.name, entry);
+    addTerm(getShortName(entry.name), entry, true);
+  });
+
+  return {
+    provinces,
+    places,
+    terms,
+    latinTerms,
+    longestTerm: Math.max(0, ...[...terms.keys()].map(term => term.length))
+  };
+}
+
+export const cityGazetteer = compileCityGazetteer(
+  JSON.parse(readFileSync(gazetteerFile, 'utf8')),
+  { cities: JSON.parse(readFileSync(join(dirname(gazetteerFile), 'cities.json'), 'utf8')) }
+);
+
+/**
+ * Place names in a location, in text order: [{ text, index, entries }].
+ * Chinese names are matched longest first, so 浦东新区 is one hit rather than 浦东 plus
+ * a stray 新区, and names that start a street name are skipped.
+ */
+export function findGazetteerTerms(location, gazetteer = cityGazetteer) {
+  const text = (location || '').normalize('NFKC');
+  const hits = [];
+
+  for (let i = 0; i < text.length;) {
+    if (!CJK.test(text[i])) {
+      i++;
+      continue;
+    }
+    let match = null;
+    for (let length = Math.min(gazetteer.longestTerm, text.length - i); length >= 2; length--) {
+      const candidate = text.slice(i, i + length);
+      if (gazetteer.terms.has(candidate) && !STREET_SUFFIX.test(text.slice(i + length))) {
+        match = candidate;
+        break;
+      }
+    }
+    if (match) {
+      hits.push({ text: match, index: i, entries: gazetteer.terms.get(match) });
+      i += match.length;
+    } else {
+      i++;
+    }
+  }
+
+  gazetteer.latinTerms.forEach(({ pattern, entry }) => {
+    const found = text.match(pattern);
+    if (found) hits.push({ text: found[0], index: found.index, entries: [entry] });
+  });
+
+  return hits.sort((a, b) => a.index - b.index);
+}
@@ -1,152 +1,137 @@
 /**
  * City Mapping System (JavaScript version for Node.js)
- * Maps events to cities based on location text analysis
+ * Maps events to cities by finding the place names in their location text with the
+ * gazetteer in src/data/city-gazetteer.json (see ./cityGazetteer.js). Every match
+ * records the gazetteer entry it came from, so "上海浦东" is explained as
+ * 浦东新区 (district of 上海市) rather than a bare confidence score.
  */
 
+import { cityGazetteer, findGazetteerTerms } from './cityGazetteer.js';
+import { getAttendanceMode, isOnlineEvent } from './attendanceMode.js';
+
+/**
+ * Confidence of a match by the level of the gazetteer entry it used
+ */
+export const LEVEL_CONFIDENCE = {
+  city: 0.95,
+  district: 0.9,
+  county: 0.85,
+  province: 0.6
+};
+
+// A broader place that agrees (北京 for 海淀) adds a little; a province that disagrees takes a lot
+const CONFIRMED_BONUS = 0.04;
+const CONTRADICTED_PENALTY = 0.3;
+
+/**
+ * Confidence given to an organizer source's default city when the location is ambiguous
+ */
+export const SOURCE_DEFAULT_CONFIDENCE = 0.8;
+
+/**
+ * Best-match confidence below which a location is considered ambiguous
+ */
+export const REVIEW_THRESHOLD = 0.7;
+
+/**
+ * The online channel: a virtual entry in the city mappings for events that can be
+ * joined online. Online events belong to no city unless their organizer has one.
+ */
+export const ONLINE_CHANNEL = { id: 'online', name: { zh: '线上活动', en: 'Online' } };
+
+const LEVEL_RANK = { province: 0, city: 1, district: 2, county: 2 };
+const CJK = /[㐀-鿿]/;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
 /**
  * City Mapping Engine
  */
 export class CityMappingEngine {
-  constructor(cities) {
+  constructor(cities, options = {}) {
     this.cities = cities.filter(city => city.active);
-    this.mappingRules = this.generateMappingRules();
+    this.activeCityIds = new Set(this.cities.map(city => city.id));
+    this.gazetteer = options.gazetteer || cityGazetteer;
+    // Organizer sources with a default city, used when the location text is ambiguous
+    this.sourceDefaults = new Map(
+      (options.sources || [])
+        .filter(source => source.defaultCity)
+        .map(source => [source.id, source.defaultCity])
+    );
   }
-  
+
   /**
-   * Generate mapping rules based on city data
+   * Places named in a location, including those without an active community:
+   * [{ place, cityId, confidence, matchType, matchedText, entry }], best first.
+   *
+   * A name shared by several places (鼓楼) is narrowed by the city or province named
+   * alongside it and otherwise split between them. A province on its own does not say
+   * which city is meant, so it matches nothing and the event is left for review.
    */
-  generateMappingRules() {
-    const rules = [];
-    
-    this.cities.forEach(city => {
-      const zhName = city.name.zh;
-      const enName = city.name.en;
-      
-      // Exact match rules (highest priority)
-      rules.push({
-        pattern: new RegExp(`\\b${this.escapeRegex(zhName)}\\b`, 'i'),
-        cityId: city.id,
-        priority: 100,
-        type: 'exact'
-      });
-      
-      rules.push({
-        pattern: new RegExp(`\\b${this.escapeRegex(enName)}\\b`, 'i'),
-        cityId: city.id,
-        priority: 99,
-        type: 'exact'
-      });
-      
-      // Province + city rules
-      const provincePatterns = this.getProvincePatterns(zhName);
-      provincePatterns.forEach((pattern, index) => {
-        rules.push({
-          pattern: new RegExp(pattern, 'i'),
-          cityId: city.id,
-          priority: 80 - index,
-          type: 'province'
-        });
-      });
-      
-      // Fuzzy match rules (lower priority)
-      if (zhName.length > 2) {
-        // Match partial city names
-        const partialPattern = zhName.slice(0, -1); // Remove last character
-        rules.push({
-          pattern: new RegExp(`\\b${this.escapeRegex(partialPattern)}`, 'i'),
-          cityId: city.id,
-          priority: 60,
-          type: 'fuzzy'
-        });
+  matchLocation(location) {
+    const hits = findGazetteerTerms(location, this.gazetteer);
+    const namedPlaces = new Set();
+    const namedProvinces = new Map();
+    hits.filter(hit => hit.entries.length === 1).forEach(({ text, entries: [entry] }) => {
+      if (entry.level === 'city') namedPlaces.add(entry.place);
+      if (entry.level === 'province' && !namedProvinces.has(entry.name)) namedProvinces.set(entry.name, text);
+    });
+
+    const found = new Map();
+    const record = (place, entry, text, confidence) => {
+      const current = found.get(place);
+      if (!current) {
+        found.set(place, { entry, text, confidence });
+        return;
       }
-      
-      // Special keyword rules
-      const keywordPatterns = this.getKeywordPatterns(city);
-      keywordPatterns.forEach((pattern, index) => {
-        rules.push({
-          pattern: new RegExp(pattern, 'i'),
-          cityId: city.id,
-          priority: 40 - index,
-          type: 'keyword'
-        });
+      // Explain with the most specific entry; score with the strongest evidence
+      const specific = LEVEL_RANK[entry.level] > LEVEL_RANK[current.entry.level];
+      found.set(place, {
+        entry: specific ? entry : current.entry,
+        text: specific ? text : current.text,
+        confidence: Math.max(confidence, current.confidence)
       });
-    });
-    
-    // Sort rules by priority (highest first)
-    return rules.sort((a, b) => b.priority - a.priority);
-  }
-  
-  /**
-   * Get province-based patterns for a city
-   */
-  getProvincePatterns(cityName) {
-    const patterns = [];
-    
-    // Define province mappings
-    const provinceMap = {
-      '北京': ['北京市?', '(?<![南东])京(?!都|阪)'],
-      '上海': ['上海市?', '沪'],
-      '深圳': ['广东.*深圳', '深圳.*广东', '粤.*深圳'],
-      '广州': ['广东.*广州', '广州.*广东', '粤.*广州'],
-      '杭州': ['浙江.*杭州', '杭州.*浙江', '浙.*杭州'],
-      '成都': ['四川.*成都', '成都.*四川', '川.*成都', '蜀.*成都'],
-      '武汉': ['湖北.*武汉', '武汉.*湖北', '鄂.*武汉'],
-      '西安': ['陕西.*西安', '西安.*陕西', '陕.*西安', '秦.*西安'],
-      '南京': ['江苏.*南京', '南京.*江苏', '苏.*南京'],
-      '苏州': ['江苏.*苏州', '苏州.*江苏'],
-      '福州': ['福建.*福州', '福州.*福建', '闽.*福州'],
-      '厦门': ['福建.*厦门', '厦门.*福建', '闽.*厦门'],
-      '合肥': ['安徽.*合肥', '合肥.*安徽', '皖.*合肥'],
-      '郑州': ['河南.*郑州', '郑州.*河南', '豫.*郑州'],
-      '兰州': ['甘肃.*兰州', '兰州.*甘肃', '甘.*兰州', '陇.*兰州'],
-      '乌鲁木齐': ['新疆.*乌鲁木齐', '乌鲁木齐.*新疆', '新.*乌鲁木齐'],
-      '昌吉': ['新疆.*昌吉', '昌吉.*新疆', '新.*昌吉'],
-      '张家口': ['河北.*张家口', '张家口.*河北', '冀.*张家口'],
-      '青岛': ['山东.*青岛', '青岛.*山东', '鲁.*青岛'],
-      '重庆': ['重庆市?', '渝']
-    };
-    
-    const cityPatterns = provinceMap[cityName];
-    if (cityPatterns) {
-      patterns.push(...cityPatterns);
-    }
-    
-    return patterns;
-  }
-  
-  /**
-   * Get keyword patterns for special cases
-   */
-  getKeywordPatterns(city) {
-    const patterns = [];
-    const cityName = city.name.zh;
-    
-    // Special cases for major cities
-    const keywordMap = {
-      '北京': ['朝阳', '海淀', '丰台', '东城', '西城', '石景山'],
-      '上海': ['浦东', '徐汇', '黄浦', '静安', '普陀', '虹口', '杨浦'],
-      '深圳': ['南山', '福田', '罗湖', '宝安', '龙岗', '盐田'],
-      '广州': ['天河', '越秀', '荔湾', '海珠', '白云', '黄埔'],
-      '重庆': ['渝北', '江北', '九龙坡', '南岸', '沙坪坝']
     };
-    
-    const keywords = keywordMap[cityName];
-    if (keywords) {
-      keywords.forEach(keyword => {
-        patterns.push(`\\b${this.escapeRegex(keyword)}\\b`);
+
+    hits.forEach(hit => {
+      let entries = hit.entries.filter(entry => entry.level !== 'province');
+      if (entries.length > 1) {
+        const byCity = entries.filter(entry => namedPlaces.has(entry.place));
+        const byProvince = entries.filter(entry => namedProvinces.has(entry.province));
+        entries = byCity.length > 0 ? byCity : byProvince.length > 0 ? byProvince : entries;
+      }
+
+      entries.forEach(entry => {
+        const hasProvince = entry.province !== entry.place.name; // Municipalities are their own province
+        const confirmed = (entry.level !== 'city' && namedPlaces.has(entry.place)) ||
+          (hasProvince && namedProvinces.has(entry.province));
+        const contradicted = hasProvince && namedProvinces.size > 0 && !namedProvinces.has(entry.province);
+        const confidence = LEVEL_CONFIDENCE[entry.level] +
+          (confirmed ? CONFIRMED_BONUS : 0) -
+          (contradicted ? CONTRADICTED_PENALTY : 0);
+        record(entry.place, entry, hit.text, round(Math.min(0.99, confidence) / entries.length));
       });
-    }
-    
-    return patterns;
-  }
-  
-  /**
-   * Escape special regex characters
-   */
-  escapeRegex(text) {
-    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+
+    return [...found.entries()]
+      .map(([place, { entry, text, confidence }]) => ({
+        place: place.name,
+        cityId: place.cityId,
+        confidence,
+        matchType: entry.level,
+        matchedText: text,
+        entry: {
+          name: entry.name,
+          level: entry.level,
+          ...(entry.level === 'city' && entry.province !== entry.name ? { parent: entry.province } : {}),
+          ...(entry.level === 'district' || entry.level === 'county' ? { parent: place.name } : {})
+        }
+      }))
+      .sort((a, b) => b.confidence - a.confidence);
   }
-  
+
   /**
    * Calculate string similarity using Levenshtein distance
    */
@@ -209,69 +194,39 @@ export class CityMappingEngine {
   }
   
   /**
-   * Map a single event to cities
+   * Map a single event to cities: matches for active community cities, best first.
+   * Locations without any Chinese place name fall back to fuzzy matching on city names;
+   * online events are never matched, so "Online" cannot come out as a similar city name.
    */
   mapEventToCities(event) {
-    const location = event.location;
-    if (!location) return [];
-    
-    const results = [];
-    const processedLocation = location.trim();
-    
-    // Try rule-based matching first
-    for (const rule of this.mappingRules) {
-      const match = processedLocation.match(rule.pattern);
-      if (match) {
-        const confidence = this.calculateConfidenceByType(rule.type, rule.priority);
-        
-        results.push({
-          cityId: rule.cityId,
-          confidence,
-          matchType: rule.type,
-          matchedText: match[0]
-        });
-        
-        // For exact matches, we can stop here
-        if (rule.type === 'exact' && confidence >= 0.9) {
-          break;
-        }
-      }
-    }
-    
-    // If no high-confidence matches, try fuzzy matching
-    if (results.length === 0 || results[0].confidence < 0.7) {
-      const fuzzyResults = this.fuzzyMatchLocation(processedLocation, 0.6);
-      results.push(...fuzzyResults);
+    const location = event.location?.trim();
+    if (!location || getAttendanceMode(event) === 'online') return [];
+
+    const matches = this.matchLocation(location);
+    if (matches.length === 0 && !CJK.test(location)) {
+      return this.fuzzyMatchLocation(location, 0.6);
     }
-    
-    // Remove duplicates and sort by confidence
-    const uniqueResults = results.reduce((acc, result) => {
-      const existing = acc.find(r => r.cityId === result.cityId);
-      if (!existing || existing.confidence < result.confidence) {
-        acc = acc.filter(r => r.cityId !== result.cityId);
-        acc.push(result);
-      }
-      return acc;
-    }, []);
-    
-    return uniqueResults.sort((a, b) => b.confidence - a.confidence);
+    return matches
+      .filter(match => this.activeCityIds.has(match.cityId))
+      .map(({ place, ...match }) => match);
   }
   
   /**
-   * Calculate confidence score based on match type and priority
+   * Check whether mapping results are too weak or too close to pick a city
    */
-  calculateConfidenceByType(type, priority) {
-    const baseConfidence = {
-      'exact': 0.95,
-      'province': 0.8,
-      'fuzzy': 0.6,
-      'keyword': 0.7
-    };
-    
-    const base = baseConfidence[type] || 0.5;
-    const priorityBonus = (priority - 50) / 100 * 0.1; // Small bonus for higher priority
-    
-    return Math.min(1.0, Math.max(0.1, base + priorityBonus));
+  isAmbiguousMapping(results, threshold = REVIEW_THRESHOLD) {
+    if (results.length === 0) return true;
+    if (results[0].confidence < threshold) return true;
+    return results.length > 1 && results[0].confidence - results[1].confidence < 0.1;
+  }
+
+  /**
+   * Whether an event's location alone does not settle its city, so it should be reviewed
+   * with scripts/audit-city-mapping.js. Online events have no city to settle.
+   */
+  needsReview(event, threshold = REVIEW_THRESHOLD) {
+    if (getAttendanceMode(event) === 'online') return false;
+    return this.isAmbiguousMapping(this.mapEventToCities(event), threshold);
   }
   
   /**
@@ -286,15 +241,31 @@ export class CityMappingEngine {
         .filter(result => result.confidence >= minConfidence)
         .slice(0, 3); // Limit to top 3 matches
       
+      // Fall back to the organizer source's default city when the location is ambiguous
+      const defaultCity = this.sourceDefaults.get(event.sourceId);
+      if (defaultCity && this.isAmbiguousMapping(validMappings)) {
+        return {
+          ...event,
+          cityMappings: [defaultCity],
+          cityMatches: [{
+            cityId: defaultCity,
+            confidence: SOURCE_DEFAULT_CONFIDENCE,
+            matchType: 'source',
+            matchedText: event.sourceId
+          }]
+        };
+      }
+      
       return {
         ...event,
-        cityMappings: validMappings.map(result => result.cityId)
+        cityMappings: validMappings.map(result => result.cityId),
+        cityMatches: validMappings
       };
     });
   }
   
   /**
-   * Generate city-specific event data
+   * Generate city-specific event data, plus the online channel
    */
   generateCityMappings(events) {
     const cityMappings = {};
@@ -309,10 +280,19 @@ export class CityMappingEngine {
         lastUpdated: new Date().toISOString()
       };
     });
+    cityMappings[ONLINE_CHANNEL.id] = {
+      cityId: ONLINE_CHANNEL.id,
+      cityName: ONLINE_CHANNEL.name.zh,
+      virtual: true,
+      events: [],
+      eventCount: 0,
+      lastUpdated: new Date().toISOString()
+    };
     
-    // Add events to their mapped cities
+    // Add events to their mapped cities and online events to the online channel
     events.forEach(event => {
-      event.cityMappings.forEach(cityId => {
+      const channels = isOnlineEvent(event) ? [...event.cityMappings, ONLINE_CHANNEL.id] : event.cityMappings;
+      channels.forEach(cityId => {
         if (cityMappings[cityId]) {
           cityMappings[cityId].events.push(event);
           cityMappings[cityId].eventCount++;
@@ -339,7 +319,9 @@ export class CityMappingEngine {
   generateMappingStats(events) {
     const totalEvents = events.length;
     const mappedEvents = events.filter(e => e.cityMappings.length > 0).length;
-    const unmappedEvents = totalEvents - mappedEvents;
+    // Online events without an organizer city are not mapping failures
+    const onlineEvents = events.filter(e => e.cityMappings.length === 0 && getAttendanceMode(e) === 'online').length;
+    const unmappedEvents = totalEvents - mappedEvents - onlineEvents;
     
     let highConfidence = 0;
     let mediumConfidence = 0;
@@ -349,14 +331,15 @@ export class CityMappingEngine {
     const unmappedLocations = [];
     
     events.forEach(event => {
-      if (event.cityMappings.length === 0) {
+      if (event.cityMappings.length === 0 && getAttendanceMode(event) === 'online') {
+        mappingsByType.online = (mappingsByType.online || 0) + 1;
+      } else if (event.cityMappings.length === 0) {
         if (event.location && !unmappedLocations.includes(event.location)) {
           unmappedLocations.push(event.location);
         }
       } else {
-        // For mapped events, we need to check the mapping results
-        const mappingResults = this.mapEventToCities(event);
-        const bestMatch = mappingResults[0];
+        // Events mapped before matches were recorded are matched again
+        const bestMatch = (event.cityMatches || this.mapEventToCities(event))[0];
         
         if (bestMatch) {
           if (bestMatch.confidence >= 0.8) highConfidence++;
@@ -372,6 +355,9 @@ export class CityMappingEngine {
       totalEvents,
       mappedEvents,
       unmappedEvents,
+      mappingSuccessRate: mappedEvents + unmappedEvents > 0
+        ? Math.round((mappedEvents / (mappedEvents + unmappedEvents)) * 100) / 100
+        : 0,
       mappingsByConfidence: {
         high: highConfidence,
         medium: mediumConfidence,
@@ -386,6 +372,64 @@ export class CityMappingEngine {
 /**
  * Utility function to create city mapping engine
  */
-export function createCityMappingEngine(cities) {
-  return new CityMappingEngine(cities);
-}
\ No newline at end of file
+export function createCityMappingEngine(cities, options = {}) {
+  return new CityMappingEngine(cities, options);
+}
+
+/**
+ * Check decisions recorded by scripts/audit-city-mapping.js against the known cities.
+ * Returns a list of error messages; an empty list means the decisions are usable.
+ */
+export function validateCityMappingDecisions(decisions, { cities = [] } = {}) {
+  const errors = [];
+  const cityIds = new Set(cities.filter(city => city.active).map(city => city.id));
+
+  Object.entries(decisions).forEach(([eventId, decision]) => {
+    if (!decision || typeof decision !== 'object' || typeof decision.location !== 'string') {
+      errors.push(`${eventId}: decision must record the reviewed location`);
+    } else if (decision.decision === 'city') {
+      if (!Array.isArray(decision.cityMappings) || decision.cityMappings.length === 0) {
+        errors.push(`${eventId}: a city decision needs a non-empty cityMappings list`);
+      } else {
+        decision.cityMappings
+          .filter(cityId => !cityIds.has(cityId))
+          .forEach(cityId => errors.push(`${eventId}: unknown or inactive city "${cityId}"`));
+      }
+    } else if (decision.decision !== 'online') {
+      errors.push(`${eventId}: decision must be "city" or "online"`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Apply decisions recorded by scripts/audit-city-mapping.js. A decision only holds while
+ * the event's location is still the one that was reviewed; events whose location has
+ * changed since are returned as outdated and mapped automatically again. "online"
+ * events belong to no city and get the online attendance mode.
+ */
+export function applyCityMappingDecisions(events, decisions = {}) {
+  const applied = [];
+  const outdated = [];
+
+  const decided = events.map(event => {
+    const decision = decisions[event.id];
+    if (!decision) return event;
+    if (decision.location !== (event.location || '')) {
+      outdated.push(event.id);
+      return event;
+    }
+
+    applied.push(event.id);
+    const cityMappings = decision.decision === 'online' ? [] : decision.cityMappings;
+    return {
+      ...event,
+      ...(decision.decision === 'online' && { attendanceMode: 'online' }),
+      cityMappings,
+      cityMatches: cityMappings.map(cityId => ({ cityId, confidence: 1, matchType: 'reviewed' }))
+    };
+  });
+
+  return { events: decided, applied, outdated };
+}
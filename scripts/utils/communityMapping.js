@@ -0,0 +1,102 @@
+/**
+ * Community Mapping (JavaScript version for Node.js)
+ * Assigns events to the specialized communities in src/data/specialized-communities.json.
+ * An event belongs to a community when the community's own organizer page published it
+ * (the source's defaultCommunity), when its title contains one of the community's
+ * keywords, or when it is held in one of the community's attendance modes (the online
+ * events community lists online and hybrid). Every mapping is recorded in
+ * communityMatches with the keyword or mode behind it.
+ */
+
+import { createSynonymMatcher } from './tagTaxonomy.js';
+import { getAttendanceMode } from './attendanceMode.js';
+
+/**
+ * Community Mapping Engine
+ */
+export class CommunityMappingEngine {
+  constructor(communities, options = {}) {
+    this.communities = communities.filter(community => community.active);
+    // Organizer sources run by a community; their events belong to it whether or not it is active
+    this.sourceCommunities = new Map(
+      (options.sources || [])
+        .filter(source => source.defaultCommunity)
+        .map(source => [source.id, source.defaultCommunity])
+    );
+    // Keywords match like tag synonyms: Latin words on word boundaries, Chinese as substrings
+    this.matchers = this.communities.map(community => ({
+      communityId: community.id,
+      keywords: (community.keywords || []).map(keyword => ({ keyword, matches: createSynonymMatcher(keyword) })),
+      attendanceModes: community.attendanceModes || []
+    }));
+  }
+
+  /**
+   * Communities of a single event: [{ communityId, matchType, matchedText? }], the
+   * organizer's community first and then in the order of the communities file
+   */
+  mapEventToCommunities(event) {
+    const matches = [];
+    const add = match => {
+      if (!matches.some(existing => existing.communityId === match.communityId)) matches.push(match);
+    };
+
+    const sourceCommunity = this.sourceCommunities.get(event.sourceId);
+    if (sourceCommunity) add({ communityId: sourceCommunity, matchType: 'source' });
+
+    const title = (event.title || '').toLowerCase();
+    const attendanceMode = getAttendanceMode(event);
+    this.matchers.forEach(({ communityId, keywords, attendanceModes }) => {
+      const keyword = keywords.find(({ matches }) => matches(title));
+      if (keyword) {
+        add({ communityId, matchType: 'keyword', matchedText: keyword.keyword });
+      } else if (attendanceModes.includes(attendanceMode)) {
+        add({ communityId, matchType: 'attendanceMode', matchedText: attendanceMode });
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Map multiple events to communities
+   */
+  mapEventsToCommunities(events) {
+    return events.map(event => {
+      const communityMatches = this.mapEventToCommunities(event);
+      return {
+        ...event,
+        communityMappings: communityMatches.map(match => match.communityId),
+        communityMatches
+      };
+    });
+  }
+
+  /**
+   * Events per community and how they were matched
+   */
+  generateMappingStats(events) {
+    const eventsByCommunity = {};
+    const mappingsByType = {};
+
+    events.forEach(event => {
+      (event.communityMatches || []).forEach(match => {
+        eventsByCommunity[match.communityId] = (eventsByCommunity[match.communityId] || 0) + 1;
+        mappingsByType[match.matchType] = (mappingsByType[match.matchType] || 0) + 1;
+      });
+    });
+
+    return {
+      mappedEvents: events.filter(event => (event.communityMappings || []).length > 0).length,
+      eventsByCommunity,
+      mappingsByType
+    };
+  }
+}
+
+/**
+ * Utility function to create community mapping engine
+ */
+export function createCommunityMappingEngine(communities, options = {}) {
+  return new CommunityMappingEngine(communities, options);
+}
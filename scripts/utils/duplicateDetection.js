@@ -0,0 +1,176 @@
+/**
+ * Near-Duplicate Detection (JavaScript version for Node.js)
+ * Finds re-posted events that exact deduplication misses: a slightly edited title,
+ * or a location written differently ("上海浦东" vs "上海市浦东新区"). Candidate pairs
+ * are scored and written to the quality report; maintainers confirm or reject them
+ * with scripts/review-duplicates.js and the decisions are kept in
+ * data/events/duplicate-decisions.json.
+ */
+
+/**
+ * Minimum score for a pair to be reported as a candidate
+ */
+export const DEFAULT_DUPLICATE_THRESHOLD = 0.6;
+
+const TITLE_WEIGHT = 0.6;
+const TOKEN_WEIGHT = 0.4;
+const SAME_CITY_BONUS = 0.1;
+
+function normalizeTitle(title = '') {
+  return title
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[^\u4e00-\u9fa5a-z0-9 ]/g, '')
+    .trim();
+}
+
+/**
+ * Latin words and CJK character bigrams, so "上海 AI 沙龙" and "AI沙龙（上海站）" share tokens
+ */
+function tokenize(title) {
+  const tokens = new Set(title.match(/[a-z0-9]+/g) || []);
+  (title.match(/[\u4e00-\u9fa5]+/g) || []).forEach(run => {
+    if (run.length === 1) tokens.add(run);
+    for (let i = 0; i < run.length - 1; i++) tokens.add(run.slice(i, i + 2));
+  });
+  return tokens;
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(token => {
+    if (b.has(token)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Similarity of two titles: edit-distance similarity, token overlap and their weighted score
+ */
+export function titleSimilarity(a, b) {
+  const titleA = normalizeTitle(a);
+  const titleB = normalizeTitle(b);
+  const longest = Math.max(titleA.length, titleB.length);
+  const editSimilarity = longest > 0 ? 1 - levenshtein(titleA, titleB) / longest : 0;
+  const tokenOverlap = jaccard(tokenize(titleA), tokenize(titleB));
+  return {
+    editSimilarity,
+    tokenOverlap,
+    score: TITLE_WEIGHT * editSimilarity + TOKEN_WEIGHT * tokenOverlap
+  };
+}
+
+function eventDay(time = '') {
+  const match = time.match(/(\d{4})\D(\d{1,2})\D(\d{1,2})/);
+  return match ? `${match[1]}/${match[2].padStart(2, '0')}/${match[3].padStart(2, '0')}` : null;
+}
+
+/**
+ * Stable key for a pair of event IDs, independent of order
+ */
+export function duplicatePairKey(idA, idB) {
+  return [idA, idB].sort().join('|');
+}
+
+/**
+ * Score two events that happen on the same day. Returns null when their mapped
+ * cities are known and disjoint, since those cannot be the same event.
+ */
+export function scoreDuplicatePair(a, b) {
+  const citiesA = a.cityMappings || [];
+  const citiesB = b.cityMappings || [];
+  const sameCity = citiesA.some(city => citiesB.includes(city));
+  if (citiesA.length > 0 && citiesB.length > 0 && !sameCity) return null;
+
+  const similarity = titleSimilarity(a.title, b.title);
+  const score = Math.min(1, similarity.score + (sameCity ? SAME_CITY_BONUS : 0));
+
+  return {
+    score: Math.round(score * 100) / 100,
+    titleSimilarity: Math.round(similarity.editSimilarity * 100) / 100,
+    tokenOverlap: Math.round(similarity.tokenOverlap * 100) / 100,
+    sameCity
+  };
+}
+
+/**
+ * List same-day event pairs scoring at or above the threshold, highest first.
+ * Pairs that already have a decision are skipped.
+ */
+export function findDuplicateCandidates(events, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_DUPLICATE_THRESHOLD;
+  const decisions = options.decisions || {};
+  const byDay = new Map();
+  events.forEach(event => {
+    const day = eventDay(event.time);
+    if (!day) return;
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(event);
+  });
+
+  const candidates = [];
+  byDay.forEach(sameDay => {
+    for (let i = 0; i < sameDay.length; i++) {
+      for (let j = i + 1; j < sameDay.length; j++) {
+        const [a, b] = [sameDay[i], sameDay[j]];
+        const key = duplicatePairKey(a.id, b.id);
+        if (decisions[key]) continue;
+
+        const signals = scoreDuplicatePair(a, b);
+        if (!signals || signals.score < threshold) continue;
+
+        candidates.push({
+          key,
+          ...signals,
+          events: [a, b].map(event => ({
+            id: event.id,
+            title: event.title,
+            time: event.time,
+            location: event.location,
+            url: event.url,
+            cityMappings: event.cityMappings || []
+          }))
+        });
+      }
+    }
+  });
+
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Drop events confirmed as duplicates. A "duplicate" decision names the event to keep;
+ * the other event of the pair is removed as long as the kept one is still present.
+ */
+export function applyDuplicateDecisions(events, decisions = {}) {
+  const presentIds = new Set(events.map(event => event.id));
+  const removed = new Set();
+  Object.entries(decisions).forEach(([key, decision]) => {
+    if (decision.decision !== 'duplicate') return;
+    const other = key.split('|').find(id => id !== decision.keep);
+    if (other && presentIds.has(decision.keep)) removed.add(other);
+  });
+
+  return {
+    events: events.filter(event => !removed.has(event.id)),
+    removed: [...removed]
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Event Lifecycle Tracking (JavaScript version for Node.js)
+ * Compares each processing run with the previous processed dataset, records
+ * status transitions in a changelog and marks missing, cancelled and
+ * rescheduled events so the site can show banners and tombstone pages.
+ */
+
+/**
+ * Missing-run count after which an event is treated as removed from the source.
+ * The scraper only counts a run when it walked a source's listing to the last page.
+ */
+export const DEFAULT_TOMBSTONE_AFTER_RUNS = 3;
+
+/**
+ * Reduce an event time to "YYYY/MM/DD HH:MM" so reformatting (weekday suffix,
+ * ISO strings) is not reported as a reschedule
+ */
+export function normalizeEventTime(timeStr) {
+  if (!timeStr) return '';
+  const match = timeStr.match(/(\d{4})\D(\d{1,2})\D(\d{1,2})\D.*?(\d{1,2}):(\d{2})/);
+  if (!match) return timeStr.trim();
+  const [, year, month, day, hour, minute] = match;
+  const pad = value => value.padStart(2, '0');
+  return `${year}/${pad(month)}/${pad(day)} ${pad(hour)}:${minute}`;
+}
+
+function isCancelled(event) {
+  return event.cancelled === true || event.registrationStatus === 'cancelled';
+}
+
+function getLifecycleState(event, tombstoneAfterRuns) {
+  const missingRuns = event.missingRuns || 0;
+  if (missingRuns >= tombstoneAfterRuns) return 'removed';
+  if (isCancelled(event)) return 'cancelled';
+  if (missingRuns > 0) return 'missing';
+  return 'active';
+}
+
+/**
+ * Attach a lifecycle record to every event and list the changes since the previous run.
+ *
+ * Detected transitions: new, ended (upcoming→ended), time-changed, location-changed,
+ * disappeared / reappeared (missing from a full listing walk), cancelled, removed.
+ * Without a previous dataset the run only establishes a baseline and reports no changes.
+ */
+export function trackEventLifecycle(events, previousEvents = [], options = {}) {
+  const now = options.now || new Date().toISOString();
+  const tombstoneAfterRuns = options.tombstoneAfterRuns || DEFAULT_TOMBSTONE_AFTER_RUNS;
+  const previousById = new Map(previousEvents.map(event => [event.id, event]));
+  const hasBaseline = previousEvents.length > 0;
+  const changes = [];
+
+  const tracked = events.map(event => {
+    const previous = previousById.get(event.id);
+    const previousLifecycle = previous?.lifecycle || {};
+    const state = getLifecycleState(event, tombstoneAfterRuns);
+    const lifecycle = {
+      ...previousLifecycle,
+      state,
+      firstSeenAt: previousLifecycle.firstSeenAt || (previous ? previous.scrapedAt : now) || now,
+      missingRuns: event.missingRuns || 0
+    };
+    if (event.missingSince) {
+      lifecycle.missingSince = event.missingSince;
+    } else {
+      delete lifecycle.missingSince;
+    }
+
+    const record = (type, from, to) => {
+      const change = { at: now, eventId: event.id, title: event.title, type };
+      if (from !== undefined) change.from = from;
+      if (to !== undefined) change.to = to;
+      changes.push(change);
+    };
+
+    if (!previous) {
+      if (hasBaseline) record('new');
+    } else {
+      if (previous.status === 'upcoming' && event.status === 'ended') {
+        record('ended', 'upcoming', 'ended');
+      }
+
+      const previousTime = normalizeEventTime(previous.time);
+      const currentTime = normalizeEventTime(event.time);
+      if (previousTime && currentTime && previousTime !== currentTime) {
+        record('time-changed', previous.time, event.time);
+        lifecycle.previousTime = previous.time;
+        lifecycle.rescheduledAt = now;
+      }
+
+      const previousLocation = (previous.location || '').trim();
+      const currentLocation = (event.location || '').trim();
+      if (previousLocation && currentLocation && previousLocation !== currentLocation) {
+        record('location-changed', previous.location, event.location);
+        lifecycle.previousLocation = previous.location;
+        lifecycle.relocatedAt = now;
+      }
+
+      const wasMissing = (previousLifecycle.missingRuns ?? previous.missingRuns ?? 0) > 0;
+      if (!wasMissing && lifecycle.missingRuns > 0) {
+        record('disappeared');
+      } else if (wasMissing && lifecycle.missingRuns === 0) {
+        record('reappeared');
+      }
+
+      if (state === 'cancelled' && previousLifecycle.state !== 'cancelled') {
+        record('cancelled');
+      }
+      if (state === 'removed' && previousLifecycle.state !== 'removed') {
+        record('removed');
+      }
+    }
+
+    if (state === 'cancelled') {
+      lifecycle.cancelledAt = previousLifecycle.cancelledAt || now;
+    } else {
+      delete lifecycle.cancelledAt;
+    }
+    if (state === 'removed') {
+      lifecycle.removedAt = previousLifecycle.removedAt || now;
+    } else {
+      delete lifecycle.removedAt;
+    }
+
+    return { ...event, lifecycle };
+  });
+
+  return {
+    events: tracked,
+    changes,
+    summary: changes.reduce((counts, change) => {
+      counts[change.type] = (counts[change.type] || 0) + 1;
+      return counts;
+    }, {})
+  };
+}
+
+/**
+ * Serialize the changelog with one entry per line so appends stay diff-friendly
+ */
+export function serializeChangelog(entries) {
+  if (entries.length === 0) return '[]\n';
+  return `[\n${entries.map(entry => `  ${JSON.stringify(entry)}`).join(',\n')}\n]\n`;
+}
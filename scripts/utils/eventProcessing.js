@@ -3,129 +3,98 @@
  * Handles event data processing, validation, and statistics generation
  */
 
+import { pinyin } from 'pinyin-pro';
+import { matchTags, normalizeEventTags, resolveTagId } from './tagTaxonomy.js';
+import { formatEventDateTime, getEventDates, getEventTimeStatus, parseEventTimestamp } from './eventTime.js';
+import { ATTENDANCE_MODES, getAttendanceMode } from './attendanceMode.js';
+
 /**
- * Generate SEO-friendly slug from event title
+ * Maximum length of the title part of a slug (the event ID is appended after it)
  */
-export function generateEventSlug(title, id) {
-  const slug = title
+export const SLUG_TITLE_MAX_LENGTH = 60;
+
+/**
+ * Transliterate a title to hyphenated toneless pinyin: 智体争锋 → zhi-ti-zheng-feng
+ */
+export function slugifyTitle(title) {
+  return pinyin(title || '', { toneType: 'none', type: 'array', nonZh: 'consecutive', v: true })
+    .join(' ')
+    .normalize('NFKD') // Split accented letters so the accent is dropped below
     .toLowerCase()
-    .replace(/[^\u4e00-\u9fa5a-z0-9\s-]/g, '') // Keep Chinese, English, numbers, spaces, hyphens
-    .replace(/\s+/g, '-') // Replace spaces with hyphens
-    .replace(/-+/g, '-') // Replace multiple hyphens with single
-    .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Generate an ASCII slug from the event title: Chinese is transliterated to toneless
+ * pinyin (智体争锋 → zhi-ti-zheng-feng), the title part is capped at a word boundary
+ * and the event ID is appended for uniqueness. Old slugs keep working through
+ * src/data/events/slug-registry.json.
+ */
+export function generateEventSlug(title, id) {
+  let slug = slugifyTitle(title);
+  if (slug.length > SLUG_TITLE_MAX_LENGTH) {
+    const cut = slug.slice(0, SLUG_TITLE_MAX_LENGTH + 1);
+    slug = cut.includes('-') ? cut.slice(0, cut.lastIndexOf('-')) : cut.slice(0, SLUG_TITLE_MAX_LENGTH);
+  }
 
-  // Ensure slug is not empty and add ID for uniqueness
   return slug ? `${slug}-${id}` : `event-${id}`;
 }
 
 /**
- * Extract tags from event title and location
+ * Extract canonical tag IDs (see src/data/tag-taxonomy.json) from event title and location
  */
 export function extractEventTags(event) {
-  const tags = [];
-  const text = `${event.title} ${event.location}`.toLowerCase();
-
-  // Technology tags
-  const techKeywords = [
-    'ai', 'artificial intelligence', '人工智能',
-    'aws', 'amazon', 'cloud', '云计算',
-    'bedrock', 'genai', '生成式ai',
-    'machine learning', 'ml', '机器学习',
-    'deep learning', 'deepseek', '深度学习',
-    'reinvent', 're:invent',
-    'serverless', '无服务器',
-    'kubernetes', 'k8s',
-    'docker', '容器',
-    'microservices', '微服务',
-    'devops', '开发运维'
-  ];
-
-  techKeywords.forEach(keyword => {
-    if (text.includes(keyword)) {
-      tags.push(keyword);
-    }
-  });
-
-  // Event type tags
-  if (text.includes('meetup') || text.includes('聚会')) tags.push('meetup');
-  if (text.includes('workshop') || text.includes('工作坊')) tags.push('workshop');
-  if (text.includes('conference') || text.includes('大会')) tags.push('conference');
-  if (text.includes('community') || text.includes('社区')) tags.push('community');
-  if (text.includes('hackathon') || text.includes('黑客马拉松')) tags.push('hackathon');
-
-  return [...new Set(tags)]; // Remove duplicates
+  return matchTags(`${event.title} ${event.location}`);
 }
 
 /**
- * Check if event is upcoming based on status field
+ * Check if an event is upcoming: it has not ended yet, judged by its start/end time
+ * (see getEventTimeStatus). Falls back to the scraped status when the time cannot be parsed.
  */
-export function isEventUpcoming(event) {
-  return event.status === 'upcoming';
+export function isEventUpcoming(event, now = Date.now()) {
+  const timeStatus = getEventTimeStatus(event, now);
+  return timeStatus ? timeStatus !== 'ended' : event.status === 'upcoming';
 }
 
 /**
- * Format event date for display
+ * Format event date for display in Beijing time (see ./eventTime.js)
  */
 export function formatEventDate(timeStr, locale = 'zh') {
-  if (!timeStr) return '';
-
-  try {
-    // Match time with year prefix: YYYY/MM/DD ... HH:MM
-    const matchWithYear = timeStr.match(/(\d{4})\/(\d{2})\/(\d{2}).*?(\d{2}):(\d{2})/);
-    // Match time without year: MM/DD ... HH:MM
-    const matchWithoutYear = timeStr.match(/^(\d{2})\/(\d{2}).*?(\d{2}):(\d{2})/);
-
-    let year, month, day, hour, minute;
-
-    if (matchWithYear) {
-      [, year, month, day, hour, minute] = matchWithYear;
-      year = parseInt(year);
-    } else if (matchWithoutYear) {
-      [, month, day, hour, minute] = matchWithoutYear;
-      year = new Date().getFullYear();
-    } else {
-      return timeStr;
-    }
-
-    const eventDate = new Date(year, parseInt(month) - 1, parseInt(day), parseInt(hour), parseInt(minute));
-
-    if (locale === 'en') {
-      return eventDate.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
-    } else {
-      return `${year}年${month}月${day}日 ${hour}:${minute}`;
-    }
-  } catch {
-    return timeStr;
-  }
+  return formatEventDateTime(timeStr, locale);
 }
 
 /**
- * Process raw events into enhanced event objects
+ * Process raw events into enhanced event objects. `cached` maps event IDs to cache
+ * entries ({ slug, tags, cityMappings, cityMatches }) for events whose content has not changed.
  */
-export function processEvents(rawEvents) {
-  const processed = rawEvents.map(event => ({
-    ...event,
-    cityMappings: [], // Will be populated by city mapping system
-    slug: generateEventSlug(event.title, event.id),
-    tags: extractEventTags(event),
-    isUpcoming: isEventUpcoming(event),
-    formattedDate: formatEventDate(event.time)
-  }));
+export function processEvents(rawEvents, cached = new Map()) {
+  const processed = rawEvents.map(event => {
+    // Unchanged events reuse the slug, tags and city mappings from the processing cache
+    const entry = cached.get(event.id);
+    const dates = getEventDates(event);
+    return {
+      ...event,
+      startDate: dates.startDate,
+      endDate: dates.endDate,
+      durationMinutes: dates.durationMinutes,
+      attendanceMode: getAttendanceMode(event),
+      cityMappings: entry ? entry.cityMappings : [], // Otherwise populated by city mapping system
+      cityMatches: entry?.cityMatches,
+      slug: entry ? entry.slug : generateEventSlug(event.title, event.id),
+      tags: entry ? entry.tags : extractEventTags(event),
+      isUpcoming: isEventUpcoming(event),
+      formattedDate: formatEventDate(dates.startDate || event.time)
+    };
+  });
 
   // Sort: upcoming events first (by date ascending), then past events by date descending
   processed.sort((a, b) => {
     if (a.isUpcoming !== b.isUpcoming) {
       return a.isUpcoming ? -1 : 1;
     }
-    // Parse time for comparison (YYYY/MM/DD ... HH:MM)
-    const timeA = parseEventTime(a.time);
-    const timeB = parseEventTime(b.time);
+    const timeA = parseEventTimestamp(a.startDate) || 0;
+    const timeB = parseEventTimestamp(b.startDate) || 0;
     if (a.isUpcoming) {
       return timeA - timeB; // upcoming: soonest first
     }
@@ -141,28 +110,319 @@ export function processEvents(rawEvents) {
 }
 
 /**
- * Parse event time string to timestamp for sorting
+ * Merge events maintained in data/events/manual into the scraped events.
+ *
+ * Precedence: a manual entry whose id matches a scraped event overrides the fields it
+ * sets and keeps everything else from the scraper (marked manualOverride); any other
+ * manual entry is added as a standalone event with origin "manual". Manual entries
+ * never come from the scraper, so a scraper run cannot overwrite them.
  */
-function parseEventTime(timeStr) {
-  if (!timeStr) return 0;
-  const match = timeStr.match(/(\d{4})\/(\d{2})\/(\d{2}).*?(\d{2}):(\d{2})/);
-  if (match) {
-    const [, year, month, day, hour, minute] = match;
-    return new Date(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hour), parseInt(minute)).getTime();
-  }
-  // Fallback for MM/DD HH:MM without year
-  const shortMatch = timeStr.match(/(\d{2})\/(\d{2}).*?(\d{2}):(\d{2})/);
-  if (shortMatch) {
-    const [, month, day, hour, minute] = shortMatch;
-    return new Date(2025, parseInt(month) - 1, parseInt(day), parseInt(hour), parseInt(minute)).getTime();
+export function mergeManualEvents(scrapedEvents, manualEvents = []) {
+  const manualById = new Map(manualEvents.map(event => [event.id, event]));
+  const scrapedIds = new Set(scrapedEvents.map(event => event.id));
+  const now = Date.now();
+
+  const merged = scrapedEvents.map(event => {
+    const manual = manualById.get(event.id);
+    return manual ? { ...event, ...manual, manualOverride: true } : event;
+  });
+
+  const added = manualEvents
+    .filter(event => !scrapedIds.has(event.id))
+    .map(event => {
+      const timestamp = parseEventTimestamp(event.time || '');
+      return {
+        location: '',
+        imageUrl: '',
+        views: 0,
+        favorites: 0,
+        scrapedAt: event.updatedAt || '',
+        ...event,
+        time: event.time ? String(event.time) : '',
+        status: event.status || (timestamp && timestamp > now ? 'upcoming' : 'ended'),
+        origin: 'manual'
+      };
+    });
+
+  return {
+    events: [...added, ...merged],
+    summary: {
+      added: added.length,
+      overridden: merged.filter(event => event.manualOverride).length
+    }
+  };
+}
+
+/**
+ * Fields an entry in data/events/overrides.yaml may pin
+ */
+export const OVERRIDE_FIELDS = [
+  'cityMappings', 'communityMappings', 'tags', 'title', 'titleEn', 'summaryEn', 'time', 'attendanceMode', 'featured', 'hidden'
+];
+
+/**
+ * Check override entries against the known cities, communities and tags.
+ * Returns a list of error messages; an empty list means the overrides are usable.
+ */
+export function validateEventOverrides(overrides, { cities = [], communities = [] } = {}) {
+  const errors = [];
+  const cityIds = new Set(cities.map(city => city.id));
+  const communityIds = new Set(communities.map(community => community.id));
+
+  Object.entries(overrides).forEach(([eventId, override]) => {
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+      errors.push(`${eventId}: override must be a mapping of fields`);
+      return;
+    }
+
+    Object.entries(override).forEach(([field, value]) => {
+      if (field === 'note') return; // Free-text reason for the override
+      if (!OVERRIDE_FIELDS.includes(field)) {
+        errors.push(`${eventId}: unknown field "${field}"`);
+      } else if (['cityMappings', 'communityMappings', 'tags'].includes(field) && !Array.isArray(value)) {
+        errors.push(`${eventId}: ${field} must be a list`);
+      } else if (['featured', 'hidden'].includes(field) && typeof value !== 'boolean') {
+        errors.push(`${eventId}: ${field} must be true or false`);
+      } else if (['title', 'titleEn', 'summaryEn', 'time'].includes(field) && (typeof value !== 'string' || !value.trim())) {
+        errors.push(`${eventId}: ${field} must be a non-empty string`);
+      } else if (field === 'attendanceMode' && !ATTENDANCE_MODES.includes(value)) {
+        errors.push(`${eventId}: attendanceMode must be one of ${ATTENDANCE_MODES.join(', ')}`);
+      }
+    });
+
+    (Array.isArray(override.cityMappings) ? override.cityMappings : [])
+      .filter(cityId => !cityIds.has(cityId))
+      .forEach(cityId => errors.push(`${eventId}: unknown city "${cityId}"`));
+    (Array.isArray(override.communityMappings) ? override.communityMappings : [])
+      .filter(communityId => !communityIds.has(communityId))
+      .forEach(communityId => errors.push(`${eventId}: unknown community "${communityId}"`));
+    (Array.isArray(override.tags) ? override.tags : [])
+      .filter(tag => !resolveTagId(String(tag)))
+      .forEach(tag => errors.push(`${eventId}: unknown tag "${tag}"`));
+    if (typeof override.time === 'string' && !parseEventTimestamp(override.time)) {
+      errors.push(`${eventId}: time "${override.time}" is not in YYYY/MM/DD HH:MM format`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Apply data/events/overrides.yaml to fully processed events.
+ *
+ * Runs after mapping so pinned values win over everything computed automatically, and
+ * before lifecycle tracking, which compares with the previous output (saved with
+ * overrides applied). Pinned cities are recorded as "override" city matches and pinned
+ * tags get their taxonomy ancestors; a corrected time also updates formattedDate and
+ * the upcoming/ended status. A pinned online attendance mode clears the event's cities
+ * (given options.cityMappingEngine, pinning another mode maps an event that was detected
+ * as online). A corrected title is used for the event's tags but not its slug, so
+ * existing links keep working; given options.communityMappingEngine, a corrected title
+ * or attendance mode also rematches its specialized communities. The replaced values
+ * are kept in valuesBeforeOverride (see revertEventOverrides). Hidden events are
+ * dropped from the output. Overrides whose event ID no longer exists are returned as stale.
+ */
+export function applyEventOverrides(events, overrides = {}, options = {}) {
+  const now = options.now || Date.now();
+  const eventIds = new Set(events.map(event => event.id));
+  const applied = [];
+  const hidden = [];
+
+  const overridden = events.map(event => {
+    const override = overrides[event.id];
+    if (!override) return event;
+
+    const result = { ...event };
+    const fields = OVERRIDE_FIELDS.filter(field => override[field] !== undefined);
+    fields.forEach(field => {
+      if (field === 'tags') {
+        result.tags = normalizeEventTags(override.tags.map(String));
+      } else if (field === 'time') {
+        // The override replaces the scraped time, including detail-page start/end times
+        delete result.startTime;
+        delete result.endTime;
+        result.time = override.time;
+        const dates = getEventDates(result);
+        result.startDate = dates.startDate;
+        result.endDate = dates.endDate;
+        result.durationMinutes = dates.durationMinutes;
+        result.formattedDate = formatEventDate(result.startDate);
+        result.isUpcoming = isEventUpcoming(result, now);
+        result.status = result.isUpcoming ? 'upcoming' : 'ended';
+      } else if (field === 'cityMappings') {
+        result.cityMappings = override.cityMappings;
+        result.cityMatches = override.cityMappings.map(cityId => ({ cityId, confidence: 1, matchType: 'override' }));
+      } else if (field === 'communityMappings') {
+        result.communityMappings = override.communityMappings;
+        result.communityMatches = override.communityMappings.map(communityId => ({ communityId, matchType: 'override' }));
+      } else {
+        result[field] = override[field];
+      }
+    });
+    // A pinned attendance mode decides whether the location is mapped at all: online
+    // events belong to no city, like the audit's "online" decision, and an event that was
+    // only skipped for looking online is mapped after all
+    if (fields.includes('attendanceMode') && !fields.includes('cityMappings')) {
+      if (result.attendanceMode === 'online') {
+        result.cityMappings = [];
+        result.cityMatches = [];
+      } else if (event.attendanceMode === 'online' && options.cityMappingEngine) {
+        const [mapped] = options.cityMappingEngine.mapEventsToCities([result]);
+        result.cityMappings = mapped.cityMappings;
+        result.cityMatches = mapped.cityMatches;
+      }
+    }
+
+    // Tags come from the title and communities from the title and attendance mode, so
+    // corrected values replace the ones derived from the wrong ones unless pinned as well
+    const retitled = fields.includes('title');
+    if (retitled && !fields.includes('tags')) {
+      result.tags = extractEventTags(result);
+    }
+    const rematch = retitled || fields.includes('attendanceMode');
+    if (rematch && !fields.includes('communityMappings') && options.communityMappingEngine) {
+      const communityMatches = options.communityMappingEngine.mapEventToCommunities(result);
+      result.communityMappings = communityMatches.map(match => match.communityId);
+      result.communityMatches = communityMatches;
+    }
+    const replaced = fields.includes('time') ? [...fields, 'startTime', 'endTime'] : fields;
+    result.valuesBeforeOverride = Object.fromEntries(
+      replaced.filter(field => event[field] !== undefined).map(field => [field, event[field]])
+    );
+    result.overriddenFields = fields;
+
+    applied.push({ eventId: event.id, fields });
+    if (override.hidden) hidden.push(event.id);
+    return result;
+  });
+
+  return {
+    events: overridden.filter(event => !event.hidden),
+    applied,
+    hidden,
+    stale: Object.keys(overrides).filter(eventId => !eventIds.has(eventId))
+  };
+}
+
+/**
+ * Put back the values an override replaced in an event of a previous processed-events.json.
+ * Events kept after the scraper stops listing them are reprocessed from that output, so
+ * without this a removed override would stay baked into their title, time and the like.
+ */
+export function revertEventOverrides(event) {
+  if (!event.valuesBeforeOverride) return event;
+
+  const { overriddenFields = [], valuesBeforeOverride, ...result } = event;
+  const replaced = overriddenFields.includes('time') ? [...overriddenFields, 'startTime', 'endTime'] : overriddenFields;
+  replaced.forEach(field => {
+    if (field in valuesBeforeOverride) {
+      result[field] = valuesBeforeOverride[field];
+    } else {
+      delete result[field];
+    }
+  });
+  return result;
+}
+
+const GROWTH_WINDOWS = [7, 30];
+const TRENDING_LIMIT = 6;
+
+function shiftSnapshotDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+}
+
+/**
+ * Derive per-event view and favorite deltas over the growth windows from the
+ * engagement history written by the scraper. Each snapshot is
+ * [date, views, favorites] and stays valid until the next one, so the baseline
+ * for a window is the latest snapshot on or before its start date (or the
+ * earliest snapshot for events first seen inside the window). Windows end at
+ * the most recent snapshot date in the history, not today, so a paused
+ * scraper does not zero out every delta.
+ */
+export function calculateEngagementGrowth(history) {
+  const growth = new Map();
+  const eventHistories = Object.entries(history?.events || {})
+    .filter(([, snapshots]) => Array.isArray(snapshots) && snapshots.length > 0);
+  if (eventHistories.length === 0) {
+    return growth;
   }
-  return 0;
+
+  const latestDate = eventHistories
+    .map(([, snapshots]) => snapshots[snapshots.length - 1][0])
+    .sort()
+    .pop();
+
+  eventHistories.forEach(([id, snapshots]) => {
+    const [, views, favorites] = snapshots[snapshots.length - 1];
+    const entry = {};
+
+    GROWTH_WINDOWS.forEach(days => {
+      const windowStart = shiftSnapshotDate(latestDate, -days);
+      const baseline = snapshots.filter(([date]) => date <= windowStart).pop() || snapshots[0];
+      entry[`views${days}d`] = Math.max(0, views - baseline[1]);
+      entry[`favorites${days}d`] = Math.max(0, favorites - baseline[2]);
+    });
+
+    growth.set(id, entry);
+  });
+
+  return growth;
+}
+
+/**
+ * Figures for the events of one city or specialized community: totals per year, the
+ * first and last event date, average views and the most viewed event
+ */
+export function calculateCommunityStats(events) {
+  const dates = events
+    .map(event => (event.startDate || getEventDates(event).startDate || '').slice(0, 10))
+    .filter(Boolean)
+    .sort();
+
+  const eventsByYear = {};
+  dates.forEach(date => {
+    const year = date.slice(0, 4);
+    eventsByYear[year] = (eventsByYear[year] || 0) + 1;
+  });
+
+  const totalViews = events.reduce((sum, e) => sum + (e.views || 0), 0);
+  const topEvent = events
+    .filter(e => e.views > 0)
+    .sort((a, b) => b.views - a.views)[0];
+
+  return {
+    totalEvents: events.length,
+    eventsByYear,
+    ...(dates.length > 0 && { firstEventDate: dates[0], lastEventDate: dates[dates.length - 1] }),
+    averageViews: events.length > 0 ? Math.round(totalViews / events.length) : 0,
+    ...(topEvent && {
+      topEvent: { id: topEvent.id, title: topEvent.title, titleEn: topEvent.titleEn, slug: topEvent.slug, views: topEvent.views }
+    })
+  };
+}
+
+/**
+ * calculateCommunityStats for every ID an event lists, e.g. its cityMappings
+ */
+function calculateStatsByCommunity(events, getIds) {
+  const groups = {};
+  events.forEach(event => {
+    getIds(event).forEach(id => {
+      (groups[id] = groups[id] || []).push(event);
+    });
+  });
+  return Object.fromEntries(
+    Object.keys(groups).sort().map(id => [id, calculateCommunityStats(groups[id])])
+  );
 }
 
 /**
  * Calculate comprehensive event statistics
  */
-export function calculateEventStats(events) {
+export function calculateEventStats(events, history = null) {
   const totalEvents = events.length;
   const upcomingEvents = events.filter(e => e.isUpcoming).length;
   const pastEvents = totalEvents - upcomingEvents;
@@ -175,6 +435,22 @@ export function calculateEventStats(events) {
     });
   });
 
+  // Specialized community distribution
+  const communityDistribution = {};
+  events.forEach(event => {
+    (event.communityMappings || []).forEach(communityId => {
+      communityDistribution[communityId] = (communityDistribution[communityId] || 0) + 1;
+    });
+  });
+
+  // Tag distribution by canonical tag ID (ancestors included, so "ai" counts every AI event)
+  const tagDistribution = {};
+  events.forEach(event => {
+    (event.tags || []).forEach(tag => {
+      tagDistribution[tag] = (tagDistribution[tag] || 0) + 1;
+    });
+  });
+
   // Engagement metrics
   const totalViews = events.reduce((sum, e) => sum + (e.views || 0), 0);
   const totalFavorites = events.reduce((sum, e) => sum + (e.favorites || 0), 0);
@@ -194,6 +470,31 @@ export function calculateEventStats(events) {
     .slice(0, 5)
     .map(e => ({ id: e.id, title: e.title, favorites: e.favorites }));
 
+  // Growth metrics: trending ranks by recent view growth, not lifetime views
+  const growth = calculateEngagementGrowth(history);
+  const eventGrowth = events
+    .filter(e => growth.has(e.id))
+    .map(e => ({ event: e, ...growth.get(e.id) }));
+  const sumGrowth = key => eventGrowth.reduce((sum, entry) => sum + entry[key], 0);
+
+  const trendingEvents = eventGrowth
+    .filter(entry => entry.views7d > 0 || entry.views30d > 0)
+    .sort((a, b) => b.views7d - a.views7d || b.views30d - a.views30d)
+    .slice(0, TRENDING_LIMIT)
+    .map(({ event, views7d, views30d, favorites7d, favorites30d }) => ({
+      id: event.id,
+      title: event.title,
+      titleEn: event.titleEn,
+      slug: event.slug,
+      time: event.time,
+      location: event.location,
+      views: event.views,
+      views7d,
+      views30d,
+      favorites7d,
+      favorites30d
+    }));
+
   // Mapping stats
   const mappedEvents = events.filter(e => e.cityMappings.length > 0).length;
   const unmappedEvents = totalEvents - mappedEvents;
@@ -213,6 +514,8 @@ export function calculateEventStats(events) {
     upcomingEvents,
     pastEvents,
     cityDistribution,
+    communityDistribution,
+    tagDistribution,
     engagementMetrics: {
       totalViews,
       totalFavorites,
@@ -221,12 +524,23 @@ export function calculateEventStats(events) {
       topViewedEvents,
       topFavoritedEvents
     },
+    growthMetrics: {
+      trackedEvents: eventGrowth.length,
+      views7d: sumGrowth('views7d'),
+      views30d: sumGrowth('views30d'),
+      favorites7d: sumGrowth('favorites7d'),
+      favorites30d: sumGrowth('favorites30d'),
+      trendingEvents
+    },
     mappingStats: {
       mappedEvents,
       unmappedEvents,
       mappingSuccessRate
     },
     timeDistribution,
+    // Per-city and per-community figures shown on community pages (src/utils/communityStats.ts)
+    cityStats: calculateStatsByCommunity(events, event => event.cityMappings),
+    communityStats: calculateStatsByCommunity(events, event => event.communityMappings || []),
     lastUpdated: new Date().toISOString()
   };
 }
@@ -252,10 +566,12 @@ export function removeDuplicateEvents(events) {
     }
 
     // Check for URL duplicates (high priority)
-    if (event.url && seenUrls.has(event.url)) {
+    // Occurrences of a recurring calendar event share one URL, so they are keyed per occurrence
+    const urlKey = event.url && event.recurrenceId ? `${event.url}#${event.recurrenceId}` : event.url;
+    if (urlKey && seenUrls.has(urlKey)) {
       isDuplicate.push('Duplicate URL');
-    } else if (event.url) {
-      seenUrls.add(event.url);
+    } else if (urlKey) {
+      seenUrls.add(urlKey);
     }
 
     // Check for title + time + location duplicates (content-based matching)
@@ -399,6 +715,30 @@ export function cleanEventData(events) {
       }
     }
 
+    // Normalize detail-page fields (only present when the scraper ran its detail pass)
+    if (cleanedEvent.venueAddress) {
+      const originalVenueAddress = cleanedEvent.venueAddress;
+      cleanedEvent.venueAddress = cleanedEvent.venueAddress
+        .trim()
+        .replace(/\s+/g, ' ')
+        .replace(/[\u200B-\u200D\uFEFF]/g, '');
+
+      if (originalVenueAddress !== cleanedEvent.venueAddress) {
+        actions.push('Cleaned venue address');
+      }
+    }
+
+    if (cleanedEvent.detailScrapedAt) {
+      if (!Array.isArray(cleanedEvent.agenda)) {
+        cleanedEvent.agenda = [];
+        actions.push('Normalized agenda');
+      }
+      if (!Array.isArray(cleanedEvent.speakers)) {
+        cleanedEvent.speakers = [];
+        actions.push('Normalized speakers');
+      }
+    }
+
     // Normalize URLs
     if (cleanedEvent.url) {
       const originalUrl = cleanedEvent.url;
@@ -491,7 +831,8 @@ export function validateEventData(events) {
     // Critical validation (will mark as invalid)
     if (!event.id) issues.push('Missing event ID');
     if (!event.title || event.title.trim().length === 0) issues.push('Missing or empty title');
-    if (!event.url) issues.push('Missing event URL');
+    // Calendar entries often have no registration page; those are listed without a link
+    if (!event.url) (event.origin === 'ics' ? warningIssues : issues).push('Missing event URL');
 
     // Data format validation
     if (event.title && event.title.length > 200) issues.push('Title too long (>200 chars)');
@@ -509,6 +850,7 @@ export function validateEventData(events) {
         /^\d{2}\/\d{2}\s+\d{2}:\d{2}$/,  // MM/DD HH:MM
         /^\d{4}\/\d{2}\/\d{2}\s+\d{2}:\d{2}$/,  // YYYY/MM/DD HH:MM
         /^\d{4}\/\d{2}\/\d{2}\s+周[一二三四五六日]\s+\d{2}:\d{2}$/,  // YYYY/MM/DD 周X HH:MM
+        /^\d{4}\/\d{2}\/\d{2}\s+周[一二三四五六日]$/,  // YYYY/MM/DD 周X (all-day calendar imports)
         /^\d{2}\/\d{2}\s+周[一二三四五六日]\s+\d{2}:\d{2}$/,  // MM/DD 周X HH:MM
         /^\d{4}\/\d{2}\/\d{2}\/\d{2}\/\d{2}\s+/  // loose: starts with date-like pattern
       ];
@@ -519,6 +861,15 @@ export function validateEventData(events) {
       }
     }
 
+    // Detail-page times are normalized to YYYY/MM/DD HH:MM by the scraper
+    if (event.startTime && event.endTime) {
+      const start = parseEventTimestamp(event.startTime);
+      const end = parseEventTimestamp(event.endTime);
+      if (start && end && end < start) {
+        issues.push('End time before start time');
+      }
+    }
+
     // Warning-level validation (won't mark as invalid but will be reported)
     if (!event.location || event.location.trim().length === 0) {
       warningIssues.push('Missing location information');
@@ -536,6 +887,28 @@ export function validateEventData(events) {
       warningIssues.push('No favorite count data');
     }
 
+    if (event.detailScrapedAt && !event.description) {
+      warningIssues.push('Detail page has no description');
+    }
+
+    // Manual events are typed by hand: check the fields the scraper would always fill
+    if (event.origin === 'manual' || event.manualOverride) {
+      if (event.origin === 'manual' && !event.time) issues.push('Manual event missing time');
+      ['titleEn', 'locationEn', 'descriptionEn'].forEach(field => {
+        if (event[field] !== undefined && typeof event[field] !== 'string') {
+          issues.push(`Invalid bilingual field ${field}`);
+        }
+      });
+      if (event.origin === 'manual' && !event.titleEn) {
+        warningIssues.push('Manual event has no English title');
+      }
+    }
+
+    // The list page omits the year for most dates; the scraper records how it picked one
+    if (event.yearInference?.confidence === 'low') {
+      warningIssues.push(`Low-confidence year inference (${event.yearInference.rule})`);
+    }
+
     // Check for suspicious data patterns
     if (event.title && event.title.length < 10) {
       warningIssues.push('Very short title (might be incomplete)');
@@ -578,7 +951,7 @@ export function validateEventData(events) {
 /**
  * Generate comprehensive data quality report
  */
-export function generateDataQualityReport(events, validation, deduplication, cleaning) {
+export function generateDataQualityReport(events, validation, deduplication, cleaning, overrides = null, nearDuplicates = []) {
   const report = {
     timestamp: new Date().toISOString(),
     summary: {
@@ -606,14 +979,18 @@ export function generateDataQualityReport(events, validation, deduplication, cle
         eventId: item.event.id,
         title: item.event.title,
         reasons: item.reasons
-      })) : []
+      })) : [],
+      // Entries in data/events/overrides.yaml whose event no longer exists
+      staleOverrides: overrides ? overrides.stale : [],
+      // Similar same-day events awaiting a decision in scripts/review-duplicates.js
+      nearDuplicates
     },
     statistics: {
       commonIssues: validation.summary.commonIssues,
       duplicateReasons: deduplication ? deduplication.summary.duplicateReasons : {},
       cleaningActions: cleaning ? cleaning.summary.cleaningStats : {}
     },
-    recommendations: generateQualityRecommendations(validation, deduplication, cleaning)
+    recommendations: generateQualityRecommendations(validation, deduplication, cleaning, overrides, nearDuplicates)
   };
 
   return report;
@@ -622,7 +999,7 @@ export function generateDataQualityReport(events, validation, deduplication, cle
 /**
  * Generate quality improvement recommendations
  */
-function generateQualityRecommendations(validation, deduplication, cleaning) {
+function generateQualityRecommendations(validation, deduplication, cleaning, overrides, nearDuplicates = []) {
   const recommendations = [];
 
   // Critical issues
@@ -658,6 +1035,26 @@ function generateQualityRecommendations(validation, deduplication, cleaning) {
     }
   }
 
+  // Near-duplicate candidates
+  if (nearDuplicates.length > 0) {
+    recommendations.push({
+      priority: 'medium',
+      category: 'data_quality',
+      message: `${nearDuplicates.length} pairs of similar same-day events may be duplicates`,
+      action: 'Confirm or reject them with node scripts/review-duplicates.js'
+    });
+  }
+
+  // Stale overrides
+  if (overrides && overrides.stale.length > 0) {
+    recommendations.push({
+      priority: 'low',
+      category: 'maintenance',
+      message: `${overrides.stale.length} entries in overrides.yaml point at events that no longer exist`,
+      action: 'Remove the stale entries from data/events/overrides.yaml'
+    });
+  }
+
   // Quality score
   if (validation.summary.qualityScore < 80) {
     recommendations.push({
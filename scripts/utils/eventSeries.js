@@ -0,0 +1,268 @@
+/**
+ * Event Series Detection (JavaScript version for Node.js)
+ * Groups recurring events (Community Day, re:Invent re:Cap, Kiro workshops...) that
+ * run across cities and years into series. Events are first matched against the
+ * title patterns in src/data/event-series.json; the remaining events are clustered
+ * by title similarity once city names, years and "X站" suffixes are stripped.
+ * Every event in a series gets a seriesId and the series are written to
+ * src/data/events/series.json for the series pages.
+ */
+
+import { titleSimilarity } from './duplicateDetection.js';
+import { slugifyTitle } from './eventProcessing.js';
+import { parseEventTimestamp } from './eventTime.js';
+
+/**
+ * Minimum title similarity for two unmatched events to be grouped into a series
+ */
+export const DEFAULT_SERIES_THRESHOLD = 0.75;
+
+/**
+ * A series needs at least this many editions
+ */
+const MIN_EDITIONS = 2;
+
+// Length cap of the title part of an auto-detected series ID
+const AUTO_ID_MAX_LENGTH = 40;
+
+// Words that appear in most titles and say nothing about the series
+const NOISE_PATTERNS = [
+  /亚马逊云科技/g,
+  /amazon web services/gi,
+  /\baws\b/gi,
+  /user\s*group/gi,
+  /\bug\b/gi,
+  /(19|20)\d{2}\s*年?/g,
+  /第\s*[一二三四五六七八九十\d]+\s*[期场届]/g,
+  /【[^】]*】/g
+];
+
+/**
+ * Check series definitions from src/data/event-series.json.
+ * Returns a list of error messages; an empty list means the definitions are usable.
+ */
+export function validateSeriesDefinitions(definitions) {
+  if (!Array.isArray(definitions)) {
+    return ['Series definitions must be an array'];
+  }
+
+  const errors = [];
+  const ids = new Set();
+  definitions.forEach((definition, index) => {
+    const label = definition?.id || `#${index}`;
+    if (!definition?.id || !/^[a-z0-9-]+$/.test(definition.id)) {
+      errors.push(`${label}: id must be lowercase letters, digits and hyphens`);
+    } else if (ids.has(definition.id)) {
+      errors.push(`${label}: duplicate id`);
+    }
+    ids.add(definition?.id);
+
+    if (!definition?.name?.zh || !definition?.name?.en) {
+      errors.push(`${label}: name needs zh and en`);
+    }
+    if (!Array.isArray(definition?.patterns) && !Array.isArray(definition?.eventIds)) {
+      errors.push(`${label}: needs patterns or eventIds`);
+    }
+    (definition?.patterns || []).forEach(pattern => {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        errors.push(`${label}: invalid pattern ${pattern} (${error.message})`);
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Title with city names, years, "X站/X场" suffixes and bracketed notes removed:
+ * "2025 re:Invent re:Cap 深圳站" → "re:Invent re:Cap"
+ */
+export function stripSeriesNoise(title = '', cities = []) {
+  const cityNames = cities
+    .flatMap(city => [city.name?.zh, city.name?.en])
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+
+  let stripped = title;
+  cityNames.forEach(name => {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    stripped = stripped.replace(new RegExp(`${escaped}\\s*(站|场|专场|分站)?`, 'gi'), ' ');
+  });
+  NOISE_PATTERNS.forEach(pattern => {
+    stripped = stripped.replace(pattern, ' ');
+  });
+
+  return stripped
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s:：\-–—|,，!！]+|[\s:：\-–—|,，!！]+$/g, '')
+    .trim();
+}
+
+// "上集/下集", "（上）/（下）": parts of one event, not editions of a series
+const PART_PATTERN = /([上中下])集|[（(]([上中下])[）)]/;
+
+function partMarker(title = '') {
+  const match = title.match(PART_PATTERN);
+  return match ? match[1] || match[2] : null;
+}
+
+function eventDate(event) {
+  return event.startDate ? event.startDate.slice(0, 10) : null;
+}
+
+function chronological(a, b) {
+  return (parseEventTimestamp(a.startDate || a.time) || 0) - (parseEventTimestamp(b.startDate || b.time) || 0);
+}
+
+/**
+ * Cluster events by title similarity with union-find. Two events on the same day are
+ * never linked: they are parallel sessions or near-duplicates, not editions. Neither
+ * are different parts (上集/下集) of one event.
+ */
+function clusterBySimilarity(events, cities, threshold) {
+  const titles = events.map(event => stripSeriesNoise(event.title, cities));
+  const parts = events.map(event => partMarker(event.title));
+  const parent = events.map((_, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+  for (let i = 0; i < events.length; i++) {
+    if (!titles[i]) continue;
+    for (let j = i + 1; j < events.length; j++) {
+      if (!titles[j] || find(i) === find(j)) continue;
+      const dateA = eventDate(events[i]);
+      if (dateA && dateA === eventDate(events[j])) continue;
+      if ((parts[i] || parts[j]) && parts[i] !== parts[j]) continue;
+      if (titleSimilarity(titles[i], titles[j]).score >= threshold) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  events.forEach((event, index) => {
+    const root = find(index);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push({ event, title: titles[index] });
+  });
+  return [...clusters.values()].filter(cluster => cluster.length >= MIN_EDITIONS);
+}
+
+function summarizeSeries(id, name, members, auto) {
+  const editions = [...members].sort(chronological);
+  const dates = editions.map(eventDate).filter(Boolean);
+  return {
+    id,
+    name,
+    auto,
+    eventIds: editions.map(event => event.id),
+    cities: [...new Set(editions.flatMap(event => event.cityMappings || []))],
+    firstDate: dates[0] || null,
+    lastDate: dates[dates.length - 1] || null
+  };
+}
+
+/**
+ * ID of a new auto-detected series: the slug of its earliest title capped at a word
+ * boundary, or the earliest event's ID when the title has nothing to slugify
+ */
+export function autoSeriesId(title, eventId) {
+  let slug = slugifyTitle(title);
+  if (slug.length > AUTO_ID_MAX_LENGTH) {
+    const cut = slug.slice(0, AUTO_ID_MAX_LENGTH + 1);
+    slug = cut.includes('-') ? cut.slice(0, cut.lastIndexOf('-')) : cut.slice(0, AUTO_ID_MAX_LENGTH);
+  }
+  return `auto-${slug || slugifyTitle(eventId)}`;
+}
+
+/**
+ * The auto series ID most of a cluster's events were previously published under, so
+ * /events/series/<id> links survive a new edition or a retitled earliest edition
+ */
+function previousSeriesId(cluster, previousIds, usedIds) {
+  const counts = new Map();
+  cluster.forEach(({ event }) => {
+    const id = previousIds.get(event.id);
+    if (id && !usedIds.has(id)) counts.set(id, (counts.get(id) || 0) + 1);
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0]?.[0] || null;
+}
+
+/**
+ * Assign a seriesId to every event that belongs to a series.
+ * Definitions are applied in order (explicit eventIds first, then patterns); events no
+ * definition matches are grouped by title similarity into auto-detected series, named
+ * after their earliest edition (in English through options.translate when given).
+ * An auto series keeps the ID it was published under in options.previousSeries (the
+ * previous series.json) while it shares events with it; new ones get an ID from the
+ * earliest edition's title.
+ */
+export function detectEventSeries(events, definitions = [], options = {}) {
+  const { cities = [], threshold = DEFAULT_SERIES_THRESHOLD, translate = null, previousSeries = [] } = options;
+  const assigned = new Map();
+
+  definitions.forEach(definition => {
+    (definition.eventIds || []).forEach(id => {
+      if (!assigned.has(id)) assigned.set(id, definition.id);
+    });
+  });
+  const matchers = definitions.map(definition => ({
+    id: definition.id,
+    patterns: (definition.patterns || []).map(pattern => new RegExp(pattern, 'i'))
+  }));
+  events.forEach(event => {
+    if (assigned.has(event.id)) return;
+    const match = matchers.find(matcher => matcher.patterns.some(pattern => pattern.test(event.title || '')));
+    if (match) assigned.set(event.id, match.id);
+  });
+
+  const series = definitions
+    .map(definition => summarizeSeries(
+      definition.id,
+      definition.name,
+      events.filter(event => assigned.get(event.id) === definition.id),
+      false
+    ))
+    .filter(entry => entry.eventIds.length >= MIN_EDITIONS);
+  const published = new Set(series.map(entry => entry.id));
+
+  const usedIds = new Set(definitions.map(definition => definition.id));
+  const previousIds = new Map(previousSeries
+    .filter(entry => entry.auto)
+    .flatMap(entry => entry.eventIds.map(eventId => [eventId, entry.id])));
+  const clusters = clusterBySimilarity(events.filter(event => !assigned.has(event.id)), cities, threshold);
+  // Clusters that keep their previous ID claim it before new IDs are issued
+  const keptIds = new Map();
+  clusters.forEach(cluster => {
+    const id = previousSeriesId(cluster, previousIds, usedIds);
+    if (id) {
+      keptIds.set(cluster, id);
+      usedIds.add(id);
+    }
+  });
+
+  clusters.forEach(cluster => {
+    const earliest = [...cluster].sort((a, b) => chronological(a.event, b.event))[0];
+    let id = keptIds.get(cluster);
+    if (!id) {
+      const base = autoSeriesId(earliest.title, earliest.event.id);
+      id = base;
+      for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+      usedIds.add(id);
+    }
+
+    cluster.forEach(({ event }) => assigned.set(event.id, id));
+    published.add(id);
+    const name = { zh: earliest.title, en: translate ? translate(earliest.title).text || earliest.title : earliest.title };
+    series.push(summarizeSeries(id, name, cluster.map(({ event }) => event), true));
+  });
+
+  return {
+    // A definition that matches a single event is not a series yet
+    events: events.map(event => {
+      const seriesId = assigned.get(event.id);
+      return seriesId && published.has(seriesId) ? { ...event, seriesId } : event;
+    }),
+    series: series.sort((a, b) => (b.lastDate || '').localeCompare(a.lastDate || '') || a.id.localeCompare(b.id))
+  };
+}
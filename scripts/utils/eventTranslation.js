@@ -0,0 +1,217 @@
+/**
+ * English Titles and Summaries (JavaScript version for Node.js)
+ * Gives every event a titleEn and summaryEn for the /en pages. An English title pinned
+ * in data/events/overrides.yaml wins, then one the source provided (manual YAML or
+ * calendar imports), then a glossary pass over the Chinese title: terms from
+ * src/data/translation-glossary.json, city names and tag names are replaced longest
+ * first and anything left over is transliterated to pinyin. Each event records how its
+ * English text was produced in titleEnSource and summaryEnSource.
+ */
+
+import { pinyin } from 'pinyin-pro';
+import { formatEventDateTime } from './eventTime.js';
+import { getTagLabel, normalizeEventTags, tagTaxonomy } from './tagTaxonomy.js';
+
+/**
+ * Longest English summary taken from a source description
+ */
+export const SUMMARY_MAX_LENGTH = 200;
+
+// Format tags and the noun a summary uses for them
+const SUMMARY_NOUNS = {
+  meetup: 'meetup',
+  workshop: 'workshop',
+  conference: 'conference',
+  hackathon: 'hackathon'
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const CJK = /[㐀-鿿]/;
+
+// Full-width punctuation and its ASCII replacement
+const PUNCTUATION = [
+  [/\s*：\s*|\s+:\s*|(?<=[㐀-鿿]):\s*/g, ': '],
+  [/[，、]\s*/g, ', '],
+  [/！/g, '!'],
+  [/？/g, '?'],
+  [/[（(]\s*/g, ' ('],
+  [/\s*[）)]/g, ')'],
+  [/[【「『]/g, '['],
+  [/[】」』]/g, '] '],
+  [/[—–]+|-{2,}/g, ' - '],
+  [/[；;]\s*/g, '; '],
+  [/[“”"]/g, '"'],
+  [/[·•]/g, ' · ']
+];
+
+const CHINESE_DIGITS = '一二三四五六七八九';
+
+// "三" → 3, "十二" → 12; Arabic digits pass through
+function toNumber(value) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const [tens, ones] = value.includes('十') ? value.split('十') : ['', value];
+  const digit = char => CHINESE_DIGITS.indexOf(char) + 1;
+  return (value.includes('十') ? (tens ? digit(tens) : 1) * 10 : 0) + (ones ? digit(ones) : 0);
+}
+
+/**
+ * Build a title translator from the glossary, city names and tag names.
+ * translate(title) returns { text, transliterated } where transliterated is true when
+ * some Chinese was not in the glossary and was written as pinyin.
+ */
+export function createTitleTranslator(glossary = {}, { cities = [], taxonomy = tagTaxonomy } = {}) {
+  const terms = new Map();
+  taxonomy.entries.forEach(entry => {
+    if (CJK.test(entry.name.zh) && entry.name.en) terms.set(entry.name.zh, entry.name.en);
+  });
+  cities.forEach(city => {
+    if (city.name?.zh && city.name?.en) terms.set(city.name.zh, city.name.en);
+  });
+  // The glossary is the hand-maintained source and wins over derived names
+  Object.entries(glossary).forEach(([zh, en]) => terms.set(zh, en));
+  const longestTerm = Math.max(0, ...[...terms.keys()].map(term => term.length));
+
+  return function translate(title = '') {
+    let text = title
+      .replace(/(\d{4})\s*年\s*(?=\d{1,2}\s*月)/g, '$1 ')
+      .replace(/(\d{1,2})\s*月\s*(\d{1,2})\s*[日号]/g, (_, month, day) => `${MONTHS[month - 1] || month} ${day} `)
+      .replace(/(\d{4})\s*年/g, '$1 ')
+      .replace(/第\s*([一二三四五六七八九十\d]+)\s*[期场届]/g, (_, number) => ` #${toNumber(number)} `);
+    PUNCTUATION.forEach(([pattern, replacement]) => {
+      text = text.replace(pattern, replacement);
+    });
+
+    const words = [];
+    let transliterated = false;
+    let latin = '';
+    let unmatched = '';
+    const flushLatin = () => {
+      if (latin.trim()) words.push(latin.trim());
+      latin = '';
+    };
+    const flushUnmatched = () => {
+      if (!unmatched) return;
+      words.push(pinyin(unmatched, { toneType: 'none', type: 'array', v: true })
+        .map(syllable => syllable.charAt(0).toUpperCase() + syllable.slice(1))
+        .join(' '));
+      unmatched = '';
+      transliterated = true;
+    };
+
+    for (let i = 0; i < text.length;) {
+      if (!CJK.test(text[i])) {
+        flushUnmatched();
+        latin += text[i];
+        i++;
+        continue;
+      }
+
+      let match = null;
+      for (let length = Math.min(longestTerm, text.length - i); length > 0; length--) {
+        const candidate = text.slice(i, i + length);
+        if (terms.has(candidate)) {
+          match = candidate;
+          break;
+        }
+      }
+      if (match) {
+        flushLatin();
+        flushUnmatched();
+        if (terms.get(match)) words.push(terms.get(match));
+        i += match.length;
+      } else {
+        flushLatin();
+        unmatched += text[i];
+        i++;
+      }
+    }
+    flushLatin();
+    flushUnmatched();
+
+    const translated = words
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .replace(/\s+([,.!?:;)\]])/g, '$1')
+      .replace(/([([])\s+/g, '$1')
+      .replace(/^[\s,:;!-]+|[\s,:;-]+$/g, '')
+      .trim();
+    return { text: translated, transliterated };
+  };
+}
+
+/**
+ * First paragraph of an English description, cut at a word boundary
+ */
+function summarizeDescription(description) {
+  const paragraph = description.trim().split(/\n\s*\n/)[0].replace(/\s+/g, ' ');
+  if (paragraph.length <= SUMMARY_MAX_LENGTH) return paragraph;
+  const cut = paragraph.slice(0, SUMMARY_MAX_LENGTH);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : SUMMARY_MAX_LENGTH)}…`;
+}
+
+/**
+ * One-sentence English summary built from the event's most specific tags, city and date:
+ * "A Generative AI workshop hosted by AWS User Group Shanghai on Aug 21, 2026, 01:00 PM."
+ */
+export function generateEventSummary(event, { cities = [] } = {}) {
+  const tags = normalizeEventTags(event.tags || []);
+  // Drop ancestors: an Amazon Bedrock event does not need to say AI and Generative AI too
+  const specific = tags.filter(tag => !tags.some(other => tagTaxonomy.ancestors.get(other).includes(tag)));
+  const topics = specific
+    .filter(tag => tagTaxonomy.byId.get(tag).type === 'topic' && tag !== 'aws')
+    .slice(0, 2)
+    .map(tag => getTagLabel(tag, 'en'));
+  const format = specific.find(tag => SUMMARY_NOUNS[tag]);
+  const city = cities.find(entry => entry.id === event.cityMappings?.[0]);
+  const date = event.startDate ? formatEventDateTime(event.startDate, 'en') : '';
+
+  const subject = [...(topics.length > 0 ? [topics.join(' and ')] : []), SUMMARY_NOUNS[format] || 'community event'].join(' ');
+  const article = /^[aeiou]/i.test(subject) ? 'An' : 'A';
+  const host = city ? `AWS User Group ${city.name.en}` : 'an AWS User Group community';
+  return `${article} ${subject} hosted by ${host}${date ? ` on ${date}` : ''}.`;
+}
+
+/**
+ * Set titleEn/summaryEn and their sources on every event. Runs after overrides:
+ * an overridden titleEn or summaryEn is kept as is, and a corrected Chinese title
+ * is what gets translated. Events preserved from the previous processed dataset still
+ * carry last run's generated text; only text recorded as coming from the source is kept.
+ */
+export function applyEnglishText(events, glossary = {}, options = {}) {
+  const translate = createTitleTranslator(glossary, options);
+  const summary = { title: {}, summary: {} };
+  const count = (kind, source) => {
+    summary[kind][source] = (summary[kind][source] || 0) + 1;
+  };
+
+  const translated = events.map(event => {
+    const overridden = new Set(event.overriddenFields || []);
+    const result = { ...event };
+
+    if (overridden.has('titleEn')) {
+      result.titleEnSource = 'override';
+    } else if (event.titleEn && (!event.titleEnSource || event.titleEnSource === 'source')) {
+      result.titleEnSource = 'source';
+    } else {
+      const { text, transliterated } = translate(event.title);
+      result.titleEn = text || event.title;
+      result.titleEnSource = transliterated ? 'transliterated' : 'glossary';
+    }
+
+    if (overridden.has('summaryEn')) {
+      result.summaryEnSource = 'override';
+    } else if (event.descriptionEn) {
+      result.summaryEn = summarizeDescription(event.descriptionEn);
+      result.summaryEnSource = 'source';
+    } else {
+      result.summaryEn = generateEventSummary(event, options);
+      result.summaryEnSource = 'generated';
+    }
+
+    count('title', result.titleEnSource);
+    count('summary', result.summaryEnSource);
+    return result;
+  });
+
+  return { events: translated, summary, translate };
+}
@@ -0,0 +1,455 @@
+/**
+ * iCalendar Import (JavaScript version for Node.js)
+ * Parses VEVENT entries from .ics exports into the raw event shape produced by the
+ * scraper: recurrence rules are expanded, times are converted to Beijing time and
+ * IDs are namespaced with "ics-" so they never collide with huodongxing IDs.
+ */
+
+import { createHash } from 'crypto';
+
+const BEIJING_OFFSET_MINUTES = 8 * 60;
+const WEEKDAYS_ZH = ['日', '一', '二', '三', '四', '五', '六'];
+const RRULE_WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const MAX_RECURRENCE_ITERATIONS = 5000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Windows zone names written by Outlook/Exchange exports
+ */
+const WINDOWS_TIMEZONES = {
+  'China Standard Time': 'Asia/Shanghai',
+  'Taipei Standard Time': 'Asia/Taipei',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'GMT Standard Time': 'Europe/London',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Eastern Standard Time': 'America/New_York'
+};
+
+/**
+ * Recurring events are expanded within [now - lookbackDays, now + horizonDays]
+ */
+export const DEFAULT_ICS_OPTIONS = {
+  lookbackDays: 365,
+  horizonDays: 180
+};
+
+function unfoldLines(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim().length > 0);
+}
+
+function parseProperty(line) {
+  let separator = 0;
+  let inQuotes = false;
+  for (; separator < line.length; separator++) {
+    const char = line[separator];
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ':' && !inQuotes) break;
+  }
+
+  const [name, ...paramParts] = line.slice(0, separator).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const equals = part.indexOf('=');
+    if (equals > 0) {
+      params[part.slice(0, equals).toUpperCase()] = part.slice(equals + 1).replace(/^"|"$/g, '');
+    }
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+}
+
+function unescapeText(value = '') {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char)).trim();
+}
+
+function parseUtcOffset(value) {
+  const match = value.match(/^([+-])(\d{2})(\d{2})$/);
+  if (!match) return null;
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Parse calendar text into raw VEVENT property maps and VTIMEZONE standard offsets
+ */
+export function parseICalendar(text) {
+  const events = [];
+  const timezones = {};
+  const stack = [];
+  let event = null;
+  let timezone = null;
+
+  unfoldLines(text).forEach(line => {
+    const property = parseProperty(line);
+    const component = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const name = property.value.toUpperCase();
+      stack.push(name);
+      if (name === 'VEVENT') event = { properties: {}, exdates: [] };
+      if (name === 'VTIMEZONE') timezone = { id: '', offset: null };
+      return;
+    }
+
+    if (property.name === 'END') {
+      const name = stack.pop();
+      if (name === 'VEVENT' && event) {
+        events.push(event);
+        event = null;
+      }
+      if (name === 'VTIMEZONE' && timezone) {
+        if (timezone.id && timezone.offset !== null) timezones[timezone.id] = timezone.offset;
+        timezone = null;
+      }
+      return;
+    }
+
+    if (component === 'VEVENT' && event) {
+      if (property.name === 'EXDATE') {
+        property.value.split(',').forEach(value => event.exdates.push({ value, params: property.params }));
+      } else {
+        event.properties[property.name] = property;
+      }
+    } else if (component === 'VTIMEZONE' && timezone && property.name === 'TZID') {
+      timezone.id = property.value;
+    } else if (component === 'STANDARD' && timezone && property.name === 'TZOFFSETTO') {
+      timezone.offset = parseUtcOffset(property.value);
+    }
+  });
+
+  return { events, timezones };
+}
+
+/**
+ * Parse a DATE or DATE-TIME value into wall-clock fields and the zone they are in.
+ * Floating times (no Z, no TZID) are treated as Beijing time.
+ */
+function parseDateValue(value, params = {}) {
+  const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, utc] = match;
+  return {
+    wall: {
+      year: parseInt(year),
+      month: parseInt(month),
+      day: parseInt(day),
+      hour: hour ? parseInt(hour) : 0,
+      minute: minute ? parseInt(minute) : 0,
+      second: second ? parseInt(second) : 0
+    },
+    zone: utc ? 'UTC' : params.TZID || null,
+    allDay: !hour || params.VALUE === 'DATE'
+  };
+}
+
+/**
+ * Parse a DURATION value ("PT1H30M", "P1D", "P2W") into milliseconds
+ */
+function parseDuration(value) {
+  const match = (value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [weeks, days, hours, minutes, seconds] = match.slice(2).map(part => parseInt(part || '0'));
+  const ms = (((weeks * 7 + days) * 24 + hours) * 60 + minutes) * MINUTE_MS + seconds * 1000;
+  return match[1] === '-' ? -ms : ms;
+}
+
+/**
+ * Length of a VEVENT from DTEND or DURATION; null when it has neither
+ */
+function parseEventDuration(properties, startUtc, timezones) {
+  const end = parseDateValue(properties.DTEND?.value, properties.DTEND?.params);
+  if (end) return wallToUtc(end.wall, end.zone, timezones) - startUtc;
+  return parseDuration(properties.DURATION?.value);
+}
+
+function zoneOffsetMinutes(zone, utcMs, timezones) {
+  if (!zone) return BEIJING_OFFSET_MINUTES;
+  if (zone === 'UTC') return 0;
+
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: WINDOWS_TIMEZONES[zone] || zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(new Date(utcMs));
+    const get = type => parseInt(parts.find(part => part.type === type).value);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    return Math.round((asUtc - utcMs) / 60000);
+  } catch {
+    // Not an IANA zone: fall back to the calendar's own VTIMEZONE definition
+    return timezones[zone] !== undefined ? timezones[zone] : BEIJING_OFFSET_MINUTES;
+  }
+}
+
+function wallToUtc(wall, zone, timezones) {
+  const naive = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  // Second pass settles the offset for instants near a DST transition
+  const firstGuess = naive - zoneOffsetMinutes(zone, naive, timezones) * 60000;
+  return naive - zoneOffsetMinutes(zone, firstGuess, timezones) * 60000;
+}
+
+function beijingParts(utcMs) {
+  const date = new Date(utcMs + BEIJING_OFFSET_MINUTES * 60000);
+  const pad = value => String(value).padStart(2, '0');
+  return {
+    date: `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}`,
+    weekday: WEEKDAYS_ZH[date.getUTCDay()],
+    clock: `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`
+  };
+}
+
+/**
+ * Format an instant like the list page does: "2026/08/21 周五 13:00" (Beijing time)
+ */
+export function formatBeijingEventTime(utcMs) {
+  const { date, weekday, clock } = beijingParts(utcMs);
+  return `${date} 周${weekday} ${clock}`;
+}
+
+function formatBeijingDetailTime(utcMs) {
+  const { date, clock } = beijingParts(utcMs);
+  return `${date} ${clock}`;
+}
+
+// All-day events are written without a time of day: "2026/11/20 周五"
+function formatBeijingEventDate(utcMs) {
+  const { date, weekday } = beijingParts(utcMs);
+  return `${date} 周${weekday}`;
+}
+
+function shiftWall(wall, { days = 0, months = 0, years = 0 }) {
+  const date = new Date(Date.UTC(wall.year + years, wall.month - 1 + months, wall.day + days));
+  return { ...wall, year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekdayOf(wall) {
+  return new Date(Date.UTC(wall.year, wall.month - 1, wall.day)).getUTCDay();
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function parseRRule(value) {
+  const rule = {};
+  value.split(';').forEach(part => {
+    const [key, ruleValue] = part.split('=');
+    if (key && ruleValue !== undefined) rule[key.toUpperCase()] = ruleValue;
+  });
+  return rule;
+}
+
+// Candidate dates inside one period (week, month or year) of the rule
+function periodCandidates(rule, start, periodStart) {
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',') : [];
+  const byMonthDay = rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : [];
+
+  switch (rule.FREQ) {
+    case 'DAILY':
+      return [periodStart];
+
+    case 'WEEKLY': {
+      const days = byDay.length > 0
+        ? byDay.map(day => RRULE_WEEKDAYS[day.slice(-2)]).filter(day => day !== undefined)
+        : [weekdayOf(start)];
+      // Weeks start on Monday (RFC 5545 default WKST)
+      const monday = shiftWall(periodStart, { days: -((weekdayOf(periodStart) + 6) % 7) });
+      return days.map(day => shiftWall(monday, { days: (day + 6) % 7 }));
+    }
+
+    case 'MONTHLY': {
+      const { year, month } = periodStart;
+      const lastDay = daysInMonth(year, month);
+      if (byDay.length > 0) {
+        return byDay.flatMap(entry => {
+          const match = entry.match(/^([+-]?\d+)?([A-Z]{2})$/);
+          if (!match || RRULE_WEEKDAYS[match[2]] === undefined) return [];
+          const weekday = RRULE_WEEKDAYS[match[2]];
+          const matching = [];
+          for (let day = 1; day <= lastDay; day++) {
+            if (weekdayOf({ year, month, day }) === weekday) matching.push(day);
+          }
+          const ordinal = match[1] ? parseInt(match[1]) : 0;
+          const days = ordinal === 0 ? matching : [matching[ordinal > 0 ? ordinal - 1 : matching.length + ordinal]];
+          return days.filter(Boolean).map(day => ({ ...start, year, month, day }));
+        });
+      }
+      const days = byMonthDay.length > 0 ? byMonthDay : [start.day];
+      return days
+        .map(day => (day < 0 ? lastDay + day + 1 : day))
+        .filter(day => day >= 1 && day <= lastDay)
+        .map(day => ({ ...start, year, month, day }));
+    }
+
+    case 'YEARLY':
+      return start.day <= daysInMonth(periodStart.year, start.month)
+        ? [{ ...start, year: periodStart.year }]
+        : [];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Expand an RRULE into wall-clock start times (the first occurrence is DTSTART itself)
+ */
+function expandRecurrence(start, zone, ruleValue, timezones, window) {
+  const rule = parseRRule(ruleValue);
+  const interval = Math.max(1, parseInt(rule.INTERVAL) || 1);
+  const count = rule.COUNT ? parseInt(rule.COUNT) : Infinity;
+  const until = rule.UNTIL ? parseDateValue(rule.UNTIL) : null;
+  const untilMs = until ? wallToUtc(until.wall, until.zone || zone, timezones) : Infinity;
+  const startMs = wallToUtc(start, zone, timezones);
+  const step = { DAILY: { days: interval }, WEEKLY: { days: 7 * interval }, MONTHLY: { months: interval }, YEARLY: { years: interval } }[rule.FREQ];
+  if (!step) return [start];
+
+  const occurrences = [];
+  let produced = 0;
+  for (let period = 0; period < MAX_RECURRENCE_ITERATIONS; period++) {
+    const periodStart = rule.FREQ === 'MONTHLY' || rule.FREQ === 'YEARLY'
+      ? shiftWall({ ...start, day: 1 }, { months: (step.months || 0) * period, years: (step.years || 0) * period })
+      : shiftWall(start, { days: step.days * period });
+
+    const candidates = periodCandidates(rule, start, periodStart)
+      .map(wall => ({ wall, utc: wallToUtc(wall, zone, timezones) }))
+      .filter(candidate => candidate.utc >= startMs)
+      .sort((a, b) => a.utc - b.utc);
+
+    for (const candidate of candidates) {
+      if (produced >= count || candidate.utc > untilMs || candidate.utc > window.end) {
+        return occurrences;
+      }
+      produced++;
+      if (candidate.utc >= window.start) occurrences.push(candidate.wall);
+    }
+  }
+  return occurrences;
+}
+
+function eventIdFor(uid, recurrenceId) {
+  const hash = createHash('sha1').update(uid).digest('hex').slice(0, 12);
+  return recurrenceId ? `ics-${hash}-${recurrenceId}` : `ics-${hash}`;
+}
+
+// Beijing date of an occurrence's original start, e.g. "20261120"
+function recurrenceIdFor(utcMs) {
+  return beijingParts(utcMs).date.replace(/\//g, '');
+}
+
+function findUrl(properties) {
+  if (properties.URL?.value) return properties.URL.value.trim();
+  const description = unescapeText(properties.DESCRIPTION?.value);
+  const match = description.match(/https?:\/\/[^\s<>"]+/);
+  return match ? match[0] : '';
+}
+
+/**
+ * Convert an .ics file's VEVENT entries into raw events.
+ * Recurring series produce one event per occurrence (ID suffixed with the date);
+ * RECURRENCE-ID entries replace single occurrences and EXDATE removes them.
+ */
+export function importICalendarEvents(text, options = {}) {
+  const { fileName = '', now = Date.now() } = options;
+  const lookbackDays = options.lookbackDays ?? DEFAULT_ICS_OPTIONS.lookbackDays;
+  const horizonDays = options.horizonDays ?? DEFAULT_ICS_OPTIONS.horizonDays;
+  const window = {
+    start: now - lookbackDays * 24 * 60 * 60 * 1000,
+    end: now + horizonDays * 24 * 60 * 60 * 1000
+  };
+  const { events: vevents, timezones } = parseICalendar(text);
+  const importedAt = new Date(now).toISOString();
+
+  // Exceptions to a recurring series, keyed by UID and original start
+  const overrides = new Map();
+  vevents.filter(vevent => vevent.properties['RECURRENCE-ID']).forEach(vevent => {
+    const recurrence = vevent.properties['RECURRENCE-ID'];
+    const parsed = parseDateValue(recurrence.value, recurrence.params);
+    if (!parsed) return;
+    const uid = vevent.properties.UID?.value || '';
+    overrides.set(`${uid}|${wallToUtc(parsed.wall, parsed.zone, timezones)}`, vevent);
+  });
+
+  // An all-day event lasts until the last minute of its (exclusive) end date
+  const toRawEvent = (vevent, { startUtc, durationMs, allDay }, id, recurrenceId) => {
+    const { properties } = vevent;
+    const endUtc = durationMs > 0 ? startUtc + durationMs : null;
+    const event = {
+      id,
+      title: unescapeText(properties.SUMMARY?.value),
+      time: allDay ? formatBeijingEventDate(startUtc) : formatBeijingEventTime(startUtc),
+      startTime: allDay ? beijingParts(startUtc).date : formatBeijingDetailTime(startUtc),
+      endTime: endUtc ? formatBeijingDetailTime(allDay ? endUtc - MINUTE_MS : endUtc) : '',
+      location: unescapeText(properties.LOCATION?.value),
+      url: findUrl(properties),
+      imageUrl: '',
+      status: (endUtc || startUtc) > now ? 'upcoming' : 'ended',
+      views: 0,
+      favorites: 0,
+      scrapedAt: importedAt,
+      description: unescapeText(properties.DESCRIPTION?.value),
+      cancelled: (properties.STATUS?.value || '').toUpperCase() === 'CANCELLED',
+      origin: 'ics',
+      icsFile: fileName,
+      icsUid: properties.UID?.value || ''
+    };
+    if (recurrenceId) event.recurrenceId = recurrenceId;
+    return event;
+  };
+
+  const events = [];
+  vevents.filter(vevent => !vevent.properties['RECURRENCE-ID']).forEach(vevent => {
+    const { properties } = vevent;
+    const start = parseDateValue(properties.DTSTART?.value, properties.DTSTART?.params);
+    if (!start) return;
+
+    const uid = properties.UID?.value || `${fileName}|${properties.SUMMARY?.value}|${properties.DTSTART.value}`;
+    const startUtc = wallToUtc(start.wall, start.zone, timezones);
+    // Without DTEND or DURATION an all-day event lasts one day (RFC 5545 §3.6.1)
+    const durationMs = parseEventDuration(properties, startUtc, timezones) ?? (start.allDay ? DAY_MS : 0);
+
+    if (!properties.RRULE) {
+      events.push(toRawEvent(vevent, { startUtc, durationMs, allDay: start.allDay }, eventIdFor(uid)));
+      return;
+    }
+
+    const excluded = new Set(vevent.exdates
+      .map(exdate => parseDateValue(exdate.value, exdate.params))
+      .filter(Boolean)
+      .map(parsed => wallToUtc(parsed.wall, parsed.zone || start.zone, timezones)));
+
+    expandRecurrence(start.wall, start.zone, properties.RRULE.value, timezones, window).forEach(wall => {
+      const occurrenceUtc = wallToUtc(wall, start.zone, timezones);
+      if (excluded.has(occurrenceUtc)) return;
+
+      const recurrenceId = recurrenceIdFor(occurrenceUtc);
+      const id = eventIdFor(uid, recurrenceId);
+      const override = overrides.get(`${uid}|${occurrenceUtc}`);
+      if (override) {
+        const overrideStart = parseDateValue(override.properties.DTSTART?.value, override.properties.DTSTART?.params);
+        const overrideUtc = overrideStart ? wallToUtc(overrideStart.wall, overrideStart.zone, timezones) : occurrenceUtc;
+        const merged = { ...override, properties: { ...properties, ...override.properties } };
+        events.push(toRawEvent(merged, {
+          startUtc: overrideUtc,
+          durationMs: parseEventDuration(override.properties, overrideUtc, timezones) ?? durationMs,
+          allDay: overrideStart ? overrideStart.allDay : start.allDay
+        }, id, recurrenceId));
+      } else {
+        events.push(toRawEvent(vevent, { startUtc: occurrenceUtc, durationMs, allDay: start.allDay }, id, recurrenceId));
+      }
+    });
+  });
+
+  return events;
+}
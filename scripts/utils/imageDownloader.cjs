@@ -0,0 +1,378 @@
+/**
+ * 活动图片下载工具
+ * 采集器和 redownload-images.cjs 共用：并发限制、指数退避重试、类型和大小校验、
+ * 校验和清单、ETag/If-Modified-Since 条件请求，以及图片目录完整性检查
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const https = require('https');
+const http = require('http');
+
+const DEFAULT_OPTIONS = {
+  imageDir: './data/events/images',
+  manifestFile: './data/events/image-manifest.json',
+  concurrency: 4,
+  retries: 3, // 失败后的最大重试次数
+  backoffBase: 1000, // 第 N 次重试等待 backoffBase * 2^(N-1) 毫秒
+  timeout: 30000,
+  minBytes: 1024, // 小于该大小的图片视为异常（通常是错误页或占位图）
+  maxBytes: 10 * 1024 * 1024,
+  maxRedirects: 5,
+  headers: {
+    // 添加请求头以绕过防盗链
+    'Referer': 'https://usergroup.huodongxing.com/',
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+  }
+};
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+class DownloadError extends Error {
+  constructor(message, retryable = true) {
+    super(message);
+    this.name = 'DownloadError';
+    this.retryable = retryable;
+  }
+}
+
+// 根据文件头识别浏览器可解码的图片格式
+function detectImageFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+  if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+  if (buffer.slice(0, 3).toString('ascii') === 'GIF') return 'gif';
+  if (buffer.slice(0, 4).toString('ascii') === 'RIFF' && buffer.slice(8, 12).toString('ascii') === 'WEBP') return 'webp';
+  return null;
+}
+
+// 检查图片是否被截断：JPEG 需要以 EOI 标记结尾，PNG 需要包含 IEND 块，GIF 以 0x3B 结尾
+function isTruncatedImage(buffer, format) {
+  const tail = buffer.slice(Math.max(0, buffer.length - 32));
+  switch (format) {
+    case 'jpeg': {
+      // 部分编码器会在 EOI 之后补零
+      let end = tail.length;
+      while (end > 0 && tail[end - 1] === 0x00) end--;
+      return !(end >= 2 && tail[end - 2] === 0xFF && tail[end - 1] === 0xD9);
+    }
+    case 'png':
+      return !tail.includes(Buffer.from('IEND', 'ascii'));
+    case 'gif':
+      return tail[tail.length - 1] !== 0x3B;
+    case 'webp':
+      return buffer.readUInt32LE(4) + 8 > buffer.length;
+    default:
+      return false;
+  }
+}
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class ImageDownloader {
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      headers: { ...DEFAULT_OPTIONS.headers, ...options.headers }
+    };
+    this.log = options.log || (message => console.log(message));
+    this.imageDir = this.options.imageDir;
+    this.manifestFile = this.options.manifestFile;
+
+    if (!fs.existsSync(this.imageDir)) {
+      fs.mkdirSync(this.imageDir, { recursive: true });
+    }
+    this.manifest = this.loadManifest();
+  }
+
+  loadManifest() {
+    if (fs.existsSync(this.manifestFile)) {
+      try {
+        return JSON.parse(fs.readFileSync(this.manifestFile, 'utf8'));
+      } catch (error) {
+        this.log(`图片清单读取失败，将重新生成: ${error.message}`);
+      }
+    }
+    return {};
+  }
+
+  saveManifest() {
+    const sorted = Object.fromEntries(Object.entries(this.manifest).sort(([a], [b]) => a.localeCompare(b)));
+    fs.writeFileSync(this.manifestFile, JSON.stringify(sorted, null, 2));
+  }
+
+  filenameFor(imageUrl, eventId) {
+    const ext = path.extname(new URL(imageUrl).pathname).toLowerCase();
+    return `${eventId}${IMAGE_EXTENSIONS.includes(ext) ? ext : '.jpg'}`;
+  }
+
+  // 校验下载内容，返回识别出的格式；不合格时抛出 DownloadError
+  validateImage(buffer, contentType, expectedLength) {
+    if (expectedLength !== undefined && buffer.length !== expectedLength) {
+      throw new DownloadError(`内容不完整 (${buffer.length}/${expectedLength} 字节)`);
+    }
+    if (contentType && !contentType.startsWith('image/') && contentType !== 'application/octet-stream') {
+      throw new DownloadError(`不是图片 (Content-Type: ${contentType})`, false);
+    }
+    if (buffer.length < this.options.minBytes) {
+      throw new DownloadError(`文件过小 (${buffer.length} 字节)`);
+    }
+    if (buffer.length > this.options.maxBytes) {
+      throw new DownloadError(`文件过大 (${buffer.length} 字节)`, false);
+    }
+
+    const format = detectImageFormat(buffer);
+    if (!format) {
+      throw new DownloadError('无法识别的图片格式', false);
+    }
+    if (isTruncatedImage(buffer, format)) {
+      throw new DownloadError(`${format} 图片被截断`);
+    }
+    return format;
+  }
+
+  // 发起单次 GET 请求，自动跟随重定向，返回完整响应体
+  request(url, headers, redirects = 0) {
+    return new Promise((resolve, reject) => {
+      const protocol = new URL(url).protocol === 'https:' ? https : http;
+      const req = protocol.get(url, { headers, timeout: this.options.timeout }, (response) => {
+        const { statusCode } = response;
+
+        if ([301, 302, 303, 307, 308].includes(statusCode) && response.headers.location) {
+          response.resume();
+          if (redirects >= this.options.maxRedirects) {
+            reject(new DownloadError('重定向次数过多', false));
+            return;
+          }
+          const redirectUrl = new URL(response.headers.location, url).toString();
+          this.request(redirectUrl, headers, redirects + 1).then(resolve, reject);
+          return;
+        }
+
+        const chunks = [];
+        let received = 0;
+        response.on('data', chunk => {
+          received += chunk.length;
+          if (received > this.options.maxBytes) {
+            req.destroy(new DownloadError(`文件过大 (>${this.options.maxBytes} 字节)`, false));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on('end', () => resolve({
+          statusCode,
+          headers: response.headers,
+          body: Buffer.concat(chunks)
+        }));
+        response.on('error', reject);
+      });
+
+      req.on('timeout', () => req.destroy(new DownloadError(`请求超时 (${this.options.timeout}ms)`)));
+      req.on('error', reject);
+    });
+  }
+
+  // 带指数退避的请求，只对网络错误、5xx、429 和内容不完整重试
+  async fetchWithRetry(url, headers) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.options.retries; attempt++) {
+      if (attempt > 0) {
+        const delay = this.options.backoffBase * Math.pow(2, attempt - 1);
+        this.log(`重试 (${attempt}/${this.options.retries})，等待 ${delay}ms: ${url}`);
+        await sleep(delay);
+      }
+
+      try {
+        const response = await this.request(url, headers);
+
+        if (response.statusCode === 304) {
+          return { response };
+        }
+        if (response.statusCode !== 200) {
+          const retryable = response.statusCode >= 500 || response.statusCode === 429;
+          throw new DownloadError(`HTTP ${response.statusCode}`, retryable);
+        }
+
+        const contentLength = response.headers['content-length'];
+        const format = this.validateImage(
+          response.body,
+          (response.headers['content-type'] || '').split(';')[0].trim(),
+          contentLength !== undefined ? parseInt(contentLength) : undefined
+        );
+        return { response, format };
+      } catch (error) {
+        lastError = error;
+        if (error instanceof DownloadError && !error.retryable) {
+          break;
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  // 检查本地文件是否与清单一致；没有清单记录的旧文件通过格式检查后补记到清单
+  checkLocalFile(filename, imageUrl) {
+    const filepath = path.join(this.imageDir, filename);
+    if (!fs.existsSync(filepath)) return false;
+
+    const buffer = fs.readFileSync(filepath);
+    const entry = this.manifest[filename];
+    if (entry) {
+      return entry.size === buffer.length && entry.sha256 === sha256(buffer);
+    }
+
+    const format = detectImageFormat(buffer);
+    if (!format || buffer.length < this.options.minBytes || isTruncatedImage(buffer, format)) {
+      return false;
+    }
+
+    this.manifest[filename] = {
+      url: imageUrl,
+      sha256: sha256(buffer),
+      size: buffer.length,
+      format,
+      downloadedAt: fs.statSync(filepath).mtime.toISOString()
+    };
+    return true;
+  }
+
+  /**
+   * 下载单张活动图片
+   * 本地文件完整时直接使用；revalidate 为 true 时用 ETag/Last-Modified 向服务器确认是否有更新
+   * 返回 { filename, status: 'cached' | 'not-modified' | 'downloaded' }
+   */
+  async download(imageUrl, eventId, { revalidate = false } = {}) {
+    if (!imageUrl) return null;
+
+    const filename = this.filenameFor(imageUrl, eventId);
+    const filepath = path.join(this.imageDir, filename);
+    const intact = this.checkLocalFile(filename, imageUrl);
+    const entry = this.manifest[filename];
+
+    if (intact && !revalidate && (!entry.url || entry.url === imageUrl)) {
+      return { filename, status: 'cached' };
+    }
+
+    const headers = { ...this.options.headers };
+    if (intact && entry.url === imageUrl) {
+      if (entry.etag) headers['If-None-Match'] = entry.etag;
+      if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    }
+
+    const { response, format } = await this.fetchWithRetry(imageUrl, headers);
+    if (response.statusCode === 304) {
+      entry.checkedAt = new Date().toISOString();
+      return { filename, status: 'not-modified' };
+    }
+
+    // 先写临时文件再改名，避免中断时留下不完整的图片
+    const tempPath = `${filepath}.download`;
+    fs.writeFileSync(tempPath, response.body);
+    fs.renameSync(tempPath, filepath);
+
+    this.manifest[filename] = {
+      url: imageUrl,
+      sha256: sha256(response.body),
+      size: response.body.length,
+      format,
+      etag: response.headers.etag,
+      lastModified: response.headers['last-modified'],
+      downloadedAt: new Date().toISOString()
+    };
+    return { filename, status: 'downloaded' };
+  }
+
+  /**
+   * 以有限并发下载一批图片，tasks 为 { imageUrl, eventId } 数组
+   * 单张失败不会中断整批，结果中带 error 字段；结束后保存清单
+   */
+  async downloadAll(tasks, options = {}) {
+    const results = new Array(tasks.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < tasks.length) {
+        const index = nextIndex++;
+        const { imageUrl, eventId } = tasks[index];
+        try {
+          results[index] = { eventId, ...(await this.download(imageUrl, eventId, options)) };
+        } catch (error) {
+          results[index] = { eventId, error: error.message };
+        }
+      }
+    };
+
+    const workerCount = Math.min(this.options.concurrency, tasks.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+    this.saveManifest();
+    return results;
+  }
+
+  /**
+   * 检查图片目录：缺失、空文件、被截断、校验和不一致、无法解码的文件，以及不再被任何活动引用的孤立图片
+   * referencedFilenames 为活动数据中的 localImage 列表
+   */
+  verify(referencedFilenames) {
+    const referenced = new Set(referencedFilenames.filter(Boolean));
+    const files = fs.readdirSync(this.imageDir)
+      .filter(file => IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+    const report = {
+      checked: files.length,
+      ok: [],
+      missing: [...referenced].filter(filename => !files.includes(filename)),
+      zeroByte: [],
+      truncated: [],
+      checksumMismatch: [],
+      undecodable: [],
+      orphaned: []
+    };
+
+    files.forEach(file => {
+      const buffer = fs.readFileSync(path.join(this.imageDir, file));
+      const entry = this.manifest[file];
+      const format = detectImageFormat(buffer);
+
+      if (!referenced.has(file)) {
+        report.orphaned.push(file);
+      }
+
+      if (buffer.length === 0) {
+        report.zeroByte.push(file);
+      } else if (!format) {
+        report.undecodable.push(file);
+      } else if ((entry && entry.size !== buffer.length) || isTruncatedImage(buffer, format)) {
+        report.truncated.push(file);
+      } else if (entry && entry.sha256 !== sha256(buffer)) {
+        report.checksumMismatch.push(file);
+      } else {
+        report.ok.push(file);
+      }
+    });
+
+    report.healthy = ['missing', 'zeroByte', 'truncated', 'checksumMismatch', 'undecodable']
+      .every(key => report[key].length === 0);
+    return report;
+  }
+}
+
+function createImageDownloader(options = {}) {
+  return new ImageDownloader(options);
+}
+
+module.exports = {
+  ImageDownloader,
+  DownloadError,
+  createImageDownloader,
+  detectImageFormat,
+  isTruncatedImage
+};
@@ -0,0 +1,109 @@
+/**
+ * Incremental Processing Cache (JavaScript version for Node.js)
+ * Each event gets a content hash; derived fields (slug, tags, city mappings) computed
+ * for a hash are cached in data/events/processing-cache.json so unchanged events are
+ * not re-tagged, re-slugged or re-mapped on the next run. The cache is discarded when
+ * the inputs those fields depend on (tag taxonomy, city gazetteer, cities, sources)
+ * change.
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Bump when the way derived fields are computed changes, to force a full rebuild
+ */
+export const PROCESSING_CACHE_VERSION = 4;
+
+/**
+ * Fields that change without the event itself changing (engagement counters,
+ * scrape bookkeeping) or that are derived by processing; they are not hashed
+ */
+const UNHASHED_FIELDS = new Set([
+  'contentHash', 'scrapedAt', 'detailScrapedAt', 'views', 'favorites', 'missingRuns', 'missingSince',
+  'cityMappings', 'cityMatches', 'communityMappings', 'slug', 'tags', 'isUpcoming', 'formattedDate', 'sort',
+  'startDate', 'endDate', 'durationMinutes',
+  'lifecycle', 'featured', 'overriddenFields', 'seriesId', 'titleEnSource', 'summaryEn', 'summaryEnSource'
+]);
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash of an event's content, independent of key order
+ */
+export function computeEventHash(event) {
+  const content = Object.fromEntries(
+    Object.entries(event).filter(([key, value]) => !UNHASHED_FIELDS.has(key) && value !== undefined)
+  );
+  return createHash('sha1').update(stableStringify(content)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Hash of the inputs derived fields depend on
+ */
+export function computeConfigHash(inputs) {
+  return createHash('sha1')
+    .update(stableStringify({ version: PROCESSING_CACHE_VERSION, inputs }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Read a cache file. Entries always serve to tell what changed since the last run;
+ * their derived fields are only reusable when the cache was built from the same inputs.
+ */
+export function readProcessingCache(data, configHash) {
+  const entries = new Map(Object.entries(data?.events || {}));
+  return {
+    configHash,
+    entries,
+    reusable: data?.configHash === configHash,
+    invalidated: entries.size > 0 && data.configHash !== configHash
+  };
+}
+
+/**
+ * Split hashed events by how they compare with the cache
+ */
+export function diffAgainstCache(events, cache) {
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+  events.forEach(event => {
+    const entry = cache.get(event.id);
+    if (!entry) added.push(event);
+    else if (entry.hash !== event.contentHash) changed.push(event);
+    else unchanged.push(event);
+  });
+
+  const currentIds = new Set(events.map(event => event.id));
+  return {
+    added,
+    changed,
+    unchanged,
+    removed: [...cache.keys()].filter(id => !currentIds.has(id))
+  };
+}
+
+/**
+ * Build the cache file contents from processed, city-mapped events
+ */
+export function buildProcessingCache(events, configHash) {
+  return {
+    version: PROCESSING_CACHE_VERSION,
+    configHash,
+    updatedAt: new Date().toISOString(),
+    events: Object.fromEntries(events.map(event => [event.id, {
+      hash: event.contentHash,
+      slug: event.slug,
+      tags: event.tags,
+      cityMappings: event.cityMappings,
+      cityMatches: event.cityMatches
+    }]))
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Data File Validation (JavaScript version for Node.js)
+ * Validates the site's data files against the JSON Schemas in src/schemas. Every problem
+ * is reported with the JSON pointer of the offending value, e.g.
+ * "src/data/cities.json#/3/name/en: is required". The same schemas generate the
+ * TypeScript types in src/types/data.ts (scripts/generate-types.js).
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join } from 'path';
+import { load as loadYaml } from 'js-yaml';
+import Ajv2019 from 'ajv/dist/2019.js';
+
+/**
+ * Data files and the schema each must match, relative to the repository root.
+ * Generated files are only checked once processing has written them.
+ */
+export const DATA_FILES = [
+  { file: 'src/data/cities.json', schema: 'cities.schema.json' },
+  { file: 'src/data/specialized-communities.json', schema: 'specialized-communities.schema.json' },
+  { file: 'src/data/social.json', schema: 'social.schema.json' },
+  { file: 'src/data/config.yaml', schema: 'config.schema.json' },
+  { file: 'src/data/translations/zh.json', schema: 'translations.schema.json' },
+  { file: 'src/data/translations/en.json', schema: 'translations.schema.json' },
+  { file: 'src/data/images.json', schema: 'images.schema.json' },
+  { file: 'src/data/community-images.json', schema: 'community-images.schema.json' },
+  { file: 'src/data/tag-taxonomy.json', schema: 'tag-taxonomy.schema.json' },
+  { file: 'src/data/event-series.json', schema: 'event-series.schema.json' },
+  { file: 'src/data/translation-glossary.json', schema: 'translation-glossary.schema.json' },
+  { file: 'src/data/city-gazetteer.json', schema: 'city-gazetteer.schema.json' },
+  { file: 'src/data/events/processed-events.json', schema: 'processed-events.schema.json', generated: true },
+  { file: 'src/data/events/city-mappings.json', schema: 'city-mappings.schema.json', generated: true },
+  { file: 'src/data/events/event-stats.json', schema: 'event-stats.schema.json', generated: true },
+  { file: 'src/data/events/series.json', schema: 'series.schema.json', generated: true },
+  { file: 'src/data/events/slug-registry.json', schema: 'slug-registry.schema.json', generated: true }
+];
+
+/**
+ * Read every *.schema.json in a directory, sorted by file name
+ */
+export function loadSchemas(schemaDir) {
+  return readdirSync(schemaDir)
+    .filter(file => file.endsWith('.schema.json'))
+    .sort()
+    .map(file => {
+      try {
+        return JSON.parse(readFileSync(join(schemaDir, file), 'utf8'));
+      } catch (error) {
+        throw new Error(`Failed to parse schema ${file}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Read a JSON or YAML data file
+ */
+export function readDataFile(filePath) {
+  const text = readFileSync(filePath, 'utf8');
+  return /\.ya?ml$/.test(filePath) ? loadYaml(text) : JSON.parse(text);
+}
+
+// Property names appended to a pointer need "~" and "/" escaped (RFC 6901)
+function pointerToken(name) {
+  return String(name).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Turn Ajv errors into { path, message } pairs. Missing and unexpected properties point
+ * at the property itself rather than its parent object, and a value matching none of
+ * the anyOf/oneOf branches is reported once instead of once per branch.
+ */
+export function formatSchemaErrors(errors = []) {
+  const isUnion = error => error.keyword === 'anyOf' || error.keyword === 'oneOf';
+  const unions = errors.filter(isUnion);
+  // Errors a failed anyOf/oneOf branch raised at the union's own value: their schema path
+  // runs through the union, or through a $ref outside the schema holding it
+  const fromBranch = (error, union) => {
+    const owner = union.schemaPath.replace(/\/(anyOf|oneOf)$/, '');
+    return !isUnion(error) && error.instancePath === union.instancePath &&
+      (error.schemaPath.startsWith(`${union.schemaPath}/`) || !error.schemaPath.startsWith(`${owner}/`));
+  };
+  // A union around a value that fails inside it is reported at the innermost failure only
+  const innermost = path => !unions.some(union => union.instancePath.startsWith(`${path}/`));
+  // Name what the branches wanted when they differ only in required property or type
+  const unionMessage = (union) => {
+    const branchErrors = errors.filter(error => fromBranch(error, union));
+    if (branchErrors.length > 0 && branchErrors.every(error => error.keyword === 'required')) {
+      return `must have one of ${branchErrors.map(error => error.params.missingProperty).join(', ')}`;
+    }
+    if (branchErrors.length > 0 && branchErrors.every(error => error.keyword === 'type')) {
+      return `must be ${branchErrors.map(error => error.params.type).join(' or ')}`;
+    }
+    return 'does not match any of the allowed shapes';
+  };
+
+  const formatted = errors
+    .filter(error => (isUnion(error) ? innermost(error.instancePath) : !unions.some(union => fromBranch(error, union))))
+    .map(error => {
+      const { instancePath, keyword, params, message } = error;
+      if (keyword === 'required') {
+        return { path: `${instancePath}/${pointerToken(params.missingProperty)}`, message: 'is required' };
+      }
+      if (keyword === 'additionalProperties' || keyword === 'unevaluatedProperties') {
+        const property = params.additionalProperty ?? params.unevaluatedProperty;
+        return { path: `${instancePath}/${pointerToken(property)}`, message: 'is not an allowed property' };
+      }
+      if (keyword === 'enum') {
+        return { path: instancePath, message: `must be one of ${params.allowedValues.map(value => JSON.stringify(value)).join(', ')}` };
+      }
+      if (isUnion(error)) {
+        return { path: instancePath, message: unionMessage(error) };
+      }
+      return { path: instancePath, message };
+    })
+    .map(error => ({ ...error, path: error.path || '/' }));
+
+  const seen = new Set();
+  return formatted.filter(error => {
+    const key = `${error.path} ${error.message}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Compile the schemas. validate(schemaId, data) returns formatted errors; an empty list
+ * means the data matches.
+ */
+export function createSchemaValidator(schemas) {
+  const ajv = new Ajv2019({ allErrors: true, strict: true, strictRequired: false });
+  schemas.forEach(schema => ajv.addSchema(schema));
+
+  return {
+    validate(schemaId, data) {
+      const validateSchema = ajv.getSchema(schemaId);
+      if (!validateSchema) {
+        throw new Error(`Unknown schema ${schemaId}`);
+      }
+      return validateSchema(data) ? [] : formatSchemaErrors(validateSchema.errors);
+    }
+  };
+}
+
+/**
+ * Validate data files against their schemas.
+ * Returns one entry per file: { file, schema, errors, skipped } where skipped is set for
+ * generated files that do not exist yet. Unreadable files are reported as errors at "/".
+ */
+export function validateDataFiles(rootDir, files = DATA_FILES, schemaDir = join(rootDir, 'src', 'schemas')) {
+  const validator = createSchemaValidator(loadSchemas(schemaDir));
+
+  return files.map(({ file, schema, generated = false }) => {
+    const filePath = join(rootDir, file);
+    if (!existsSync(filePath)) {
+      return generated
+        ? { file, schema, errors: [], skipped: true }
+        : { file, schema, errors: [{ path: '/', message: 'file not found' }], skipped: false };
+    }
+
+    let data;
+    try {
+      data = readDataFile(filePath);
+    } catch (error) {
+      return { file, schema, errors: [{ path: '/', message: `cannot be parsed: ${error.message}` }], skipped: false };
+    }
+    return { file, schema, errors: validator.validate(schema, data), skipped: false };
+  });
+}
@@ -0,0 +1,44 @@
+/**
+ * Slug Registry (JavaScript version for Node.js)
+ * Records every slug an event has been published under, so a title edit or a change
+ * to slug generation does not break shared links. The registry is kept in
+ * src/data/events/slug-registry.json as { "<event id>": ["<old slug>", ...] } and the
+ * event detail pages generate a redirect for each old slug (see src/utils/slugRedirects.ts).
+ */
+
+/**
+ * Add the previous slug of every event whose slug changed since the last run.
+ * Entries of events that disappeared are kept: the event may come back.
+ */
+export function updateSlugRegistry(registry, events, previousEvents = []) {
+  const previousSlugs = new Map(previousEvents.map(event => [event.id, event.slug]));
+  const updated = { ...registry };
+  const changes = [];
+
+  events.forEach(event => {
+    const history = new Set(updated[event.id] || []);
+    const previous = previousSlugs.get(event.id);
+    if (previous && previous !== event.slug && !history.has(previous)) {
+      history.add(previous);
+      changes.push({ id: event.id, from: previous, to: event.slug });
+    }
+    // A slug that became current again must not redirect to itself
+    history.delete(event.slug);
+
+    if (history.size > 0) {
+      updated[event.id] = [...history];
+    } else {
+      delete updated[event.id];
+    }
+  });
+
+  return { registry: updated, changes };
+}
+
+/**
+ * Serialize the registry with sorted keys so diffs stay small
+ */
+export function serializeSlugRegistry(registry) {
+  const sorted = Object.fromEntries(Object.entries(registry).sort(([a], [b]) => a.localeCompare(b)));
+  return JSON.stringify(sorted, null, 2) + '\n';
+}
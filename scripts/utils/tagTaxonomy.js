@@ -0,0 +1,127 @@
+/**
+ * Tag Taxonomy (JavaScript version for Node.js)
+ * Matches event text against the canonical tags in src/data/tag-taxonomy.json.
+ * Each tag has an ID, zh/en labels, synonyms and an optional parent; a matched tag
+ * also tags the event with all of its ancestors (bedrock → genai → ai).
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const taxonomyFile = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'src', 'data', 'tag-taxonomy.json');
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a matcher for one synonym. Latin terms only match on word boundaries so
+ * "ml" does not match inside "html"; terms with CJK characters match as substrings.
+ */
+export function createSynonymMatcher(synonym) {
+  const term = synonym.trim().toLowerCase();
+  if (/^[\x20-\x7e]+$/.test(term)) {
+    const pattern = new RegExp(`(?<![a-z0-9])${escapeRegExp(term)}(?![a-z0-9])`);
+    return text => pattern.test(text);
+  }
+  return text => text.includes(term);
+}
+
+/**
+ * Compile taxonomy entries, rejecting unknown parents, cycles and synonyms shared by two tags
+ */
+export function compileTagTaxonomy(entries) {
+  const byId = new Map();
+  entries.forEach(entry => {
+    if (!entry.id || byId.has(entry.id)) {
+      throw new Error(`Tag taxonomy has a missing or duplicate id: "${entry.id}"`);
+    }
+    byId.set(entry.id, entry);
+  });
+
+  const synonymOwners = new Map();
+  entries.forEach(entry => {
+    if (entry.parent && !byId.has(entry.parent)) {
+      throw new Error(`Tag "${entry.id}" has unknown parent "${entry.parent}"`);
+    }
+    [entry.id, ...(entry.synonyms || [])].forEach(synonym => {
+      const key = synonym.trim().toLowerCase();
+      const owner = synonymOwners.get(key);
+      if (owner && owner !== entry.id) {
+        throw new Error(`Tag synonym "${synonym}" is used by both "${owner}" and "${entry.id}"`);
+      }
+      synonymOwners.set(key, entry.id);
+    });
+  });
+
+  const ancestors = new Map();
+  entries.forEach(entry => {
+    const chain = [];
+    for (let parent = entry.parent; parent; parent = byId.get(parent).parent) {
+      if (parent === entry.id || chain.includes(parent)) {
+        throw new Error(`Tag taxonomy has a parent cycle at "${entry.id}"`);
+      }
+      chain.push(parent);
+    }
+    ancestors.set(entry.id, chain);
+  });
+
+  return {
+    entries,
+    byId,
+    ancestors,
+    synonymOwners,
+    matchers: entries.map(entry => ({
+      id: entry.id,
+      matches: (entry.synonyms || []).map(createSynonymMatcher)
+    }))
+  };
+}
+
+export const tagTaxonomy = compileTagTaxonomy(JSON.parse(readFileSync(taxonomyFile, 'utf8')));
+
+/**
+ * Canonical tag IDs found in the text plus their ancestors, in taxonomy order
+ */
+export function matchTags(text, taxonomy = tagTaxonomy) {
+  const normalized = (text || '').toLowerCase();
+  const found = new Set();
+  taxonomy.matchers.forEach(({ id, matches }) => {
+    if (matches.some(match => match(normalized))) {
+      found.add(id);
+      taxonomy.ancestors.get(id).forEach(ancestor => found.add(ancestor));
+    }
+  });
+  return taxonomy.entries.map(entry => entry.id).filter(id => found.has(id));
+}
+
+/**
+ * Resolve a tag ID, synonym or legacy raw tag (e.g. "人工智能") to its canonical ID
+ */
+export function resolveTagId(value, taxonomy = tagTaxonomy) {
+  if (!value) return null;
+  return taxonomy.synonymOwners.get(value.trim().toLowerCase()) || null;
+}
+
+/**
+ * Canonical tags for a list of tag IDs or synonyms, with ancestors added; unknown values are dropped
+ */
+export function normalizeEventTags(tags = [], taxonomy = tagTaxonomy) {
+  const found = new Set();
+  tags.forEach(tag => {
+    const id = resolveTagId(tag, taxonomy);
+    if (!id) return;
+    found.add(id);
+    taxonomy.ancestors.get(id).forEach(ancestor => found.add(ancestor));
+  });
+  return taxonomy.entries.map(entry => entry.id).filter(id => found.has(id));
+}
+
+/**
+ * Display label for a tag; unknown IDs are returned unchanged
+ */
+export function getTagLabel(id, locale = 'zh', taxonomy = tagTaxonomy) {
+  const entry = taxonomy.byId.get(id);
+  return entry ? entry.name[locale] || entry.name.zh : id;
+}
@@ -2,12 +2,14 @@
 
 /**
  * 构建时验证脚本
- * 验证配置文件、翻译和数据的完整性
+ * 按 src/schemas 验证配置与数据文件，并检查翻译、图片和路由的完整性
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { validateDataFiles, readDataFile, loadSchemas } from './utils/schemaValidation.js';
+import { generateTypes, schemaDir, typesFile } from './generate-types.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,132 +17,74 @@ const rootDir = path.resolve(__dirname, '..');
 
 console.log('🔍 开始构建时验证...');
 
-// 验证 JSON 文件格式
-function validateJsonFile(filePath, schemaValidator = null) {
-  try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const data = JSON.parse(content);
-    
-    if (schemaValidator) {
-      const validation = schemaValidator(data);
-      if (!validation.valid) {
-        console.error(`❌ ${filePath} 数据格式错误:`, validation.errors);
-        return false;
-      }
-    }
-    
-    console.log(`✅ ${path.basename(filePath)} 格式验证通过`);
-    return true;
-  } catch (error) {
-    console.error(`❌ ${filePath} JSON 格式错误:`, error.message);
-    return false;
-  }
-}
+// 按 src/schemas 中的 JSON Schema 验证数据文件，错误以 "文件#JSON pointer" 定位
+function validateDataSchemas() {
+  let valid = true;
 
-// 城市数据验证器
-function validateCitiesData(cities) {
-  const errors = [];
-  
-  if (!Array.isArray(cities)) {
-    errors.push('城市数据必须是数组');
-    return { valid: false, errors };
-  }
-  
-  const requiredFields = ['id', 'name', 'logo', 'logoMobile', 'active', 'description'];
-  const cityIds = new Set();
-  
-  cities.forEach((city, index) => {
-    // 检查必要字段（使用 undefined 判断，避免 active: false 被误判为缺失）
-    const missingFields = requiredFields.filter(field => city[field] === undefined || city[field] === null);
-    if (missingFields.length > 0) {
-      errors.push(`城市 ${index}: 缺少字段 ${missingFields.join(', ')}`);
+  validateDataFiles(rootDir).forEach(({ file, schema, errors, skipped }) => {
+    if (skipped) {
+      console.log(`⏭️  ${file} 尚未生成，跳过`);
+      return;
     }
-    
-    // 检查 ID 唯一性
-    if (city.id) {
-      if (cityIds.has(city.id)) {
-        errors.push(`城市 ID "${city.id}" 重复`);
-      }
-      cityIds.add(city.id);
-    }
-    
-    // 检查名称格式
-    if (city.name && (typeof city.name !== 'object' || !city.name.zh || !city.name.en)) {
-      errors.push(`城市 ${city.id || index}: name 字段格式错误`);
-    }
-    
-    // 检查描述格式
-    if (city.description && (typeof city.description !== 'object' || !city.description.zh || !city.description.en)) {
-      errors.push(`城市 ${city.id || index}: description 字段格式错误`);
-    }
-    
-    // 检查图片路径
-    if (city.logo && !city.logo.startsWith('/') && !city.logo.startsWith('http')) {
-      errors.push(`城市 ${city.id || index}: logo 路径格式错误`);
-    }
-    
-    if (city.logoMobile && !city.logoMobile.startsWith('/') && !city.logoMobile.startsWith('http')) {
-      errors.push(`城市 ${city.id || index}: logoMobile 路径格式错误`);
+    if (errors.length > 0) {
+      console.error(`❌ ${file} 不符合 src/schemas/${schema}:`);
+      errors.forEach(error => console.error(`   ${file}#${error.path}: ${error.message}`));
+      valid = false;
+      return;
     }
+    console.log(`✅ ${file} 格式验证通过`);
   });
-  
-  return { valid: errors.length === 0, errors };
+
+  return valid;
 }
 
-// 翻译数据验证器
-function validateTranslationsData(translations) {
+// 验证 ID 唯一性（JSON Schema 无法表达按字段去重）
+function validateUniqueIds() {
+  const files = [
+    'src/data/cities.json',
+    'src/data/specialized-communities.json',
+    'src/data/tag-taxonomy.json',
+    'src/data/event-series.json'
+  ];
   const errors = [];
-  
-  if (typeof translations !== 'object' || translations === null) {
-    errors.push('翻译数据必须是对象');
-    return { valid: false, errors };
-  }
-  
-  // 递归检查翻译结构
-  function checkTranslationStructure(obj, path = '') {
-    for (const [key, value] of Object.entries(obj)) {
-      const currentPath = path ? `${path}.${key}` : key;
-      
-      if (typeof value === 'object' && value !== null) {
-        checkTranslationStructure(value, currentPath);
-      } else if (typeof value !== 'string') {
-        errors.push(`翻译路径 "${currentPath}" 的值必须是字符串`);
+
+  files.forEach(file => {
+    const items = readDataFile(path.join(rootDir, file));
+    if (!Array.isArray(items)) return;
+
+    const seen = new Map();
+    items.forEach((item, index) => {
+      if (!item?.id) return;
+      if (seen.has(item.id)) {
+        errors.push(`${file}#/${index}/id: ID "${item.id}" 与 #/${seen.get(item.id)}/id 重复`);
+      } else {
+        seen.set(item.id, index);
       }
-    }
+    });
+  });
+
+  if (errors.length > 0) {
+    console.error('❌ 存在重复 ID:');
+    errors.forEach(error => console.error(`   ${error}`));
+    return false;
   }
-  
-  checkTranslationStructure(translations);
-  
-  return { valid: errors.length === 0, errors };
+
+  console.log('✅ ID 唯一性检查通过');
+  return true;
 }
 
-// 图片配置验证器
-function validateImagesData(images) {
-  const errors = [];
-  
-  if (typeof images !== 'object' || images === null) {
-    errors.push('图片配置必须是对象');
-    return { valid: false, errors };
-  }
-  
-  const requiredSections = ['cities', 'ui', 'icons', 'qr'];
-  
-  requiredSections.forEach(section => {
-    if (!images[section]) {
-      errors.push(`缺少图片配置节: ${section}`);
-    }
-  });
-  
-  // 检查城市图片配置
-  if (images.cities) {
-    Object.entries(images.cities).forEach(([cityId, cityImages]) => {
-      if (!cityImages.pc || !cityImages.mobile) {
-        errors.push(`城市 ${cityId} 缺少 pc 或 mobile 图片配置`);
-      }
-    });
+// 验证 src/types/data.ts 与 schema 同步
+function validateGeneratedTypes() {
+  const expected = generateTypes(loadSchemas(schemaDir));
+  const current = fs.existsSync(typesFile) ? fs.readFileSync(typesFile, 'utf8') : '';
+
+  if (current !== expected) {
+    console.error('❌ src/types/data.ts 与 src/schemas 不一致，请运行 npm run types:generate');
+    return false;
   }
-  
-  return { valid: errors.length === 0, errors };
+
+  console.log('✅ 数据类型与 schema 一致');
+  return true;
 }
 
 // 验证翻译完整性
@@ -275,36 +219,10 @@ async function main() {
   
   let allValid = true;
   
-  // 验证配置文件
-  const validations = [
-    {
-      name: '城市数据',
-      path: 'src/data/cities.json',
-      validator: validateCitiesData
-    },
-    {
-      name: '中文翻译',
-      path: 'src/data/translations/zh.json',
-      validator: validateTranslationsData
-    },
-    {
-      name: '英文翻译',
-      path: 'src/data/translations/en.json',
-      validator: validateTranslationsData
-    },
-    {
-      name: '图片配置',
-      path: 'src/data/images.json',
-      validator: validateImagesData
-    }
-  ];
-  
-  for (const validation of validations) {
-    const filePath = path.join(rootDir, validation.path);
-    if (!validateJsonFile(filePath, validation.validator)) {
-      allValid = false;
-    }
-  }
+  // 验证数据文件
+  if (!validateDataSchemas()) allValid = false;
+  if (!validateUniqueIds()) allValid = false;
+  if (!validateGeneratedTypes()) allValid = false;
   
   // 其他验证
   if (!validateTranslationCompleteness()) allValid = false;
@@ -316,7 +234,9 @@ async function main() {
     timestamp: new Date().toISOString(),
     valid: allValid,
     checks: {
-      configFiles: true,
+      dataSchemas: true,
+      uniqueIds: true,
+      generatedTypes: true,
       translations: true,
       images: true,
       routes: true
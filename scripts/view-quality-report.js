@@ -105,6 +105,20 @@ function displayQualityReport() {
       console.log('');
     }
 
+    // Near-duplicate candidates awaiting review
+    const nearDuplicates = qualityReport.issues.nearDuplicates || [];
+    if (nearDuplicates.length > 0) {
+      console.log('🔍 Possible Duplicates (run node scripts/review-duplicates.js):');
+      nearDuplicates.slice(0, 5).forEach((candidate, index) => {
+        console.log(`   ${index + 1}. [${candidate.score}] ${candidate.events.map(event => event.title).join('  ⇄  ')}`);
+      });
+
+      if (nearDuplicates.length > 5) {
+        console.log(`   ... and ${nearDuplicates.length - 5} more pairs`);
+      }
+      console.log('');
+    }
+
     // Common issues statistics
     if (qualityReport.statistics.commonIssues && Object.keys(qualityReport.statistics.commonIssues).length > 0) {
       console.log('📊 Common Issues:');
@@ -155,7 +169,7 @@ during event processing, including:
 
 • Data quality score and summary
 • Critical issues and warnings
-• Duplicate detection results
+• Duplicate detection results and near-duplicate pairs to review
 • Data cleaning statistics
 • Quality improvement recommendations
 
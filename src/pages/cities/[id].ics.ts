@@ -0,0 +1,34 @@
+/**
+ * City calendar feed: /cities/<id>.ics
+ */
+
+import type { APIContext } from 'astro';
+import { getCities, getLocalizedValue } from '../../utils';
+import { generateCalendarFeed } from '../../utils/calendarFeed.js';
+import type { ProcessedEvent } from '../../utils/eventProcessing.js';
+import type { City } from '../../types';
+import eventsData from '../../data/events/processed-events.json';
+
+export function getStaticPaths() {
+  return getCities().map(city => ({
+    params: { id: city.id },
+    props: { city }
+  }));
+}
+
+export function GET({ props, site }: APIContext<{ city: City }>) {
+  const { city } = props;
+  const siteUrl = `${(site?.toString() || 'https://cnusergroup.com').replace(/\/$/, '')}${(import.meta.env.BASE_URL || '/').replace(/\/$/, '')}`;
+  const events = (eventsData as ProcessedEvent[]).filter(event => event.cityMappings.includes(city.id));
+  const calendar = generateCalendarFeed(events, {
+    name: `${getLocalizedValue(city.name, 'zh')} User Group 活动`,
+    description: getLocalizedValue(city.description, 'zh'),
+    siteUrl
+  });
+
+  return new Response(calendar, {
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+    },
+  });
+}
@@ -0,0 +1,34 @@
+/**
+ * Specialized community calendar feed: /specialized/<id>.ics
+ */
+
+import type { APIContext } from 'astro';
+import { getSpecializedCommunities, getLocalizedValue } from '../../utils';
+import { generateCalendarFeed } from '../../utils/calendarFeed.js';
+import { getCommunityEvents } from '../../utils/communityMapping.js';
+import type { ProcessedEvent } from '../../utils/eventProcessing.js';
+import type { SpecializedCommunity } from '../../types';
+import eventsData from '../../data/events/processed-events.json';
+
+export function getStaticPaths() {
+  return getSpecializedCommunities().map(community => ({
+    params: { id: community.id },
+    props: { community }
+  }));
+}
+
+export function GET({ props, site }: APIContext<{ community: SpecializedCommunity }>) {
+  const { community } = props;
+  const siteUrl = `${(site?.toString() || 'https://cnusergroup.com').replace(/\/$/, '')}${(import.meta.env.BASE_URL || '/').replace(/\/$/, '')}`;
+  const calendar = generateCalendarFeed(getCommunityEvents(eventsData as ProcessedEvent[], community.id), {
+    name: `${getLocalizedValue(community.name, 'zh')}活动`,
+    description: getLocalizedValue(community.description, 'zh'),
+    siteUrl
+  });
+
+  return new Response(calendar, {
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+    },
+  });
+}
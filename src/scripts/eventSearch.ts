@@ -70,6 +70,7 @@ const cityNameMap: Record<string, Record<string, string>> = {
 interface ProcessedEvent {
   id: string;
   title: string;
+  titleEn?: string;
   time: string;
   location: string;
   url: string;
@@ -196,6 +197,7 @@ class EventSearchManager {
       if (searchTerm) {
         const searchFields = [
           event.title || '',
+          event.titleEn || '',
           event.location || '',
           (event.tags || []).join(' '),
           (event.cityMappings || []).join(' '),
@@ -44,6 +44,7 @@ export interface CityCardProps {
   size?: ComponentSize;
   theme?: 'light' | 'dark';
   showStatus?: boolean;
+  showStats?: boolean;
   showImage?: boolean;
   showSubtitle?: boolean;
   bordered?: boolean;
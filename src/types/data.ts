@@ -0,0 +1,501 @@
+/**
+ * Data File Types
+ * Generated from src/schemas by scripts/generate-types.js; do not edit.
+ * Run "npm run types:generate" after changing a schema.
+ */
+
+// cities.schema.json
+
+// src/data/cities.json
+export type Cities = City[];
+
+export interface City {
+  id: Slug;
+  name: LocalizedText;
+  logo: ImagePath;
+  logoMobile: ImagePath;
+  active: boolean;
+  description: LocalizedText;
+  contact?: CommunityContact;
+  stats?: CommunityStats;
+}
+
+// city-gazetteer.schema.json
+
+// src/data/city-gazetteer.json
+export interface CityGazetteer {
+  provinces: GazetteerProvince[];
+  cities: GazetteerCity[];
+}
+
+export interface GazetteerProvince {
+  name: string;
+  en: string;
+  aliases?: string[];
+}
+
+// Prefecture-level city or municipality; without a cityId it has no community
+export interface GazetteerCity {
+  name: string;
+  cityId?: string; // City in src/data/cities.json
+  province: string; // Province name, or the city's own name for a municipality
+  aliases?: string[];
+  districts?: string[];
+  counties?: string[]; // Counties and county-level cities
+}
+
+// city-mappings.schema.json
+
+// src/data/events/city-mappings.json
+export type CityMappings = CityMapping[];
+
+export interface CityMapping {
+  cityId: string;
+  virtual?: boolean; // The online channel (online and hybrid events), not a city
+  cityName: string;
+  events: ProcessedEvent[];
+  eventCount: number;
+  lastUpdated: string;
+}
+
+// common.schema.json
+
+export type Language = 'zh' | 'en';
+
+export interface LocalizedText {
+  zh: string;
+  en: string;
+}
+
+// Site path under public/ or an absolute URL
+export type ImagePath = string;
+
+export type Slug = string;
+
+// ISO 8601 timestamp
+export type Timestamp = string;
+
+export interface CommunityContact {
+  wechat?: string;
+  email?: string;
+  leader?: string;
+}
+
+// Hand-maintained figures; event figures are computed from processed events (event-stats.json cityStats and communityStats)
+export interface CommunityStats {
+  members?: number;
+  events?: number; // Overrides the computed total number of events
+  founded?: number; // Overrides the year of the first recorded event
+}
+
+// community-images.schema.json
+
+// src/data/community-images.json: image name → URL
+export interface CommunityImages {
+  [key: string]: ImagePath;
+}
+
+// config.schema.json
+
+// src/data/config.yaml
+export interface SiteConfig {
+  site: {
+    title: LocalizedText;
+    description: LocalizedText;
+    url: string;
+    author?: string;
+  };
+  // Worldwide User Group figures shown on the home page
+  globalStats: {
+    organizations: number;
+    countries: number;
+    members: number;
+  };
+  socialLinks: SocialLink[];
+  officialAccount?: {
+    qrCode: ImagePath;
+    description: LocalizedText;
+  };
+  applications?: Application[];
+  externalLinks?: ExternalLink[];
+  // Image groups (hero, titles, community) → image name → URL
+  images?: Record<string, Record<string, ImagePath>>;
+  defaultLanguage?: Language;
+  supportedLanguages?: Language[];
+}
+
+export interface SocialLink {
+  name: string;
+  url: string; // "#" when the platform has no public page
+  icon: ImagePath;
+  platform: 'wechat' | 'weibo' | 'tiktok' | 'bilibili' | 'xiaohongshu';
+}
+
+export interface Application {
+  type: 'leader' | 'volunteer' | 'instructor' | 'certificate';
+  title: LocalizedText;
+  icon: ImagePath;
+  url: string;
+}
+
+export interface ExternalLink {
+  name: string;
+  title: LocalizedText;
+  icon: ImagePath;
+  url: string;
+}
+
+// event-series.schema.json
+
+// src/data/event-series.json
+export type SeriesDefinitions = SeriesDefinition[];
+
+export interface SeriesDefinition {
+  id: Slug;
+  name: LocalizedText;
+  patterns?: string[]; // Case-insensitive regular expressions matched against event titles
+  eventIds?: string[];
+}
+
+// event-stats.schema.json
+
+// src/data/events/event-stats.json
+export interface EventStats {
+  totalEvents: number;
+  upcomingEvents: number;
+  pastEvents: number;
+  cityDistribution: Counts;
+  communityDistribution?: Counts; // Specialized community ID → event count
+  tagDistribution?: Counts; // Canonical tag ID → event count
+  engagementMetrics: {
+    totalViews: number;
+    totalFavorites: number;
+    averageViews: number;
+    averageFavorites: number;
+    topViewedEvents: {
+      id: string;
+      title: string;
+      views: number;
+    }[];
+    topFavoritedEvents: {
+      id: string;
+      title: string;
+      favorites: number;
+    }[];
+  };
+  growthMetrics?: {
+    trackedEvents: number;
+    views7d: number;
+    views30d: number;
+    favorites7d: number;
+    favorites30d: number;
+    trendingEvents: TrendingEvent[];
+  };
+  mappingStats: MappingStats;
+  timeDistribution: Counts; // "YYYY/" → event count
+  cityStats?: Record<string, CommunityEventStats>; // City ID → figures for the city's events
+  // Specialized community ID → figures for the community's events
+  communityStats?: Record<string, CommunityEventStats>;
+  lastUpdated: string;
+  // Counts from the last processing run (see scripts/process-events.js)
+  processing?: Record<string, unknown>;
+  qualityReport?: Record<string, unknown>; // Same as data/events/quality-report.json
+}
+
+export interface Counts {
+  [key: string]: number;
+}
+
+export interface TrendingEvent {
+  id: string;
+  title: string;
+  titleEn?: string;
+  slug: string;
+  time: string;
+  location: string;
+  views: number;
+  views7d: number;
+  views30d: number;
+  favorites7d: number;
+  favorites30d: number;
+}
+
+export interface CommunityEventStats {
+  totalEvents: number;
+  eventsByYear: Counts; // "YYYY" → event count
+  firstEventDate?: string; // YYYY-MM-DD, Beijing time
+  lastEventDate?: string; // YYYY-MM-DD, Beijing time
+  averageViews: number;
+  // Most viewed event
+  topEvent?: {
+    id: string;
+    title: string;
+    titleEn?: string;
+    slug: string;
+    views: number;
+  };
+}
+
+export interface MappingStats {
+  totalEvents: number;
+  mappedEvents: number;
+  unmappedEvents: number;
+  mappingSuccessRate?: number; // Share of events mapped to a city, 0–1
+  mappingsByConfidence: {
+    high: number; // confidence >= 0.8
+    medium: number; // 0.5 <= confidence < 0.8
+    low: number; // confidence < 0.5
+  };
+  mappingsByType: Counts;
+  unmappedLocations: string[]; // First 20
+}
+
+// event.schema.json
+
+export interface EventAgendaItem {
+  time: string;
+  title: string;
+}
+
+export interface EventSpeaker {
+  name: string;
+  title: string;
+}
+
+export interface EventYearInference {
+  year: number;
+  rule: 'explicit' | 'page-order' | 'image-path' | 'scrape-date';
+  confidence: 'high' | 'medium' | 'low';
+}
+
+export interface EventLifecycle {
+  state: 'active' | 'missing' | 'cancelled' | 'removed';
+  firstSeenAt: string;
+  missingRuns: number;
+  missingSince?: string;
+  cancelledAt?: string;
+  removedAt?: string;
+  previousTime?: string; // Time before the most recent reschedule
+  rescheduledAt?: string;
+  previousLocation?: string;
+  relocatedAt?: string;
+}
+
+// Event as scraped (data/events/events.json), listed by hand or imported from a calendar
+export interface RawEvent {
+  id: string;
+  title: string;
+  time: string;
+  location: string;
+  url: string;
+  imageUrl: string;
+  status: 'upcoming' | 'ended';
+  views: number;
+  favorites: number;
+  scrapedAt: string;
+  sort?: number;
+  localImage?: string;
+  sourceId?: string; // Organizer source from data/events/sources.json
+  // Detected from location and title unless set on a manual entry or in overrides.yaml
+  attendanceMode?: AttendanceMode;
+  yearInference?: EventYearInference; // How the scraper chose the year for list dates without one
+  cancelled?: boolean; // Marked "已取消" on the source listing
+  // Events not listed on huodongxing: manual YAML entries or iCalendar imports
+  origin?: 'manual' | 'ics';
+  manualOverride?: boolean; // Scraped event with fields overridden by a manual entry
+  manualFile?: string;
+  titleEn?: string;
+  locationEn?: string;
+  descriptionEn?: string;
+  icsFile?: string; // Calendar file the event was imported from
+  icsUid?: string;
+  recurrenceId?: string; // YYYYMMDD of the occurrence for recurring calendar events
+  missingRuns?: number; // Consecutive full scrapes the event was absent from its source
+  missingSince?: string;
+  description?: string; // Detail-page fields (populated by the scraper's optional detail pass)
+  agenda?: EventAgendaItem[];
+  speakers?: EventSpeaker[];
+  startTime?: string;
+  endTime?: string;
+  venueAddress?: string;
+  registrationStatus?: 'open' | 'closed' | 'full' | 'ended' | 'cancelled' | 'unknown';
+  detailScrapedAt?: string;
+}
+
+export type AttendanceMode = 'offline' | 'online' | 'hybrid';
+
+export interface CityMatch {
+  cityId: string;
+  confidence: number;
+  // Gazetteer level of the entry used, or where the city came from otherwise (reviewed: scripts/audit-city-mapping.js)
+  matchType: 'city' | 'district' | 'county' | 'province' | 'fuzzy' | 'source' | 'reviewed' | 'override';
+  matchedText?: string;
+  entry?: CityMatchEntry;
+}
+
+export interface CommunityMatch {
+  communityId: string;
+  // Organizer source's default community, a title keyword, an attendance mode listed by the community, or overrides.yaml
+  matchType: 'source' | 'keyword' | 'attendanceMode' | 'override';
+  matchedText?: string; // Keyword or attendance mode that matched
+}
+
+// Gazetteer entry behind a match: 浦东新区 (district) of 上海市
+export interface CityMatchEntry {
+  name: string;
+  level: 'province' | 'city' | 'district' | 'county';
+  parent?: string; // City of a district or county, province of a city
+}
+
+// Event written to src/data/events/processed-events.json
+export interface ProcessedEvent extends RawEvent {
+  cityMappings: string[];
+  cityMatches?: CityMatch[]; // Why each city in cityMappings was chosen, in the same order
+  communityMappings?: string[];
+  // Why the event belongs to each specialized community, in communityMappings order
+  communityMatches?: CommunityMatch[];
+  lifecycle?: EventLifecycle;
+  slug: string;
+  tags: string[];
+  isUpcoming: boolean;
+  formattedDate: string;
+  // ISO 8601 with the Beijing offset (+08:00); end and duration only when the end time is known
+  startDate?: string;
+  endDate?: string;
+  durationMinutes?: number;
+  contentHash?: string; // Hash of the raw event content, used by the processing cache
+  seriesId?: string; // Series from src/data/events/series.json
+  // English text for the /en pages (see scripts/utils/eventTranslation.js); titleEn is always set after processing
+  titleEnSource?: 'override' | 'source' | 'glossary' | 'transliterated';
+  summaryEn?: string;
+  summaryEnSource?: 'override' | 'source' | 'generated';
+  featured?: boolean; // Set by data/events/overrides.yaml
+  overriddenFields?: string[];
+  // Values the overridden fields had before data/events/overrides.yaml was applied
+  valuesBeforeOverride?: Record<string, unknown>;
+}
+
+// images.schema.json
+
+// src/data/images.json
+export interface ImagesConfig {
+  // City ID → desktop and mobile logo
+  cities: Record<string, {
+    pc: ImagePath;
+    mobile: ImagePath;
+  }>;
+  ui: ImageGroup;
+  icons: ImageGroup;
+  qr: ImageGroup;
+}
+
+export interface ImageGroup {
+  [key: string]: ImagePath;
+}
+
+// processed-events.schema.json
+
+// src/data/events/processed-events.json
+export type ProcessedEvents = ProcessedEvent[];
+
+// series.schema.json
+
+// src/data/events/series.json
+export type EventSeriesList = EventSeries[];
+
+export interface EventSeries {
+  id: Slug;
+  name: LocalizedText;
+  auto: boolean; // Detected by title similarity rather than a pattern in src/data/event-series.json
+  eventIds: string[]; // Chronological
+  cities: string[];
+  firstDate: string | null;
+  lastDate: string | null;
+}
+
+// slug-registry.schema.json
+
+// src/data/events/slug-registry.json: event ID → every slug it was published under
+export interface SlugRegistry {
+  [key: string]: string[];
+}
+
+// social.schema.json
+
+// src/data/social.json
+export interface SocialConfig {
+  platforms: Record<string, SocialPlatform>;
+  sharing: {
+    defaultPlatforms: string[];
+    trackingEnabled: boolean;
+    analyticsEvents: Record<string, string>; // Interaction → analytics event name
+  };
+  content: {
+    defaultShareText: LocalizedText;
+    hashtags: {
+      zh: string[];
+      en: string[];
+    };
+  };
+}
+
+export interface SocialPlatform {
+  name: string;
+  displayName: LocalizedText;
+  color: string;
+  icon: ImagePath;
+  url?: string;
+  handle?: string;
+  id?: string; // Account ID shown next to the QR code
+  qrCode?: ImagePath;
+  description?: LocalizedText;
+}
+
+// specialized-communities.schema.json
+
+// src/data/specialized-communities.json
+export type SpecializedCommunities = SpecializedCommunity[];
+
+export interface SpecializedCommunity {
+  id: Slug;
+  name: LocalizedText;
+  logo: ImagePath;
+  logoMobile: ImagePath;
+  active: boolean;
+  description: LocalizedText;
+  contact?: CommunityContact;
+  stats?: CommunityStats;
+  // Events whose title contains one of these belong to the community; Latin keywords match whole words, Chinese ones anywhere
+  keywords?: string[];
+  attendanceModes?: AttendanceMode[]; // Events held in one of these modes belong to the community
+}
+
+// tag-taxonomy.schema.json
+
+// src/data/tag-taxonomy.json
+export type TagTaxonomyFile = TagTaxonomyEntry[];
+
+export interface TagTaxonomyEntry {
+  id: Slug;
+  type: 'topic' | 'format';
+  parent?: Slug;
+  name: LocalizedText;
+  synonyms: string[];
+}
+
+// translation-glossary.schema.json
+
+// src/data/translation-glossary.json: Chinese term → English (empty to drop the term)
+export interface TranslationGlossary {
+  [key: string]: string;
+}
+
+// translations.schema.json
+
+// src/data/translations/{zh,en}.json
+export type Translations = TranslationTree;
+
+// Nested translation keys; every leaf is a string
+export interface TranslationTree {
+  [key: string]: string | TranslationTree;
+}
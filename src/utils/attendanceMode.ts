@@ -0,0 +1,52 @@
+/**
+ * Attendance Mode
+ * Whether an event happens at a venue (offline), only on the internet (online) or both
+ * (hybrid). Processing records the mode on each event; older processed data without it
+ * is detected the same way here. Mirrors scripts/utils/attendanceMode.js.
+ */
+
+import type { AttendanceMode, ProcessedEvent } from '../types/data.js';
+
+export type { AttendanceMode };
+
+export const ATTENDANCE_MODES: AttendanceMode[] = ['offline', 'online', 'hybrid'];
+
+type AttendanceFields = Pick<ProcessedEvent, 'location' | 'title' | 'attendanceMode'>;
+
+// A location on the internet: 线上活动, 在线直播, 网络研讨会, Zoom… (not 云上/云端, which mean "on the cloud")
+const ONLINE_LOCATION = /线上|在线|直播|网络研讨会|腾讯会议|视频号|(?<![a-z])(?:online|webinar|livestream|live stream|virtual|zoom)(?![a-z])/i;
+
+// Titles mention products and topics too, so only unambiguous words count there
+const ONLINE_TITLE = /线上|直播|网络研讨会|(?<![a-z])(?:webinar|livestream)(?![a-z])/i;
+
+// Both at once: 线上+线下, 线上线下, 线下/直播同步, Hybrid
+const HYBRID_PATTERN = /线上\s*[+＋&/、与和]?\s*线下|线下\s*[+＋&/、与和]?\s*(?:线上|直播)|同步直播|(?<![a-z])hybrid(?![a-z])/i;
+
+/**
+ * Detect the attendance mode from the location and title
+ */
+export function detectAttendanceMode(event: AttendanceFields): AttendanceMode {
+  const location = (event.location || '').trim();
+  const title = event.title || '';
+
+  if (HYBRID_PATTERN.test(location) || HYBRID_PATTERN.test(title)) return 'hybrid';
+  if (ONLINE_LOCATION.test(location)) return 'online';
+  if (ONLINE_TITLE.test(title)) return location ? 'hybrid' : 'online';
+  return 'offline';
+}
+
+/**
+ * Attendance mode of an event: set by hand, recorded by processing, or detected
+ */
+export function getAttendanceMode(event: AttendanceFields): AttendanceMode {
+  return event.attendanceMode && ATTENDANCE_MODES.includes(event.attendanceMode)
+    ? event.attendanceMode
+    : detectAttendanceMode(event);
+}
+
+/**
+ * Whether the event can be joined online (online or hybrid)
+ */
+export function isOnlineEvent(event: AttendanceFields): boolean {
+  return getAttendanceMode(event) !== 'offline';
+}
@@ -0,0 +1,98 @@
+/**
+ * Calendar Feeds
+ * iCalendar (.ics) feeds of a city's or specialized community's events that calendar
+ * apps can subscribe to. Times are written in UTC; events without a parseable time are
+ * left out, and an event without an end time lasts the default event duration.
+ */
+
+import type { ProcessedEvent } from './eventProcessing.js';
+import { getEventTitle } from './eventProcessing.js';
+import { getEventWindow } from './eventTime.js';
+import { getAttendanceMode } from './attendanceMode.js';
+
+export interface CalendarFeedOptions {
+  name: string;
+  description?: string;
+  siteUrl: string;
+  locale?: 'zh' | 'en';
+}
+
+const encoder = new TextEncoder();
+
+function escapeText(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function formatUtc(timestamp: number): string {
+  return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1) without splitting a character
+ */
+function foldLine(line: string): string {
+  const parts: string[] = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards their 75 octets
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function eventLines(event: ProcessedEvent, { siteUrl, locale = 'zh' }: CalendarFeedOptions): string[] {
+  const window = getEventWindow(event);
+  if (!window) return [];
+
+  const pageUrl = `${siteUrl}${locale === 'en' ? '/en' : ''}/events/${event.slug}`;
+  const location = getAttendanceMode(event) === 'online' && !event.location
+    ? event.url
+    : (locale === 'en' && event.locationEn) || event.location;
+  const stamp = Date.parse(event.scrapedAt || '') || window.start;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${event.id}@cnusergroup`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    `DTSTART:${formatUtc(window.start)}`,
+    `DTEND:${formatUtc(window.end)}`,
+    `SUMMARY:${escapeText(getEventTitle(event, locale))}`,
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    `DESCRIPTION:${escapeText([locale === 'en' ? event.summaryEn : '', pageUrl].filter(Boolean).join('\n'))}`,
+    `URL:${event.url || pageUrl}`,
+    `STATUS:${event.lifecycle?.state === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * iCalendar document for a list of events
+ */
+export function generateCalendarFeed(events: ProcessedEvent[], options: CalendarFeedOptions): string {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//CNUserGroup//Events//ZH',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(options.name)}`,
+    ...(options.description ? [`X-WR-CALDESC:${escapeText(options.description)}`] : []),
+    'X-WR-TIMEZONE:Asia/Shanghai',
+    ...events.flatMap(event => eventLines(event, options)),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,174 @@
+/**
+ * City Gazetteer
+ * Place names from src/data/city-gazetteer.json: provinces, prefecture-level cities and
+ * the districts and counties of every community city. Each name is indexed in its full
+ * form (浦东新区) and its common short form (浦东). Chinese text has no word boundaries,
+ * so names are found by longest match; Latin names (English city names) must stand
+ * alone as words. Mirrors scripts/utils/cityGazetteer.js.
+ */
+
+import type { City, CityGazetteer } from '../types/data.js';
+import gazetteerData from '../data/city-gazetteer.json';
+import citiesData from '../data/cities.json';
+
+export type GazetteerLevel = 'province' | 'city' | 'district' | 'county';
+
+export interface GazetteerPlace {
+  name: string;
+  cityId: string | null;
+  province: string;
+}
+
+export interface GazetteerEntry {
+  name: string;
+  level: GazetteerLevel;
+  province: string;
+  place: GazetteerPlace | null; // null for provinces
+}
+
+export interface CompiledCityGazetteer {
+  provinces: Map<string, GazetteerEntry>;
+  places: GazetteerPlace[];
+  terms: Map<string, GazetteerEntry[]>;
+  latinTerms: Array<{ term: string; pattern: RegExp; entry: GazetteerEntry }>;
+  longestTerm: number;
+}
+
+export interface GazetteerHit {
+  text: string;
+  index: number;
+  entries: GazetteerEntry[];
+}
+
+const CJK = /[㐀-鿿]/;
+
+// "浦东新区" → "浦东", "昌吉回族自治州" → "昌吉"; short forms need at least two characters
+const SHORT_NAME = /^(.{2,}?)(?:(?:[㐀-鿿]{1,3}族)+(?:自治)?[区州县]|自治区|新区|区|县|市|省)$/;
+
+// A place name directly followed by one of these is part of a street name (上海南京东路)
+const STREET_SUFFIX = /^[东西南北中]?(?:路|街|大街|大道|巷|弄|胡同)/;
+
+/**
+ * Short form of an administrative name, or null when it has none
+ */
+export function getShortName(name: string): string | null {
+  const match = name.match(SHORT_NAME);
+  return match ? match[1] : null;
+}
+
+/**
+ * Index the gazetteer. Every name maps to the entries it can mean: 鼓楼 is a district
+ * of both Nanjing and Fuzhou. A short form is not indexed for a place when its city
+ * already owns that name (兰州新区 does not claim 兰州).
+ */
+export function compileCityGazetteer(
+  data: CityGazetteer,
+  { cities = [] }: { cities?: Array<Pick<City, 'id' | 'name'>> } = {}
+): CompiledCityGazetteer {
+  const provinces = new Map<string, GazetteerEntry>();
+  const places: GazetteerPlace[] = [];
+  const terms = new Map<string, GazetteerEntry[]>();
+  const latinTerms: CompiledCityGazetteer['latinTerms'] = [];
+
+  const addTerm = (term: string | null, entry: GazetteerEntry, derived = false) => {
+    if (!term || term.length < 2) return;
+    const entries = terms.get(term) || [];
+    if (derived && entries.some(existing => existing.place === entry.place)) return;
+    if (!entries.includes(entry)) entries.push(entry);
+    terms.set(term, entries);
+  };
+  const addLatinTerm = (term: string, entry: GazetteerEntry) => {
+    const pattern = new RegExp(`(?<![a-z])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![a-z])`, 'i');
+    latinTerms.push({ term, pattern, entry });
+  };
+
+  data.provinces.forEach(province => {
+    if (provinces.has(province.name)) {
+      throw new Error(`City gazetteer lists province "${province.name}" twice`);
+    }
+    const entry: GazetteerEntry = { name: province.name, level: 'province', province: province.name, place: null };
+    provinces.set(province.name, entry);
+    addTerm(province.name, entry);
+    (province.aliases || []).forEach(alias => addTerm(alias, entry));
+    addTerm(getShortName(province.name), entry, true);
+    addLatinTerm(province.en, entry);
+  });
+
+  const englishNames = new Map(cities.map(city => [city.id, city.name.en]));
+  const children: GazetteerEntry[] = [];
+  data.cities.forEach(city => {
+    if (city.province !== city.name && !provinces.has(city.province)) {
+      throw new Error(`City gazetteer entry "${city.name}" has unknown province "${city.province}"`);
+    }
+    if (places.some(place => place.name === city.name)) {
+      throw new Error(`City gazetteer lists city "${city.name}" twice`);
+    }
+    const place: GazetteerPlace = { name: city.name, cityId: city.cityId || null, province: city.province };
+    places.push(place);
+
+    const entry: GazetteerEntry = { name: city.name, level: 'city', province: city.province, place };
+    addTerm(city.name, entry);
+    (city.aliases || []).forEach(alias => addTerm(alias, entry));
+    addTerm(getShortName(city.name), entry, true);
+    const englishName = city.cityId ? englishNames.get(city.cityId) : undefined;
+    if (englishName) addLatinTerm(englishName, entry);
+
+    ([['district', city.districts], ['county', city.counties]] as const).forEach(([level, names = []]) => {
+      names.forEach(name => children.push({ name, level, province: city.province, place }));
+    });
+  });
+
+  // Districts and counties after every city, so a city's own name always wins
+  children.forEach(entry => {
+    addTerm(entry.name, entry);
+    addTerm(getShortName(entry.name), entry, true);
+  });
+
+  return {
+    provinces,
+    places,
+    terms,
+    latinTerms,
+    longestTerm: Math.max(0, ...[...terms.keys()].map(term => term.length))
+  };
+}
+
+export const cityGazetteer = compileCityGazetteer(gazetteerData as CityGazetteer, { cities: citiesData as City[] });
+
+/**
+ * Place names in a location, in text order.
+ * Chinese names are matched longest first, so 浦东新区 is one hit rather than 浦东 plus
+ * a stray 新区, and names that start a street name are skipped.
+ */
+export function findGazetteerTerms(location: string, gazetteer: CompiledCityGazetteer = cityGazetteer): GazetteerHit[] {
+  const text = (location || '').normalize('NFKC');
+  const hits: GazetteerHit[] = [];
+
+  for (let i = 0; i < text.length;) {
+    if (!CJK.test(text[i])) {
+      i++;
+      continue;
+    }
+    let match: string | null = null;
+    for (let length = Math.min(gazetteer.longestTerm, text.length - i); length >= 2; length--) {
+      const candidate = text.slice(i, i + length);
+      if (gazetteer.terms.has(candidate) && !STREET_SUFFIX.test(text.slice(i + length))) {
+        match = candidate;
+        break;
+      }
+    }
+    if (match) {
+      hits.push({ text: match, index: i, entries: gazetteer.terms.get(match)! });
+      i += match.length;
+    } else {
+      i++;
+    }
+  }
+
+  gazetteer.latinTerms.forEach(({ pattern, entry }) => {
+    const found = text.match(pattern);
+    if (found) hits.push({ text: found[0], index: found.index!, entries: [entry] });
+  });
+
+  return hits.sort((a, b) => a.index - b.index);
+}
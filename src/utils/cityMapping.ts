@@ -1,52 +1,75 @@
 /**
  * City Mapping System
- * Maps events to cities based on location text analysis
+ * Maps events to cities by finding the place names in their location text with the
+ * gazetteer in src/data/city-gazetteer.json (see ./cityGazetteer.ts). Every match
+ * records the gazetteer entry it came from. Mirrors scripts/utils/cityMapping.js.
  */
 
-import type { ProcessedEvent } from './eventProcessing.js';
+import type { City as CityData, CityMapping, CityMatch, MappingStats, ProcessedEvent } from '../types/data.js';
+import {
+  cityGazetteer,
+  findGazetteerTerms,
+  type CompiledCityGazetteer,
+  type GazetteerEntry,
+  type GazetteerLevel,
+  type GazetteerPlace
+} from './cityGazetteer.js';
+import { getAttendanceMode, isOnlineEvent } from './attendanceMode.js';
 
-export interface City {
-  id: string;
-  name: {
-    zh: string;
-    en: string;
-  };
-  active: boolean;
-}
+// Generated from src/schemas (see scripts/generate-types.js)
+export type { CityMapping, CityMatch, MappingStats };
 
-export interface CityMapping {
-  cityId: string;
-  cityName: string;
-  events: ProcessedEvent[];
-  eventCount: number;
-  lastUpdated: string;
-}
+// The engine only needs a city's ID, names and whether it is active
+export type City = Pick<CityData, 'id' | 'name' | 'active'>;
+
+export type MappingResult = CityMatch;
 
-export interface MappingRule {
-  pattern: RegExp;
-  cityId: string;
-  priority: number;
-  type: 'exact' | 'fuzzy' | 'province' | 'keyword';
+// A place named in a location, whether or not it has an active community
+export interface LocationMatch extends Omit<CityMatch, 'cityId'> {
+  place: string;
+  cityId: string | null;
 }
 
-export interface MappingResult {
-  cityId: string;
-  confidence: number;
-  matchType: 'exact' | 'fuzzy' | 'province' | 'keyword';
-  matchedText: string;
+export interface CityMappingOptions {
+  sources?: Array<{ id: string; defaultCity?: string }>;
+  gazetteer?: CompiledCityGazetteer;
 }
 
-export interface MappingStats {
-  totalEvents: number;
-  mappedEvents: number;
-  unmappedEvents: number;
-  mappingsByConfidence: {
-    high: number; // confidence >= 0.8
-    medium: number; // 0.5 <= confidence < 0.8
-    low: number; // confidence < 0.5
-  };
-  mappingsByType: Record<string, number>;
-  unmappedLocations: string[];
+/**
+ * Confidence of a match by the level of the gazetteer entry it used
+ */
+export const LEVEL_CONFIDENCE: Record<GazetteerLevel, number> = {
+  city: 0.95,
+  district: 0.9,
+  county: 0.85,
+  province: 0.6
+};
+
+// A broader place that agrees (北京 for 海淀) adds a little; a province that disagrees takes a lot
+const CONFIRMED_BONUS = 0.04;
+const CONTRADICTED_PENALTY = 0.3;
+
+/**
+ * Confidence given to an organizer source's default city when the location is ambiguous
+ */
+export const SOURCE_DEFAULT_CONFIDENCE = 0.8;
+
+/**
+ * Best-match confidence below which a location is considered ambiguous
+ */
+export const REVIEW_THRESHOLD = 0.7;
+
+/**
+ * The online channel: a virtual entry in the city mappings for events that can be
+ * joined online. Online events belong to no city unless their organizer has one.
+ */
+export const ONLINE_CHANNEL = { id: 'online', name: { zh: '线上活动', en: 'Online' } } as const;
+
+const LEVEL_RANK: Record<GazetteerLevel, number> = { province: 0, city: 1, district: 2, county: 2 };
+const CJK = /[㐀-鿿]/;
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100;
 }
 
 /**
@@ -54,146 +77,92 @@ export interface MappingStats {
  */
 export class CityMappingEngine {
   private cities: City[];
-  private mappingRules: MappingRule[];
+  private activeCityIds: Set<string>;
+  private gazetteer: CompiledCityGazetteer;
+  private sourceDefaults: Map<string, string>;
   
-  constructor(cities: City[]) {
+  constructor(cities: City[], options: CityMappingOptions = {}) {
     this.cities = cities.filter(city => city.active);
-    this.mappingRules = this.generateMappingRules();
+    this.activeCityIds = new Set(this.cities.map(city => city.id));
+    this.gazetteer = options.gazetteer || cityGazetteer;
+    // Organizer sources with a default city, used when the location text is ambiguous
+    this.sourceDefaults = new Map(
+      (options.sources || [])
+        .filter(source => source.defaultCity)
+        .map(source => [source.id, source.defaultCity!])
+    );
   }
-  
+
   /**
-   * Generate mapping rules based on city data
+   * Places named in a location, including those without an active community, best first.
+   *
+   * A name shared by several places (鼓楼) is narrowed by the city or province named
+   * alongside it and otherwise split between them. A province on its own does not say
+   * which city is meant, so it matches nothing and the event is left for review.
    */
-  private generateMappingRules(): MappingRule[] {
-    const rules: MappingRule[] = [];
-    
-    this.cities.forEach(city => {
-      const zhName = city.name.zh;
-      const enName = city.name.en;
-      
-      // Exact match rules (highest priority)
-      rules.push({
-        pattern: new RegExp(`\\b${this.escapeRegex(zhName)}\\b`, 'i'),
-        cityId: city.id,
-        priority: 100,
-        type: 'exact'
-      });
-      
-      rules.push({
-        pattern: new RegExp(`\\b${this.escapeRegex(enName)}\\b`, 'i'),
-        cityId: city.id,
-        priority: 99,
-        type: 'exact'
-      });
-      
-      // Province + city rules
-      const provincePatterns = this.getProvincePatterns(zhName);
-      provincePatterns.forEach((pattern, index) => {
-        rules.push({
-          pattern: new RegExp(pattern, 'i'),
-          cityId: city.id,
-          priority: 80 - index,
-          type: 'province'
-        });
-      });
-      
-      // Fuzzy match rules (lower priority)
-      if (zhName.length > 2) {
-        // Match partial city names
-        const partialPattern = zhName.slice(0, -1); // Remove last character
-        rules.push({
-          pattern: new RegExp(`\\b${this.escapeRegex(partialPattern)}`, 'i'),
-          cityId: city.id,
-          priority: 60,
-          type: 'fuzzy'
-        });
+  public matchLocation(location: string): LocationMatch[] {
+    const hits = findGazetteerTerms(location, this.gazetteer);
+    const namedPlaces = new Set<GazetteerPlace>();
+    const namedProvinces = new Map<string, string>();
+    hits.filter(hit => hit.entries.length === 1).forEach(({ text, entries: [entry] }) => {
+      if (entry.level === 'city' && entry.place) namedPlaces.add(entry.place);
+      if (entry.level === 'province' && !namedProvinces.has(entry.name)) namedProvinces.set(entry.name, text);
+    });
+
+    const found = new Map<GazetteerPlace, { entry: GazetteerEntry; text: string; confidence: number }>();
+    const record = (place: GazetteerPlace, entry: GazetteerEntry, text: string, confidence: number) => {
+      const current = found.get(place);
+      if (!current) {
+        found.set(place, { entry, text, confidence });
+        return;
       }
-      
-      // Special keyword rules
-      const keywordPatterns = this.getKeywordPatterns(city);
-      keywordPatterns.forEach((pattern, index) => {
-        rules.push({
-          pattern: new RegExp(pattern, 'i'),
-          cityId: city.id,
-          priority: 40 - index,
-          type: 'keyword'
-        });
+      // Explain with the most specific entry; score with the strongest evidence
+      const specific = LEVEL_RANK[entry.level] > LEVEL_RANK[current.entry.level];
+      found.set(place, {
+        entry: specific ? entry : current.entry,
+        text: specific ? text : current.text,
+        confidence: Math.max(confidence, current.confidence)
       });
-    });
-    
-    // Sort rules by priority (highest first)
-    return rules.sort((a, b) => b.priority - a.priority);
-  }
-  
-  /**
-   * Get province-based patterns for a city
-   */
-  private getProvincePatterns(cityName: string): string[] {
-    const patterns: string[] = [];
-    
-    // Define province mappings
-    const provinceMap: Record<string, string[]> = {
-      '北京': ['北京市?', '(?<![南东])京(?!都|阪)'],
-      '上海': ['上海市?', '沪'],
-      '深圳': ['广东.*深圳', '深圳.*广东', '粤.*深圳'],
-      '广州': ['广东.*广州', '广州.*广东', '粤.*广州'],
-      '杭州': ['浙江.*杭州', '杭州.*浙江', '浙.*杭州'],
-      '成都': ['四川.*成都', '成都.*四川', '川.*成都', '蜀.*成都'],
-      '武汉': ['湖北.*武汉', '武汉.*湖北', '鄂.*武汉'],
-      '西安': ['陕西.*西安', '西安.*陕西', '陕.*西安', '秦.*西安'],
-      '南京': ['江苏.*南京', '南京.*江苏', '苏.*南京'],
-      '福州': ['福建.*福州', '福州.*福建', '闽.*福州'],
-      '厦门': ['福建.*厦门', '厦门.*福建', '闽.*厦门'],
-      '合肥': ['安徽.*合肥', '合肥.*安徽', '皖.*合肥'],
-      '郑州': ['河南.*郑州', '郑州.*河南', '豫.*郑州'],
-      '兰州': ['甘肃.*兰州', '兰州.*甘肃', '甘.*兰州', '陇.*兰州'],
-      '乌鲁木齐': ['新疆.*乌鲁木齐', '乌鲁木齐.*新疆', '新.*乌鲁木齐'],
-      '昌吉': ['新疆.*昌吉', '昌吉.*新疆', '新.*昌吉'],
-      '张家口': ['河北.*张家口', '张家口.*河北', '冀.*张家口'],
-      '重庆': ['重庆市?', '渝']
     };
-    
-    const cityPatterns = provinceMap[cityName];
-    if (cityPatterns) {
-      patterns.push(...cityPatterns);
-    }
-    
-    return patterns;
-  }
-  
-  /**
-   * Get keyword patterns for special cases
-   */
-  private getKeywordPatterns(city: City): string[] {
-    const patterns: string[] = [];
-    const cityName = city.name.zh;
-    
-    // Special cases for major cities
-    const keywordMap: Record<string, string[]> = {
-      '北京': ['朝阳', '海淀', '丰台', '东城', '西城', '石景山'],
-      '上海': ['浦东', '徐汇', '黄浦', '静安', '普陀', '虹口', '杨浦'],
-      '深圳': ['南山', '福田', '罗湖', '宝安', '龙岗', '盐田'],
-      '广州': ['天河', '越秀', '荔湾', '海珠', '白云', '黄埔'],
-      '重庆': ['渝北', '江北', '九龙坡', '南岸', '沙坪坝']
-    };
-    
-    const keywords = keywordMap[cityName];
-    if (keywords) {
-      keywords.forEach(keyword => {
-        patterns.push(`\\b${this.escapeRegex(keyword)}\\b`);
+
+    hits.forEach(hit => {
+      let entries = hit.entries.filter(entry => entry.level !== 'province');
+      if (entries.length > 1) {
+        const byCity = entries.filter(entry => entry.place && namedPlaces.has(entry.place));
+        const byProvince = entries.filter(entry => namedProvinces.has(entry.province));
+        entries = byCity.length > 0 ? byCity : byProvince.length > 0 ? byProvince : entries;
+      }
+
+      entries.forEach(entry => {
+        const place = entry.place!;
+        const hasProvince = entry.province !== place.name; // Municipalities are their own province
+        const confirmed = (entry.level !== 'city' && namedPlaces.has(place)) ||
+          (hasProvince && namedProvinces.has(entry.province));
+        const contradicted = hasProvince && namedProvinces.size > 0 && !namedProvinces.has(entry.province);
+        const confidence = LEVEL_CONFIDENCE[entry.level] +
+          (confirmed ? CONFIRMED_BONUS : 0) -
+          (contradicted ? CONTRADICTED_PENALTY : 0);
+        record(place, entry, hit.text, round(Math.min(0.99, confidence) / entries.length));
       });
-    }
-    
-    return patterns;
-  }
-  
-  /**
-   * Escape special regex characters
-   */
-  private escapeRegex(text: string): string {
-    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+
+    return [...found.entries()]
+      .map(([place, { entry, text, confidence }]) => ({
+        place: place.name,
+        cityId: place.cityId,
+        confidence,
+        matchType: entry.level,
+        matchedText: text,
+        entry: {
+          name: entry.name,
+          level: entry.level,
+          ...(entry.level === 'city' && entry.province !== entry.name ? { parent: entry.province } : {}),
+          ...(entry.level === 'district' || entry.level === 'county' ? { parent: place.name } : {})
+        }
+      }))
+      .sort((a, b) => b.confidence - a.confidence);
   }
-  
+
   /**
    * Calculate string similarity using Levenshtein distance
    */
@@ -256,69 +225,39 @@ export class CityMappingEngine {
   }
   
   /**
-   * Map a single event to cities
+   * Map a single event to cities: matches for active community cities, best first.
+   * Locations without any Chinese place name fall back to fuzzy matching on city names;
+   * online events are never matched, so "Online" cannot come out as a similar city name.
    */
-  public mapEventToCities(event: ProcessedEvent): MappingResult[] {
-    const location = event.location;
-    if (!location) return [];
-    
-    const results: MappingResult[] = [];
-    const processedLocation = location.trim();
-    
-    // Try rule-based matching first
-    for (const rule of this.mappingRules) {
-      const match = processedLocation.match(rule.pattern);
-      if (match) {
-        const confidence = this.calculateConfidenceByType(rule.type, rule.priority);
-        
-        results.push({
-          cityId: rule.cityId,
-          confidence,
-          matchType: rule.type,
-          matchedText: match[0]
-        });
-        
-        // For exact matches, we can stop here
-        if (rule.type === 'exact' && confidence >= 0.9) {
-          break;
-        }
-      }
-    }
-    
-    // If no high-confidence matches, try fuzzy matching
-    if (results.length === 0 || results[0].confidence < 0.7) {
-      const fuzzyResults = this.fuzzyMatchLocation(processedLocation, 0.6);
-      results.push(...fuzzyResults);
+  public mapEventToCities(event: Pick<ProcessedEvent, 'location' | 'title' | 'attendanceMode'>): MappingResult[] {
+    const location = event.location?.trim();
+    if (!location || getAttendanceMode(event) === 'online') return [];
+
+    const matches = this.matchLocation(location);
+    if (matches.length === 0 && !CJK.test(location)) {
+      return this.fuzzyMatchLocation(location, 0.6);
     }
-    
-    // Remove duplicates and sort by confidence
-    const uniqueResults = results.reduce((acc, result) => {
-      const existing = acc.find(r => r.cityId === result.cityId);
-      if (!existing || existing.confidence < result.confidence) {
-        acc = acc.filter(r => r.cityId !== result.cityId);
-        acc.push(result);
-      }
-      return acc;
-    }, [] as MappingResult[]);
-    
-    return uniqueResults.sort((a, b) => b.confidence - a.confidence);
+    return matches
+      .filter((match): match is LocationMatch & { cityId: string } => match.cityId !== null && this.activeCityIds.has(match.cityId))
+      .map(({ place, ...match }) => match);
   }
   
   /**
-   * Calculate confidence score based on match type and priority
+   * Check whether mapping results are too weak or too close to pick a city
    */
-  private calculateConfidenceByType(type: string, priority: number): number {
-    const baseConfidence = {
-      'exact': 0.95,
-      'province': 0.8,
-      'fuzzy': 0.6,
-      'keyword': 0.7
-    };
-    
-    const base = baseConfidence[type as keyof typeof baseConfidence] || 0.5;
-    const priorityBonus = (priority - 50) / 100 * 0.1; // Small bonus for higher priority
-    
-    return Math.min(1.0, Math.max(0.1, base + priorityBonus));
+  public isAmbiguousMapping(results: MappingResult[], threshold: number = REVIEW_THRESHOLD): boolean {
+    if (results.length === 0) return true;
+    if (results[0].confidence < threshold) return true;
+    return results.length > 1 && results[0].confidence - results[1].confidence < 0.1;
+  }
+
+  /**
+   * Whether an event's location alone does not settle its city, so it should be reviewed
+   * with scripts/audit-city-mapping.js. Online events have no city to settle.
+   */
+  public needsReview(event: Pick<ProcessedEvent, 'location' | 'title' | 'attendanceMode'>, threshold: number = REVIEW_THRESHOLD): boolean {
+    if (getAttendanceMode(event) === 'online') return false;
+    return this.isAmbiguousMapping(this.mapEventToCities(event), threshold);
   }
   
   /**
@@ -333,15 +272,31 @@ export class CityMappingEngine {
         .filter(result => result.confidence >= minConfidence)
         .slice(0, 3); // Limit to top 3 matches
       
+      // Fall back to the organizer source's default city when the location is ambiguous
+      const defaultCity = event.sourceId ? this.sourceDefaults.get(event.sourceId) : undefined;
+      if (defaultCity && this.isAmbiguousMapping(validMappings)) {
+        return {
+          ...event,
+          cityMappings: [defaultCity],
+          cityMatches: [{
+            cityId: defaultCity,
+            confidence: SOURCE_DEFAULT_CONFIDENCE,
+            matchType: 'source',
+            matchedText: event.sourceId
+          }]
+        };
+      }
+      
       return {
         ...event,
-        cityMappings: validMappings.map(result => result.cityId)
+        cityMappings: validMappings.map(result => result.cityId),
+        cityMatches: validMappings
       };
     });
   }
   
   /**
-   * Generate city-specific event data
+   * Generate city-specific event data, plus the online channel
    */
   public generateCityMappings(events: ProcessedEvent[]): CityMapping[] {
     const cityMappings: Record<string, CityMapping> = {};
@@ -356,10 +311,19 @@ export class CityMappingEngine {
         lastUpdated: new Date().toISOString()
       };
     });
+    cityMappings[ONLINE_CHANNEL.id] = {
+      cityId: ONLINE_CHANNEL.id,
+      cityName: ONLINE_CHANNEL.name.zh,
+      virtual: true,
+      events: [],
+      eventCount: 0,
+      lastUpdated: new Date().toISOString()
+    };
     
-    // Add events to their mapped cities
+    // Add events to their mapped cities and online events to the online channel
     events.forEach(event => {
-      event.cityMappings.forEach(cityId => {
+      const channels = isOnlineEvent(event) ? [...event.cityMappings, ONLINE_CHANNEL.id] : event.cityMappings;
+      channels.forEach(cityId => {
         if (cityMappings[cityId]) {
           cityMappings[cityId].events.push(event);
           cityMappings[cityId].eventCount++;
@@ -386,7 +350,9 @@ export class CityMappingEngine {
   public generateMappingStats(events: ProcessedEvent[]): MappingStats {
     const totalEvents = events.length;
     const mappedEvents = events.filter(e => e.cityMappings.length > 0).length;
-    const unmappedEvents = totalEvents - mappedEvents;
+    // Online events without an organizer city are not mapping failures
+    const onlineEvents = events.filter(e => e.cityMappings.length === 0 && getAttendanceMode(e) === 'online').length;
+    const unmappedEvents = totalEvents - mappedEvents - onlineEvents;
     
     let highConfidence = 0;
     let mediumConfidence = 0;
@@ -396,14 +362,15 @@ export class CityMappingEngine {
     const unmappedLocations: string[] = [];
     
     events.forEach(event => {
-      if (event.cityMappings.length === 0) {
+      if (event.cityMappings.length === 0 && getAttendanceMode(event) === 'online') {
+        mappingsByType.online = (mappingsByType.online || 0) + 1;
+      } else if (event.cityMappings.length === 0) {
         if (event.location && !unmappedLocations.includes(event.location)) {
           unmappedLocations.push(event.location);
         }
       } else {
-        // For mapped events, we need to check the mapping results
-        const mappingResults = this.mapEventToCities(event);
-        const bestMatch = mappingResults[0];
+        // Events mapped before matches were recorded are matched again
+        const bestMatch = (event.cityMatches || this.mapEventToCities(event))[0];
         
         if (bestMatch) {
           if (bestMatch.confidence >= 0.8) highConfidence++;
@@ -419,6 +386,9 @@ export class CityMappingEngine {
       totalEvents,
       mappedEvents,
       unmappedEvents,
+      mappingSuccessRate: mappedEvents + unmappedEvents > 0
+        ? Math.round((mappedEvents / (mappedEvents + unmappedEvents)) * 100) / 100
+        : 0,
       mappingsByConfidence: {
         high: highConfidence,
         medium: mediumConfidence,
@@ -433,8 +403,8 @@ export class CityMappingEngine {
 /**
  * Utility function to create city mapping engine
  */
-export function createCityMappingEngine(cities: City[]): CityMappingEngine {
-  return new CityMappingEngine(cities);
+export function createCityMappingEngine(cities: City[], options: CityMappingOptions = {}): CityMappingEngine {
+  return new CityMappingEngine(cities, options);
 }
 
 /**
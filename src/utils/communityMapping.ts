@@ -0,0 +1,82 @@
+/**
+ * Community Mapping
+ * Assigns events to the specialized communities in src/data/specialized-communities.json
+ * by title keyword or attendance mode. Processing records the result, including the
+ * organizer source's own community, in communityMappings and communityMatches; events
+ * processed before keywords were matched are matched again here.
+ * Mirrors scripts/utils/communityMapping.js.
+ */
+
+import type { CommunityMatch, ProcessedEvent, SpecializedCommunity } from '../types/data.js';
+import { createSynonymMatcher } from './tagTaxonomy.js';
+import { getAttendanceMode } from './attendanceMode.js';
+import communitiesData from '../data/specialized-communities.json';
+
+type CommunityFields = Pick<ProcessedEvent, 'title' | 'location' | 'attendanceMode' | 'communityMappings' | 'communityMatches'>;
+
+export class CommunityMappingEngine {
+  private matchers: Array<{
+    communityId: string;
+    keywords: Array<{ keyword: string; matches: (text: string) => boolean }>;
+    attendanceModes: string[];
+  }>;
+
+  constructor(communities: SpecializedCommunity[]) {
+    // Keywords match like tag synonyms: Latin words on word boundaries, Chinese as substrings
+    this.matchers = communities
+      .filter(community => community.active)
+      .map(community => ({
+        communityId: community.id,
+        keywords: (community.keywords || []).map(keyword => ({ keyword, matches: createSynonymMatcher(keyword) })),
+        attendanceModes: community.attendanceModes || []
+      }));
+  }
+
+  /**
+   * Keyword and attendance mode matches of a single event, in the order of the communities file
+   */
+  public mapEventToCommunities(event: CommunityFields): CommunityMatch[] {
+    const title = (event.title || '').toLowerCase();
+    const attendanceMode = getAttendanceMode(event);
+    const matches: CommunityMatch[] = [];
+
+    this.matchers.forEach(({ communityId, keywords, attendanceModes }) => {
+      const keyword = keywords.find(({ matches }) => matches(title));
+      if (keyword) {
+        matches.push({ communityId, matchType: 'keyword', matchedText: keyword.keyword });
+      } else if (attendanceModes.includes(attendanceMode)) {
+        matches.push({ communityId, matchType: 'attendanceMode', matchedText: attendanceMode });
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Specialized communities of an event: as recorded by processing, or the communities
+   * it already had plus keyword and attendance mode matches for older processed data
+   */
+  public getEventCommunities(event: CommunityFields): string[] {
+    if (event.communityMatches) {
+      return event.communityMappings || [];
+    }
+    const matched = this.mapEventToCommunities(event).map(match => match.communityId);
+    return [...new Set([...(event.communityMappings || []), ...matched])];
+  }
+}
+
+export const communityMappingEngine = new CommunityMappingEngine(communitiesData as SpecializedCommunity[]);
+
+/**
+ * Specialized communities of an event
+ */
+export function getEventCommunities(event: CommunityFields): string[] {
+  return communityMappingEngine.getEventCommunities(event);
+}
+
+/**
+ * Events that belong to a specialized community
+ */
+export function getCommunityEvents<T extends CommunityFields>(events: T[], communityId: string): T[] {
+  return events.filter(event => getEventCommunities(event).includes(communityId));
+}
@@ -0,0 +1,55 @@
+/**
+ * Community Statistics
+ * Event figures for a city or specialized community. Processing computes them from the
+ * processed events (cityStats and communityStats in event-stats.json); stats written
+ * before those fields existed are computed here from processed-events.json. The
+ * hand-maintained stats in cities.json and specialized-communities.json are overrides:
+ * events replaces the computed total, founded the year of the first event, and members
+ * has no other source.
+ */
+
+import type { City, CommunityEventStats, EventStats, ProcessedEvent, SpecializedCommunity } from '../types/data.js';
+import { calculateCommunityStats } from './eventProcessing.js';
+import { getEventCommunities } from './communityMapping.js';
+import { getBeijingParts } from './eventTime.js';
+import eventStatsData from '../data/events/event-stats.json';
+import processedEventsData from '../data/events/processed-events.json';
+
+export interface CommunityPageStats extends CommunityEventStats {
+  eventsThisYear: number;
+  members?: number;
+  founded?: number;
+}
+
+const eventStats = eventStatsData as unknown as EventStats;
+const processedEvents = processedEventsData as unknown as ProcessedEvent[];
+
+function withOverrides(stats: CommunityEventStats, overrides: City['stats'] = {}): CommunityPageStats {
+  const currentYear = String(getBeijingParts(Date.now()).year);
+  const firstEventYear = stats.firstEventDate ? Number(stats.firstEventDate.slice(0, 4)) : undefined;
+  return {
+    ...stats,
+    totalEvents: overrides.events ?? stats.totalEvents,
+    eventsThisYear: stats.eventsByYear[currentYear] || 0,
+    members: overrides.members,
+    founded: overrides.founded ?? firstEventYear
+  };
+}
+
+/**
+ * Event figures of a city
+ */
+export function getCityStats(city: Pick<City, 'id' | 'stats'>): CommunityPageStats {
+  const stats = eventStats.cityStats?.[city.id]
+    || calculateCommunityStats(processedEvents.filter(event => event.cityMappings.includes(city.id)));
+  return withOverrides(stats, city.stats);
+}
+
+/**
+ * Event figures of a specialized community
+ */
+export function getSpecializedCommunityStats(community: Pick<SpecializedCommunity, 'id' | 'stats'>): CommunityPageStats {
+  const stats = eventStats.communityStats?.[community.id]
+    || calculateCommunityStats(processedEvents.filter(event => getEventCommunities(event).includes(community.id)));
+  return withOverrides(stats, community.stats);
+}
@@ -1,4 +1,4 @@
-import type { City, SpecializedCommunity, Translations, SiteConfig, Language } from '@/types';
+import type { City, SpecializedCommunity, SiteConfig, Language } from '@/types';
 import citiesData from '@/data/cities.json';
 import specializedData from '@/data/specialized-communities.json';
 import zhTranslations from '@/data/translations/zh.json';
@@ -96,34 +96,26 @@ export function hasTranslation(key: string, lang: Language): boolean {
   return typeof value === 'string';
 }
 
-// 加载网站配置
+// 加载网站配置（结构见 src/schemas/config.schema.json）
 export function getSiteConfig(): SiteConfig {
   try {
     const configPath = path.join(process.cwd(), 'src/data/config.yaml');
     const configFile = fs.readFileSync(configPath, 'utf8');
-    const config = load(configFile) as any;
-    
-    return {
-      title: config.site.title,
-      description: config.site.description,
-      socialLinks: config.socialLinks || [],
-      globalStats: config.globalStats || {
-        organizations: 470,
-        countries: 98,
-        members: 500000
-      }
-    };
+    return load(configFile) as SiteConfig;
   } catch (error) {
     console.error('Error loading site config:', error);
     // 返回默认配置
     return {
-      title: {
-        zh: '亚马逊云科技 User Group 社区',
-        en: 'User Group Community'
-      },
-      description: {
-        zh: '连接全球云计算开发者，分享技术经验，推动创新发展',
-        en: 'Connecting global cloud computing developers, sharing technical experiences, and driving innovation'
+      site: {
+        title: {
+          zh: '亚马逊云科技 User Group 社区',
+          en: 'User Group Community'
+        },
+        description: {
+          zh: '连接全球云计算开发者，分享技术经验，推动创新发展',
+          en: 'Connecting global cloud computing developers, sharing technical experiences, and driving innovation'
+        },
+        url: 'https://awscommunity.cn'
       },
       socialLinks: [],
       globalStats: {
@@ -4,6 +4,7 @@
  */
 
 import type { ProcessedEvent } from './eventProcessing.js';
+import { resolveTagId, normalizeEventTags, getTagLabel } from './tagTaxonomy.js';
 
 export interface EventFilterOptions {
   locale?: 'zh' | 'en';
@@ -46,11 +47,12 @@ export function filterEventsByLanguage(
     });
   }
 
-  // Filter by tags
+  // Filter by tags (accepts canonical IDs or synonyms, also on events tagged before the taxonomy)
   if (tags.length > 0) {
-    filteredEvents = filteredEvents.filter(event =>
-      tags.some(tag => event.tags.includes(tag))
-    );
+    filteredEvents = filteredEvents.filter(event => {
+      const eventTags = normalizeEventTags(event.tags);
+      return tags.some(tag => eventTags.includes(resolveTagId(tag) || tag));
+    });
   }
 
   // Filter by locations
@@ -74,14 +76,15 @@ export function filterEventsByLanguage(
     const query = searchQuery.toLowerCase();
     filteredEvents = filteredEvents.filter(event => {
       // Search in title and location
-      const titleMatch = event.title.toLowerCase().includes(query);
+      const titleMatch = event.title.toLowerCase().includes(query) ||
+        (locale === 'en' && Boolean(event.titleEn?.toLowerCase().includes(query)));
       const locationMatch = event.location.toLowerCase().includes(query);
       
       // Language-specific search enhancements
       if (locale === 'zh') {
         // For Chinese, also search in tags and do partial matching
-        const tagMatch = event.tags.some(tag => 
-          tag.toLowerCase().includes(query)
+        const tagMatch = event.tags.some(tag =>
+          getTagLabel(tag, 'zh').toLowerCase().includes(query) || tag.includes(query)
         );
         return titleMatch || locationMatch || tagMatch;
       } else {
@@ -3,209 +3,175 @@
  * Handles event data processing, validation, and statistics generation
  */
 
-export interface RawEvent {
-  id: string;
-  title: string;
-  time: string;
-  location: string;
-  url: string;
-  imageUrl: string;
-  status: 'upcoming' | 'ended';
-  views: number;
-  favorites: number;
-  scrapedAt: string;
-  sort?: number;
-  localImage?: string;
-}
+import { pinyin } from 'pinyin-pro';
+import { matchTags, resolveTagId, normalizeEventTags, getTagLabel } from './tagTaxonomy.js';
+import { formatEventDateTime, getEventDates, getEventTimeStatus, parseEventTimestamp } from './eventTime.js';
+import { getAttendanceMode } from './attendanceMode.js';
+import type { CommunityEventStats, EventStats, MappingStats, ProcessedEvent, RawEvent } from '../types/data.js';
+
+// Event data types are generated from src/schemas (see scripts/generate-types.js)
+export type {
+  CommunityEventStats,
+  EventAgendaItem,
+  EventLifecycle,
+  EventSpeaker,
+  EventStats,
+  EventYearInference,
+  ProcessedEvent,
+  RawEvent,
+  TrendingEvent
+} from '../types/data.js';
+
+// Statistics from calculateEventStats; city mapping later fills in the full MappingStats
+export type CalculatedEventStats = Omit<EventStats, 'mappingStats'> & {
+  mappingStats: Pick<MappingStats, 'mappedEvents' | 'unmappedEvents' | 'mappingSuccessRate'>;
+};
 
-export interface ProcessedEvent extends RawEvent {
-  cityMappings: string[];
-  slug: string;
-  tags: string[];
-  isUpcoming: boolean;
-  formattedDate: string;
+/**
+ * Event title for a locale. English falls back to the Chinese title for data
+ * processed before English titles were generated.
+ */
+export function getEventTitle(event: Pick<ProcessedEvent, 'title' | 'titleEn'>, locale: 'zh' | 'en' = 'zh'): string {
+  return locale === 'en' ? event.titleEn || event.title : event.title;
 }
 
-export interface EventStats {
-  totalEvents: number;
-  upcomingEvents: number;
-  pastEvents: number;
-  cityDistribution: Record<string, number>;
-  engagementMetrics: {
-    totalViews: number;
-    totalFavorites: number;
-    averageViews: number;
-    averageFavorites: number;
-    topViewedEvents: Array<{
-      id: string;
-      title: string;
-      views: number;
-    }>;
-    topFavoritedEvents: Array<{
-      id: string;
-      title: string;
-      favorites: number;
-    }>;
-  };
-  mappingStats: {
-    mappedEvents: number;
-    unmappedEvents: number;
-    mappingSuccessRate: number;
-  };
-  timeDistribution: Record<string, number>;
-  lastUpdated: string;
+/**
+ * Maximum length of the title part of a slug (the event ID is appended after it)
+ */
+export const SLUG_TITLE_MAX_LENGTH = 60;
+
+/**
+ * Transliterate a title to hyphenated toneless pinyin: 智体争锋 → zhi-ti-zheng-feng
+ */
+export function slugifyTitle(title: string): string {
+  return pinyin(title || '', { toneType: 'none', type: 'array', nonZh: 'consecutive', v: true })
+    .join(' ')
+    .normalize('NFKD') // Split accented letters so the accent is dropped below
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
 }
 
 /**
- * Generate SEO-friendly slug from event title
+ * Generate an ASCII slug from the event title: Chinese is transliterated to toneless
+ * pinyin (智体争锋 → zhi-ti-zheng-feng), the title part is capped at a word boundary
+ * and the event ID is appended for uniqueness. Old slugs keep working through
+ * src/data/events/slug-registry.json.
  */
 export function generateEventSlug(title: string, id: string): string {
-  const slug = title
-    .toLowerCase()
-    .replace(/[^\u4e00-\u9fa5a-z0-9\s-]/g, '') // Keep Chinese, English, numbers, spaces, hyphens
-    .replace(/\s+/g, '-') // Replace spaces with hyphens
-    .replace(/-+/g, '-') // Replace multiple hyphens with single
-    .replace(/^-|-$/g, ''); // Remove leading/trailing hyphens
+  let slug = slugifyTitle(title);
+  if (slug.length > SLUG_TITLE_MAX_LENGTH) {
+    const cut = slug.slice(0, SLUG_TITLE_MAX_LENGTH + 1);
+    slug = cut.includes('-') ? cut.slice(0, cut.lastIndexOf('-')) : cut.slice(0, SLUG_TITLE_MAX_LENGTH);
+  }
 
-  // Ensure slug is not empty and add ID for uniqueness
   return slug ? `${slug}-${id}` : `event-${id}`;
 }
 
 /**
- * Extract tags from event title and location
+ * Extract canonical tag IDs (see src/data/tag-taxonomy.json) from event title and location
  */
 export function extractEventTags(event: RawEvent): string[] {
-  const tags: string[] = [];
-  const text = `${event.title} ${event.location}`.toLowerCase();
-
-  // Technology tags
-  const techKeywords = [
-    'ai', 'artificial intelligence', '人工智能',
-    'aws', 'amazon', 'cloud', '云计算',
-    'bedrock', 'genai', '生成式ai',
-    'machine learning', 'ml', '机器学习',
-    'deep learning', 'deepseek', '深度学习',
-    'reinvent', 're:invent',
-    'serverless', '无服务器',
-    'kubernetes', 'k8s',
-    'docker', '容器',
-    'microservices', '微服务',
-    'devops', '开发运维'
-  ];
-
-  techKeywords.forEach(keyword => {
-    if (text.includes(keyword)) {
-      tags.push(keyword);
-    }
-  });
-
-  // Event type tags
-  if (text.includes('meetup') || text.includes('聚会')) tags.push('meetup');
-  if (text.includes('workshop') || text.includes('工作坊')) tags.push('workshop');
-  if (text.includes('conference') || text.includes('大会')) tags.push('conference');
-  if (text.includes('community') || text.includes('社区')) tags.push('community');
-  if (text.includes('hackathon') || text.includes('黑客马拉松')) tags.push('hackathon');
-
-  return [...new Set(tags)]; // Remove duplicates
+  return matchTags(`${event.title} ${event.location}`);
 }
 
 /**
- * Parse event time string and return Date object
+ * Parse event time string (Beijing time) and return Date object
  */
 export function parseEventTime(timeStr: string): Date | null {
-  if (!timeStr) return null;
-
-  try {
-    // Parse time format like "09/21 14:00" or "12/25 19:30"
-    const match = timeStr.match(/(\d{2})\/(\d{2})\s+(\d{2}):(\d{2})/);
-    if (!match) return null;
-
-    const [, month, day, hour, minute] = match;
-    const currentYear = new Date().getFullYear();
-    const currentDate = new Date();
-    const currentMonth = currentDate.getMonth() + 1; // getMonth() returns 0-11
-    const eventMonth = parseInt(month);
-
-    // Create date object for current year first
-    let eventDate = new Date(currentYear, eventMonth - 1, parseInt(day), parseInt(hour), parseInt(minute));
-
-    // Improved year assignment logic:
-    // For events in the same year, keep current year
-    // For events that seem to be in the future (next year), assign next year
-    // For events that are clearly in the past (previous months), keep current year
-
-    // If event month is significantly in the future compared to current month,
-    // and we're in the later part of the year, it might be next year
-    if (currentMonth >= 10 && eventMonth <= 3) {
-      // We're in Oct-Dec, event is in Jan-Mar, likely next year
-      eventDate.setFullYear(currentYear + 1);
-    } else if (currentMonth <= 3 && eventMonth >= 10) {
-      // We're in Jan-Mar, event is in Oct-Dec, likely previous year
-      eventDate.setFullYear(currentYear - 1);
-    }
-    // Otherwise, assume same year
-
-    return eventDate;
-  } catch {
-    return null;
-  }
+  const timestamp = parseEventTimestamp(timeStr);
+  return timestamp === null ? null : new Date(timestamp);
 }
 
 /**
- * Check if event is upcoming based on status field
+ * Check if an event is upcoming: it has not ended yet, judged by its start/end time
+ * (see getEventTimeStatus). Falls back to the scraped status when the time cannot be parsed.
  */
-export function isEventUpcoming(event: RawEvent): boolean {
-  return event.status === 'upcoming';
+export function isEventUpcoming(event: RawEvent, now: number = Date.now()): boolean {
+  const timeStatus = getEventTimeStatus(event, now);
+  return timeStatus ? timeStatus !== 'ended' : event.status === 'upcoming';
 }
 
 /**
- * Format event date for display
+ * Format event date for display in Beijing time (see ./eventTime.ts)
  */
 export function formatEventDate(timeStr: string, locale: 'zh' | 'en' = 'zh'): string {
-  if (!timeStr) return '';
+  return formatEventDateTime(timeStr, locale);
+}
 
-  try {
-    const match = timeStr.match(/(\d{2})\/(\d{2})\s+(\d{2}):(\d{2})/);
-    if (!match) return timeStr;
+/**
+ * Process raw events into enhanced event objects
+ */
+export function processEvents(rawEvents: RawEvent[]): ProcessedEvent[] {
+  return rawEvents.map(event => {
+    const dates = getEventDates(event);
+    return {
+      ...event,
+      ...dates,
+      attendanceMode: getAttendanceMode(event),
+      cityMappings: [], // Will be populated by city mapping system
+      slug: generateEventSlug(event.title, event.id),
+      tags: extractEventTags(event),
+      isUpcoming: isEventUpcoming(event),
+      formattedDate: formatEventDate(dates.startDate || event.time)
+    };
+  });
+}
 
-    const [, month, day, hour, minute] = match;
-    const currentYear = new Date().getFullYear();
+/**
+ * Figures for the events of one city or specialized community: totals per year, the
+ * first and last event date, average views and the most viewed event
+ */
+export function calculateCommunityStats(events: ProcessedEvent[]): CommunityEventStats {
+  const dates = events
+    .map(event => (event.startDate || getEventDates(event).startDate || '').slice(0, 10))
+    .filter(Boolean)
+    .sort();
+
+  const eventsByYear: Record<string, number> = {};
+  dates.forEach(date => {
+    const year = date.slice(0, 4);
+    eventsByYear[year] = (eventsByYear[year] || 0) + 1;
+  });
 
-    const eventDate = new Date(currentYear, parseInt(month) - 1, parseInt(day), parseInt(hour), parseInt(minute));
+  const totalViews = events.reduce((sum, e) => sum + (e.views || 0), 0);
+  const topEvent = events
+    .filter(e => e.views > 0)
+    .sort((a, b) => b.views - a.views)[0];
 
-    if (locale === 'en') {
-      return eventDate.toLocaleDateString('en-US', {
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
-    } else {
-      return `${month}月${day}日 ${hour}:${minute}`;
-    }
-  } catch {
-    return timeStr;
-  }
+  return {
+    totalEvents: events.length,
+    eventsByYear,
+    ...(dates.length > 0 && { firstEventDate: dates[0], lastEventDate: dates[dates.length - 1] }),
+    averageViews: events.length > 0 ? Math.round(totalViews / events.length) : 0,
+    ...(topEvent && {
+      topEvent: { id: topEvent.id, title: topEvent.title, titleEn: topEvent.titleEn, slug: topEvent.slug, views: topEvent.views }
+    })
+  };
 }
 
 /**
- * Process raw events into enhanced event objects
+ * calculateCommunityStats for every ID an event lists, e.g. its cityMappings
  */
-export function processEvents(rawEvents: RawEvent[]): ProcessedEvent[] {
-  return rawEvents.map(event => ({
-    ...event,
-    cityMappings: [], // Will be populated by city mapping system
-    slug: generateEventSlug(event.title, event.id),
-    tags: extractEventTags(event),
-    isUpcoming: isEventUpcoming(event),
-    formattedDate: formatEventDate(event.time)
-  }));
+function calculateStatsByCommunity(
+  events: ProcessedEvent[],
+  getIds: (event: ProcessedEvent) => string[]
+): Record<string, CommunityEventStats> {
+  const groups: Record<string, ProcessedEvent[]> = {};
+  events.forEach(event => {
+    getIds(event).forEach(id => {
+      (groups[id] = groups[id] || []).push(event);
+    });
+  });
+  return Object.fromEntries(
+    Object.keys(groups).sort().map(id => [id, calculateCommunityStats(groups[id])])
+  );
 }
 
 /**
  * Calculate comprehensive event statistics
  */
-export function calculateEventStats(events: ProcessedEvent[]): EventStats {
+export function calculateEventStats(events: ProcessedEvent[]): CalculatedEventStats {
   const totalEvents = events.length;
   const upcomingEvents = events.filter(e => e.isUpcoming).length;
   const pastEvents = totalEvents - upcomingEvents;
@@ -218,6 +184,22 @@ export function calculateEventStats(events: ProcessedEvent[]): EventStats {
     });
   });
 
+  // Specialized community distribution
+  const communityDistribution: Record<string, number> = {};
+  events.forEach(event => {
+    (event.communityMappings || []).forEach(communityId => {
+      communityDistribution[communityId] = (communityDistribution[communityId] || 0) + 1;
+    });
+  });
+
+  // Tag distribution by canonical tag ID (ancestors included, so "ai" counts every AI event)
+  const tagDistribution: Record<string, number> = {};
+  events.forEach(event => {
+    (event.tags || []).forEach(tag => {
+      tagDistribution[tag] = (tagDistribution[tag] || 0) + 1;
+    });
+  });
+
   // Engagement metrics
   const totalViews = events.reduce((sum, e) => sum + (e.views || 0), 0);
   const totalFavorites = events.reduce((sum, e) => sum + (e.favorites || 0), 0);
@@ -256,6 +238,8 @@ export function calculateEventStats(events: ProcessedEvent[]): EventStats {
     upcomingEvents,
     pastEvents,
     cityDistribution,
+    communityDistribution,
+    tagDistribution,
     engagementMetrics: {
       totalViews,
       totalFavorites,
@@ -270,6 +254,9 @@ export function calculateEventStats(events: ProcessedEvent[]): EventStats {
       mappingSuccessRate
     },
     timeDistribution,
+    // Per-city and per-community figures shown on community pages (src/utils/communityStats.ts)
+    cityStats: calculateStatsByCommunity(events, event => event.cityMappings),
+    communityStats: calculateStatsByCommunity(events, event => event.communityMappings || []),
     lastUpdated: new Date().toISOString()
   };
 }
@@ -297,7 +284,7 @@ export function validateEventData(events: RawEvent[]): {
     // Required fields validation
     if (!event.id) issues.push('Missing event ID');
     if (!event.title || event.title.trim().length === 0) issues.push('Missing or empty title');
-    if (!event.url) issues.push('Missing event URL');
+    if (!event.url && event.origin !== 'ics') issues.push('Missing event URL');
 
     // Data quality validation
     if (event.title && event.title.length > 200) issues.push('Title too long (>200 chars)');
@@ -434,9 +421,10 @@ export function filterEvents(events: ProcessedEvent[], filters: {
       return false;
     }
 
-    // Tags filter
+    // Tags filter (accepts canonical IDs or synonyms such as "人工智能")
     if (filters.tags && filters.tags.length > 0) {
-      const hasMatchingTag = filters.tags.some(tag => event.tags.includes(tag));
+      const eventTags = normalizeEventTags(event.tags);
+      const hasMatchingTag = filters.tags.some(tag => eventTags.includes(resolveTagId(tag) || tag));
       if (!hasMatchingTag) return false;
     }
 
@@ -448,7 +436,7 @@ export function filterEvents(events: ProcessedEvent[], filters: {
         const searchFields = [
           event.title,
           event.location,
-          event.tags.join(' '),
+          event.tags.map(tag => `${tag} ${getTagLabel(tag, 'zh')} ${getTagLabel(tag, 'en')}`).join(' '),
           event.cityMappings.join(' '),
           event.time,
           event.formattedDate || ''
@@ -3,7 +3,11 @@
  * Generate structured data, meta tags, and SEO-friendly content for events
  */
 
+import { getEventTitle } from './eventProcessing.js';
 import type { ProcessedEvent } from './eventProcessing.js';
+import { getTagLabel } from './tagTaxonomy.js';
+import { getEventDates, formatISODuration } from './eventTime.js';
+import { getAttendanceMode } from './attendanceMode.js';
 
 export interface EventSEOData {
   title: string;
@@ -23,22 +27,27 @@ export function generateEventSEOTitle(
 ): string {
   const templates = {
     zh: `${event.title} - ${event.location} - ${event.formattedDate} | 中国用户组`,
-    en: `${event.title} - ${event.location} - ${event.formattedDate} | CNUserGroup`
+    en: `${getEventTitle(event, 'en')} - ${event.location} - ${event.formattedDate} | CNUserGroup`
   };
   
   return templates[locale];
 }
 
 /**
- * Generate SEO-optimized description for event
+ * Generate SEO-optimized description for event.
+ * English pages use the processed English summary when there is one.
  */
 export function generateEventSEODescription(
   event: ProcessedEvent,
   locale: 'zh' | 'en' = 'zh'
 ): string {
+  if (locale === 'en' && event.summaryEn) {
+    return event.summaryEn;
+  }
+
   const templates = {
     zh: `参加${event.title}活动，时间：${event.formattedDate}，地点：${event.location}。与技术专家和同行交流，提升技能，拓展人脉。立即查看活动详情并报名参加。`,
-    en: `Join ${event.title} event on ${event.formattedDate} at ${event.location}. Connect with tech experts and peers, enhance skills, and expand your network. View event details and register now.`
+    en: `Join ${getEventTitle(event, 'en')} event on ${event.formattedDate} at ${event.location}. Connect with tech experts and peers, enhance skills, and expand your network. View event details and register now.`
   };
   
   return templates[locale];
@@ -60,7 +69,7 @@ export function generateEventKeywords(
   
   // Add event-specific keywords
   if (event.tags && event.tags.length > 0) {
-    keywords.push(...event.tags);
+    keywords.push(...event.tags.map(tag => getTagLabel(tag, locale)));
   }
   
   // Add location-based keywords
@@ -74,7 +83,7 @@ export function generateEventKeywords(
   }
   
   // Add title-based keywords (extract meaningful words)
-  const titleWords = event.title
+  const titleWords = getEventTitle(event, locale)
     .split(/[\s\-_,，、]+/)
     .filter(word => word.length > 2)
     .slice(0, 5);
@@ -83,35 +92,69 @@ export function generateEventKeywords(
   return [...new Set(keywords)]; // Remove duplicates
 }
 
+const ATTENDANCE_MODE_URLS = {
+  offline: "https://schema.org/OfflineEventAttendanceMode",
+  online: "https://schema.org/OnlineEventAttendanceMode",
+  hybrid: "https://schema.org/MixedEventAttendanceMode"
+} as const;
+
+/**
+ * JSON-LD attendance mode and location for an event: a Place for events at a venue,
+ * a VirtualLocation for online events and both for hybrid ones
+ */
+export function generateEventLocationData(
+  event: ProcessedEvent,
+  virtualUrl: string = event.url
+): { eventAttendanceMode: string; location: object | object[] } {
+  const mode = getAttendanceMode(event);
+  const place = {
+    "@type": "Place",
+    "name": event.location,
+    "address": {
+      "@type": "PostalAddress",
+      "addressLocality": event.location,
+      "addressCountry": "CN"
+    }
+  };
+  const virtualLocation = {
+    "@type": "VirtualLocation",
+    "url": virtualUrl
+  };
+
+  return {
+    eventAttendanceMode: ATTENDANCE_MODE_URLS[mode],
+    location: mode === 'online' ? virtualLocation : mode === 'hybrid' ? [place, virtualLocation] : place
+  };
+}
+
 /**
  * Generate structured data (JSON-LD) for event
  */
 export function generateEventStructuredData(
   event: ProcessedEvent,
-  siteUrl: string = 'https://cnusergroup.com'
+  siteUrl: string = 'https://cnusergroup.com',
+  locale: 'zh' | 'en' = 'zh'
 ): object {
   const eventUrl = `${siteUrl}/events/${event.slug}`;
+  const { startDate, endDate, durationMinutes } = getEventDates(event);
+  const name = getEventTitle(event, locale);
   
   return {
     "@context": "https://schema.org",
     "@type": "Event",
-    "name": event.title,
-    "description": event.title,
-    "startDate": event.time,
-    "endDate": event.time, // Could be enhanced with actual end time
-    "eventStatus": event.isUpcoming 
-      ? "https://schema.org/EventScheduled" 
-      : "https://schema.org/EventPostponed",
-    "eventAttendanceMode": "https://schema.org/OfflineEventAttendanceMode",
-    "location": {
-      "@type": "Place",
-      "name": event.location,
-      "address": {
-        "@type": "PostalAddress",
-        "addressLocality": event.location,
-        "addressCountry": "CN"
-      }
-    },
+    "name": name,
+    "description": (locale === 'en' && event.summaryEn) || name,
+    "startDate": startDate || event.time,
+    "endDate": endDate || startDate || event.time,
+    ...(durationMinutes !== undefined && { "duration": formatISODuration(durationMinutes) }),
+    "eventStatus": event.lifecycle?.state === 'cancelled'
+      ? "https://schema.org/EventCancelled"
+      : event.lifecycle?.previousTime
+        ? "https://schema.org/EventRescheduled"
+        : event.isUpcoming 
+          ? "https://schema.org/EventScheduled" 
+          : "https://schema.org/EventPostponed",
+    ...generateEventLocationData(event, event.url || eventUrl),
     "image": event.imageUrl ? [event.imageUrl] : [],
     "url": eventUrl,
     "organizer": {
@@ -125,7 +168,7 @@ export function generateEventStructuredData(
       "price": "0",
       "priceCurrency": "CNY",
       "availability": "https://schema.org/InStock",
-      "url": event.url,
+      "url": event.url || eventUrl,
       "validFrom": new Date().toISOString()
     },
     "performer": {
@@ -136,8 +179,8 @@ export function generateEventStructuredData(
       "@type": "Audience",
       "audienceType": "Developers, Tech Professionals"
     },
-    "keywords": event.tags?.join(', ') || '',
-    "inLanguage": "zh-CN",
+    "keywords": event.tags?.map(tag => getTagLabel(tag, locale)).join(', ') || '',
+    "inLanguage": locale === 'zh' ? "zh-CN" : "en",
     "isAccessibleForFree": true,
     "aggregateRating": event.views > 100 ? {
       "@type": "AggregateRating",
@@ -169,7 +212,7 @@ export function generateEventOGTags(
     'og:image': event.imageUrl || `${siteUrl}/images/og-event-default.jpg`,
     'og:image:width': '1200',
     'og:image:height': '630',
-    'og:image:alt': event.title,
+    'og:image:alt': getEventTitle(event, locale),
     'og:site_name': locale === 'zh' ? '中国用户组' : 'CNUserGroup',
     'og:locale': locale === 'zh' ? 'zh_CN' : 'en_US',
     'event:start_time': event.time,
@@ -193,7 +236,7 @@ export function generateEventTwitterTags(
     'twitter:title': title,
     'twitter:description': description,
     'twitter:image': event.imageUrl || `${siteUrl}/images/twitter-event-default.jpg`,
-    'twitter:image:alt': event.title,
+    'twitter:image:alt': getEventTitle(event, locale),
     'twitter:site': '@CNUserGroup',
     'twitter:creator': '@CNUserGroup'
   };
@@ -214,7 +257,7 @@ export function generateEventSEOData(
     description: generateEventSEODescription(event, locale),
     canonicalUrl: eventUrl,
     ogImage: event.imageUrl || `${siteUrl}/images/og-event-default.jpg`,
-    structuredData: generateEventStructuredData(event, siteUrl),
+    structuredData: generateEventStructuredData(event, siteUrl, locale),
     keywords: generateEventKeywords(event, locale)
   };
 }
@@ -249,7 +292,7 @@ export function generateEventBreadcrumbData(
       {
         "@type": "ListItem",
         "position": 3,
-        "name": event.title,
+        "name": getEventTitle(event, locale),
         "item": `${siteUrl}/events/${event.slug}`
       }
     ]
@@ -0,0 +1,68 @@
+/**
+ * Event Series
+ * Series are detected during processing (see scripts/utils/eventSeries.js) and written to
+ * src/data/events/series.json with their event IDs in chronological order. These helpers
+ * resolve a series to its editions and find an event's previous and next edition.
+ */
+
+import type { ProcessedEvent } from './eventProcessing.js';
+import type { EventSeries } from '../types/data.js';
+import type { EventLocale } from './eventTime.js';
+import seriesData from '../data/events/series.json';
+import citiesData from '../data/cities.json';
+
+// Generated from src/schemas (see scripts/generate-types.js)
+export type { EventSeries };
+
+export interface SeriesNavigation {
+  series: EventSeries;
+  edition: number; // 1-based position of the event in the series
+  previous?: ProcessedEvent;
+  next?: ProcessedEvent;
+}
+
+export const eventSeries = seriesData as EventSeries[];
+
+const seriesById = new Map(eventSeries.map(series => [series.id, series]));
+const cityNames = new Map(citiesData.map(city => [city.id, city.name]));
+
+export function getSeriesById(id: string | undefined): EventSeries | undefined {
+  return id ? seriesById.get(id) : undefined;
+}
+
+/**
+ * Events of a series in chronological order, skipping IDs no longer in the processed data
+ */
+export function getSeriesEditions(series: EventSeries, events: ProcessedEvent[]): ProcessedEvent[] {
+  const eventsById = new Map(events.map(event => [event.id, event]));
+  return series.eventIds
+    .map(id => eventsById.get(id))
+    .filter((event): event is ProcessedEvent => Boolean(event));
+}
+
+/**
+ * The series an event belongs to and its neighbouring editions
+ */
+export function getSeriesNavigation(event: ProcessedEvent, events: ProcessedEvent[]): SeriesNavigation | null {
+  const series = getSeriesById(event.seriesId);
+  if (!series) return null;
+
+  const editions = getSeriesEditions(series, events);
+  const index = editions.findIndex(edition => edition.id === event.id);
+  if (index === -1) return null;
+
+  return {
+    series,
+    edition: index + 1,
+    previous: editions[index - 1],
+    next: editions[index + 1]
+  };
+}
+
+/**
+ * Localized name of the first city an event is mapped to
+ */
+export function getEditionCity(event: ProcessedEvent, locale: EventLocale = 'zh'): string | undefined {
+  const name = cityNames.get(event.cityMappings[0]);
+  return name ? name[locale] : undefined;
+}
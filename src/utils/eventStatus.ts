@@ -0,0 +1,62 @@
+/**
+ * Event Status Badges
+ * EventCard renders its status badge from the event time at build time. Pages can stay
+ * cached or deployed for days, so refreshEventStatusBadges recomputes the badges in the
+ * browser from the same data attributes and the same rules (see ./eventTime.ts).
+ */
+
+import { getEventTimeStatus, isRegistrationClosing } from './eventTime.js';
+import type { EventTimeFields, EventTimeStatus } from './eventTime.js';
+
+export const EVENT_STATUS_BADGE_CLASSES: Record<EventTimeStatus, string> = {
+  'happening-now': 'bg-red-600 bg-opacity-90 text-white',
+  today: 'bg-orange-500 bg-opacity-90 text-white',
+  'this-week': 'bg-blue-600 bg-opacity-90 text-white',
+  upcoming: 'bg-green-600 bg-opacity-90 text-white',
+  ended: 'bg-gray-700 bg-opacity-85 text-white'
+};
+
+const BADGE_BASE_CLASS = 'inline-flex items-center px-2 py-1 rounded text-xs font-medium';
+
+export function getStatusBadgeClass(status: EventTimeStatus): string {
+  return `${BADGE_BASE_CLASS} ${EVENT_STATUS_BADGE_CLASSES[status]}`;
+}
+
+/**
+ * Time status of an event, falling back to the processed isUpcoming flag when its time cannot be parsed
+ */
+export function resolveEventStatus(
+  event: EventTimeFields & { isUpcoming?: boolean },
+  now: number = Date.now()
+): EventTimeStatus {
+  return getEventTimeStatus(event, now) ?? (event.isUpcoming === false ? 'ended' : 'upcoming');
+}
+
+/**
+ * Recompute every [data-event-badges] container below root: the status label, its colour,
+ * the ended icon, the registration-closing badge and the card's data-event-status.
+ */
+export function refreshEventStatusBadges(root: ParentNode = document, now: number = Date.now()): void {
+  root.querySelectorAll<HTMLElement>('[data-event-badges]').forEach(container => {
+    const { eventStart, eventEnd, registrationStatus, scrapedStatus, statusLabels } = container.dataset;
+    if (!eventStart || !statusLabels) return;
+
+    const event: EventTimeFields = {
+      startTime: eventStart,
+      endTime: eventEnd || undefined,
+      registrationStatus: registrationStatus || undefined,
+      status: scrapedStatus
+    };
+    const status = getEventTimeStatus(event, now);
+    if (!status) return;
+
+    const labels = JSON.parse(statusLabels) as Record<EventTimeStatus, string>;
+    const badge = container.querySelector<HTMLElement>('[data-status-badge]');
+    const label = container.querySelector<HTMLElement>('[data-status-label]');
+    if (badge) badge.className = getStatusBadgeClass(status);
+    if (label) label.textContent = labels[status];
+    container.querySelector('[data-ended-icon]')?.classList.toggle('hidden', status !== 'ended');
+    container.querySelector('[data-registration-closing]')?.classList.toggle('hidden', !isRegistrationClosing(event, now));
+    container.closest<HTMLElement>('[data-event-id]')?.setAttribute('data-event-status', status === 'ended' ? 'ended' : 'upcoming');
+  });
+}
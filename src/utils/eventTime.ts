@@ -0,0 +1,223 @@
+/**
+ * Event Time Utilities
+ * Event times are Beijing local time ("2026/08/21 周五 13:00"). Parsing always applies
+ * the +08:00 offset, so results do not depend on the timezone of the build machine or
+ * the browser, and all absolute and relative formatting goes through this module.
+ */
+
+export const EVENT_TIME_ZONE = 'Asia/Shanghai';
+export const EVENT_UTC_OFFSET = '+08:00';
+
+const OFFSET_MS = 8 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Assumed length of an event whose end time is unknown
+ */
+export const DEFAULT_EVENT_DURATION_MINUTES = 180;
+
+/**
+ * Hours before the start during which open registration is shown as closing
+ */
+export const REGISTRATION_CLOSING_HOURS = 48;
+
+export type EventLocale = 'zh' | 'en';
+export type EventTimeInput = string | number | Date;
+
+export interface EventDateParts {
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+}
+
+export type EventTimeStatus = 'happening-now' | 'today' | 'this-week' | 'upcoming' | 'ended';
+
+export interface EventTimeFields {
+  time?: string;
+  startTime?: string;
+  endTime?: string;
+  status?: string;
+  registrationStatus?: string;
+}
+
+export interface EventDates {
+  startDate?: string;
+  endDate?: string;
+  durationMinutes?: number;
+}
+
+// Days since 1970-01-01 (a Thursday) in Beijing time
+const beijingDay = (timestamp: number) => Math.floor((timestamp + OFFSET_MS) / DAY_MS);
+
+const pad = (value: number) => String(value).padStart(2, '0');
+
+/**
+ * Parse a Beijing-time string: "YYYY/MM/DD 周X HH:MM", "YYYY/MM/DD HH:MM", "YYYY-MM-DD HH:MM",
+ * or legacy "MM/DD 周X HH:MM" (current year). A missing time of day means 00:00.
+ * ISO strings with an explicit offset or Z are converted to Beijing time.
+ */
+export function parseEventDateParts(value: string | undefined | null): EventDateParts | null {
+  if (!value) return null;
+
+  if (/T\d{2}:\d{2}.*(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+    const timestamp = Date.parse(value);
+    return Number.isNaN(timestamp) ? null : getBeijingParts(timestamp);
+  }
+
+  const full = value.match(/(\d{4})\D(\d{1,2})\D(\d{1,2})(?:\D.*?(\d{1,2}):(\d{2}))?/);
+  const short = full ? null : value.match(/^(\d{1,2})\/(\d{1,2})\D.*?(\d{1,2}):(\d{2})/);
+  if (!full && !short) return null;
+
+  const [year, month, day, hour, minute] = full
+    ? [full[1], full[2], full[3], full[4] || '0', full[5] || '0'].map(Number)
+    : [getBeijingParts(Date.now()).year, ...short!.slice(1).map(Number)];
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+  return { year, month, day, hour, minute };
+}
+
+/**
+ * Wall-clock parts of a timestamp in Beijing time
+ */
+export function getBeijingParts(timestamp: number): EventDateParts {
+  const date = new Date(timestamp + OFFSET_MS);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes()
+  };
+}
+
+/**
+ * ISO 8601 string with the Beijing offset, e.g. 2026-08-21T13:00:00+08:00
+ */
+export function toEventISO(parts: EventDateParts): string {
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:00${EVENT_UTC_OFFSET}`;
+}
+
+/**
+ * Timestamp (ms) of an event time string, ISO string, Date or timestamp; null when unparseable
+ */
+export function parseEventTimestamp(value: EventTimeInput | undefined | null): number | null {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return value.getTime();
+  const parts = parseEventDateParts(value);
+  if (!parts) return null;
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - OFFSET_MS;
+}
+
+/**
+ * ISO start/end dates of an event. The start comes from the detail-page startTime when
+ * present, otherwise from time; the end and duration only when an end time is known.
+ */
+export function getEventDates(event: EventTimeFields): EventDates {
+  const startParts = parseEventDateParts(event.startTime) || parseEventDateParts(event.time);
+  if (!startParts) return {};
+
+  const startDate = toEventISO(startParts);
+  const endParts = parseEventDateParts(event.endTime);
+  if (!endParts) return { startDate };
+
+  const endDate = toEventISO(endParts);
+  const durationMinutes = Math.round((Date.parse(endDate) - Date.parse(startDate)) / MINUTE_MS);
+  return durationMinutes >= 0 ? { startDate, endDate, durationMinutes } : { startDate };
+}
+
+/**
+ * Start and end timestamps of an event; the end defaults to DEFAULT_EVENT_DURATION_MINUTES after the start
+ */
+export function getEventWindow(event: EventTimeFields): { start: number; end: number } | null {
+  const { startDate, endDate } = getEventDates(event);
+  const start = parseEventTimestamp(startDate);
+  if (start === null) return null;
+  return { start, end: parseEventTimestamp(endDate) ?? start + DEFAULT_EVENT_DURATION_MINUTES * MINUTE_MS };
+}
+
+/**
+ * Status of an event from its start/end time; null when the time cannot be parsed.
+ * "today" and "this-week" (Monday to Sunday) are counted in Beijing calendar days.
+ */
+export function getEventTimeStatus(event: EventTimeFields, now: number = Date.now()): EventTimeStatus | null {
+  const window = getEventWindow(event);
+  if (!window) return null;
+  if (now >= window.end) return 'ended';
+  if (now >= window.start) return 'happening-now';
+
+  const days = beijingDay(window.start) - beijingDay(now);
+  if (days === 0) return 'today';
+  const weekday = (beijingDay(now) + 3) % 7; // Monday = 0
+  return days < 7 - weekday ? 'this-week' : 'upcoming';
+}
+
+/**
+ * Whether registration is still open and the event starts within REGISTRATION_CLOSING_HOURS.
+ * Without a detail-page registrationStatus, the scraped status is used: the source marks
+ * an event "已结束" as soon as registration ends, even before the event starts.
+ */
+export function isRegistrationClosing(event: EventTimeFields, now: number = Date.now()): boolean {
+  const window = getEventWindow(event);
+  if (!window || now >= window.start) return false;
+  const registrationOpen = event.registrationStatus
+    ? event.registrationStatus === 'open' || event.registrationStatus === 'unknown'
+    : event.status !== 'ended';
+  return registrationOpen && window.start - now <= REGISTRATION_CLOSING_HOURS * HOUR_MS;
+}
+
+/**
+ * ISO 8601 duration for schema.org, e.g. 150 → PT2H30M
+ */
+export function formatISODuration(minutes: number): string {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `PT${hours ? `${hours}H` : ''}${rest || !hours ? `${rest}M` : ''}`;
+}
+
+const absoluteFormats: Record<EventLocale, Intl.DateTimeFormatOptions> = {
+  zh: { year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' },
+  en: { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+};
+
+/**
+ * Absolute date and time in Beijing time: "2026年8月21日 13:00" / "Aug 21, 2026, 01:00 PM".
+ * Unparseable strings are returned unchanged.
+ */
+export function formatEventDateTime(value: EventTimeInput | undefined | null, locale: EventLocale = 'zh'): string {
+  const timestamp = parseEventTimestamp(value);
+  if (timestamp === null) return typeof value === 'string' ? value : '';
+  return new Intl.DateTimeFormat(locale === 'zh' ? 'zh-CN' : 'en-US', {
+    ...absoluteFormats[locale],
+    timeZone: EVENT_TIME_ZONE
+  }).format(timestamp);
+}
+
+/**
+ * Relative time from now: "3天后" / "in 3 days", "明天" / "tomorrow", "2小时前" / "2 hours ago".
+ * Days are counted in Beijing calendar days; within the same day hours or minutes are used.
+ */
+export function formatRelativeTime(
+  value: EventTimeInput | undefined | null,
+  locale: EventLocale = 'zh',
+  now: number = Date.now()
+): string {
+  const timestamp = parseEventTimestamp(value);
+  if (timestamp === null) return '';
+
+  const format = new Intl.RelativeTimeFormat(locale === 'zh' ? 'zh-CN' : 'en', { numeric: 'auto' });
+  const days = beijingDay(timestamp) - beijingDay(now);
+  const diff = timestamp - now;
+
+  if (days === 0) {
+    return Math.abs(diff) >= HOUR_MS
+      ? format.format(Math.trunc(diff / HOUR_MS), 'hour')
+      : format.format(Math.trunc(diff / MINUTE_MS), 'minute');
+  }
+  if (Math.abs(days) < 30) return format.format(days, 'day');
+  if (Math.abs(days) < 365) return format.format(Math.trunc(days / 30), 'month');
+  return format.format(Math.trunc(days / 365), 'year');
+}
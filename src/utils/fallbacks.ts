@@ -2,6 +2,7 @@
 
 import type { City, Language } from '../types';
 import { getPlaceholderImage } from './assets';
+import { validateAgainstSchema } from './schemaValidation';
 
 // 默认城市数据
 export const defaultCity: City = {
@@ -249,42 +250,9 @@ export async function retryOperation<T>(
 }
 
 // 数据完整性检查
-export function validateDataIntegrity(data: any, schema: any): { valid: boolean; errors: string[] } {
-  const errors: string[] = [];
-  
-  function checkField(obj: any, field: string, type: string, required: boolean = true) {
-    if (required && (obj[field] === undefined || obj[field] === null)) {
-      errors.push(`Missing required field: ${field}`);
-      return;
-    }
-    
-    if (obj[field] !== undefined && typeof obj[field] !== type) {
-      errors.push(`Field "${field}" should be of type ${type}, got ${typeof obj[field]}`);
-    }
-  }
-  
-  // 根据 schema 验证数据
-  if (schema.type === 'array') {
-    if (!Array.isArray(data)) {
-      errors.push('Data should be an array');
-    } else {
-      data.forEach((item, index) => {
-        const itemErrors = validateDataIntegrity(item, schema.items);
-        itemErrors.errors.forEach(error => {
-          errors.push(`Item ${index}: ${error}`);
-        });
-      });
-    }
-  } else if (schema.type === 'object') {
-    if (typeof data !== 'object' || data === null) {
-      errors.push('Data should be an object');
-    } else {
-      Object.entries(schema.properties || {}).forEach(([field, fieldSchema]: [string, any]) => {
-        checkField(data, field, fieldSchema.type, fieldSchema.required !== false);
-      });
-    }
-  }
-  
+export function validateDataIntegrity(data: unknown, schemaId: string): { valid: boolean; errors: string[] } {
+  // schemaId 为 src/schemas 下的文件名，如 'cities.schema.json'；错误以 JSON pointer 定位
+  const errors = validateAgainstSchema(schemaId, data).map(error => `${error.path}: ${error.message}`);
   return { valid: errors.length === 0, errors };
 }
 
@@ -0,0 +1,103 @@
+/**
+ * Data File Validation
+ * Validates data against the JSON Schemas in src/schemas and reports every problem with
+ * the JSON pointer of the offending value. Mirrors scripts/utils/schemaValidation.js,
+ * which validate-build.js and process-events.js use.
+ */
+
+import Ajv2019 from 'ajv/dist/2019.js';
+import type { ErrorObject } from 'ajv';
+
+export interface SchemaError {
+  path: string; // JSON pointer, "/" for the document itself
+  message: string;
+}
+
+const schemaModules = import.meta.glob<{ default: { $id: string } }>('../schemas/*.schema.json', { eager: true });
+
+let ajv: Ajv2019 | undefined;
+
+function getAjv(): Ajv2019 {
+  if (!ajv) {
+    ajv = new Ajv2019({ allErrors: true, strict: true, strictRequired: false });
+    Object.values(schemaModules).forEach(module => ajv!.addSchema(module.default));
+  }
+  return ajv;
+}
+
+// Property names appended to a pointer need "~" and "/" escaped (RFC 6901)
+function pointerToken(name: unknown): string {
+  return String(name).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Turn Ajv errors into { path, message } pairs. Missing and unexpected properties point
+ * at the property itself rather than its parent object, and a value matching none of
+ * the anyOf/oneOf branches is reported once instead of once per branch.
+ */
+export function formatSchemaErrors(errors: ErrorObject[] = []): SchemaError[] {
+  const isUnion = (error: ErrorObject) => error.keyword === 'anyOf' || error.keyword === 'oneOf';
+  const unions = errors.filter(isUnion);
+  // Errors a failed anyOf/oneOf branch raised at the union's own value: their schema path
+  // runs through the union, or through a $ref outside the schema holding it
+  const fromBranch = (error: ErrorObject, union: ErrorObject) => {
+    const owner = union.schemaPath.replace(/\/(anyOf|oneOf)$/, '');
+    return !isUnion(error) && error.instancePath === union.instancePath &&
+      (error.schemaPath.startsWith(`${union.schemaPath}/`) || !error.schemaPath.startsWith(`${owner}/`));
+  };
+  // A union around a value that fails inside it is reported at the innermost failure only
+  const innermost = (path: string) => !unions.some(union => union.instancePath.startsWith(`${path}/`));
+  // Name what the branches wanted when they differ only in required property or type
+  const unionMessage = (union: ErrorObject) => {
+    const branchErrors = errors.filter(error => fromBranch(error, union));
+    if (branchErrors.length > 0 && branchErrors.every(error => error.keyword === 'required')) {
+      return `must have one of ${branchErrors.map(error => error.params.missingProperty as string).join(', ')}`;
+    }
+    if (branchErrors.length > 0 && branchErrors.every(error => error.keyword === 'type')) {
+      return `must be ${branchErrors.map(error => error.params.type as string).join(' or ')}`;
+    }
+    return 'does not match any of the allowed shapes';
+  };
+
+  const formatted = errors
+    .filter(error => (isUnion(error) ? innermost(error.instancePath) : !unions.some(union => fromBranch(error, union))))
+    .map(error => {
+      const { instancePath, keyword, params, message = 'is invalid' } = error;
+      if (keyword === 'required') {
+        return { path: `${instancePath}/${pointerToken(params.missingProperty)}`, message: 'is required' };
+      }
+      if (keyword === 'additionalProperties' || keyword === 'unevaluatedProperties') {
+        const property = params.additionalProperty ?? params.unevaluatedProperty;
+        return { path: `${instancePath}/${pointerToken(property)}`, message: 'is not an allowed property' };
+      }
+      if (keyword === 'enum') {
+        const allowed = (params.allowedValues as unknown[]).map(value => JSON.stringify(value)).join(', ');
+        return { path: instancePath, message: `must be one of ${allowed}` };
+      }
+      if (isUnion(error)) {
+        return { path: instancePath, message: unionMessage(error) };
+      }
+      return { path: instancePath, message };
+    })
+    .map(error => ({ ...error, path: error.path || '/' }));
+
+  const seen = new Set<string>();
+  return formatted.filter(error => {
+    const key = `${error.path} ${error.message}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Validate data against a schema by its file name, e.g. "cities.schema.json" or
+ * "event.schema.json#/$defs/ProcessedEvent". An empty list means the data matches.
+ */
+export function validateAgainstSchema(schemaId: string, data: unknown): SchemaError[] {
+  const validate = getAjv().getSchema(schemaId);
+  if (!validate) {
+    throw new Error(`Unknown schema ${schemaId}`);
+  }
+  return validate(data) ? [] : formatSchemaErrors(validate.errors ?? []);
+}
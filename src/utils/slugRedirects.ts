@@ -0,0 +1,28 @@
+/**
+ * Event Slug Redirects
+ * Old event slugs recorded by scripts/utils/slugRegistry.js keep working: the event
+ * detail pages generate a static redirect page for each of them.
+ */
+
+import type { ProcessedEvent } from './eventProcessing.js';
+import slugRegistry from '../data/events/slug-registry.json';
+
+export interface SlugRedirect {
+  from: string;
+  event: ProcessedEvent;
+}
+
+/**
+ * Old slugs of the given events, skipping any slug that is some event's current slug
+ */
+export function getSlugRedirects(
+  events: ProcessedEvent[],
+  registry: Record<string, string[]> = slugRegistry
+): SlugRedirect[] {
+  const currentSlugs = new Set(events.map(event => event.slug));
+  return events.flatMap(event =>
+    (registry[event.id] || [])
+      .filter(slug => !currentSlugs.has(slug))
+      .map(from => ({ from, event }))
+  );
+}
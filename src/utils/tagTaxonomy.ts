@@ -0,0 +1,156 @@
+/**
+ * Tag Taxonomy
+ * Matches event text against the canonical tags in src/data/tag-taxonomy.json.
+ * Each tag has an ID, zh/en labels, synonyms and an optional parent; a matched tag
+ * also tags the event with all of its ancestors (bedrock → genai → ai).
+ */
+
+import taxonomyData from '../data/tag-taxonomy.json';
+
+export interface TagDefinition {
+  id: string;
+  type: 'topic' | 'format';
+  parent?: string;
+  name: {
+    zh: string;
+    en: string;
+  };
+  synonyms: string[];
+}
+
+export interface CompiledTagTaxonomy {
+  entries: TagDefinition[];
+  byId: Map<string, TagDefinition>;
+  ancestors: Map<string, string[]>;
+  synonymOwners: Map<string, string>;
+  matchers: Array<{ id: string; matches: Array<(text: string) => boolean> }>;
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a matcher for one synonym. Latin terms only match on word boundaries so
+ * "ml" does not match inside "html"; terms with CJK characters match as substrings.
+ */
+export function createSynonymMatcher(synonym: string): (text: string) => boolean {
+  const term = synonym.trim().toLowerCase();
+  if (/^[\x20-\x7e]+$/.test(term)) {
+    const pattern = new RegExp(`(?<![a-z0-9])${escapeRegExp(term)}(?![a-z0-9])`);
+    return text => pattern.test(text);
+  }
+  return text => text.includes(term);
+}
+
+/**
+ * Compile taxonomy entries, rejecting unknown parents, cycles and synonyms shared by two tags
+ */
+export function compileTagTaxonomy(entries: TagDefinition[]): CompiledTagTaxonomy {
+  const byId = new Map<string, TagDefinition>();
+  entries.forEach(entry => {
+    if (!entry.id || byId.has(entry.id)) {
+      throw new Error(`Tag taxonomy has a missing or duplicate id: "${entry.id}"`);
+    }
+    byId.set(entry.id, entry);
+  });
+
+  const synonymOwners = new Map<string, string>();
+  entries.forEach(entry => {
+    if (entry.parent && !byId.has(entry.parent)) {
+      throw new Error(`Tag "${entry.id}" has unknown parent "${entry.parent}"`);
+    }
+    [entry.id, ...(entry.synonyms || [])].forEach(synonym => {
+      const key = synonym.trim().toLowerCase();
+      const owner = synonymOwners.get(key);
+      if (owner && owner !== entry.id) {
+        throw new Error(`Tag synonym "${synonym}" is used by both "${owner}" and "${entry.id}"`);
+      }
+      synonymOwners.set(key, entry.id);
+    });
+  });
+
+  const ancestors = new Map<string, string[]>();
+  entries.forEach(entry => {
+    const chain: string[] = [];
+    for (let parent = entry.parent; parent; parent = byId.get(parent)?.parent) {
+      if (parent === entry.id || chain.includes(parent)) {
+        throw new Error(`Tag taxonomy has a parent cycle at "${entry.id}"`);
+      }
+      chain.push(parent);
+    }
+    ancestors.set(entry.id, chain);
+  });
+
+  return {
+    entries,
+    byId,
+    ancestors,
+    synonymOwners,
+    matchers: entries.map(entry => ({
+      id: entry.id,
+      matches: (entry.synonyms || []).map(createSynonymMatcher)
+    }))
+  };
+}
+
+export const tagTaxonomy = compileTagTaxonomy(taxonomyData as TagDefinition[]);
+
+/**
+ * Canonical tag IDs found in the text plus their ancestors, in taxonomy order
+ */
+export function matchTags(text: string, taxonomy: CompiledTagTaxonomy = tagTaxonomy): string[] {
+  const normalized = (text || '').toLowerCase();
+  const found = new Set<string>();
+  taxonomy.matchers.forEach(({ id, matches }) => {
+    if (matches.some(match => match(normalized))) {
+      found.add(id);
+      taxonomy.ancestors.get(id)?.forEach(ancestor => found.add(ancestor));
+    }
+  });
+  return taxonomy.entries.map(entry => entry.id).filter(id => found.has(id));
+}
+
+/**
+ * Resolve a tag ID, synonym or legacy raw tag (e.g. "人工智能") to its canonical ID
+ */
+export function resolveTagId(value: string, taxonomy: CompiledTagTaxonomy = tagTaxonomy): string | null {
+  if (!value) return null;
+  return taxonomy.synonymOwners.get(value.trim().toLowerCase()) || null;
+}
+
+/**
+ * Canonical tags for an event's stored tags. processed-events.json written before the
+ * taxonomy holds raw keywords ("人工智能", "ml"); those are resolved until the next data update.
+ */
+export function normalizeEventTags(tags: string[] = [], taxonomy: CompiledTagTaxonomy = tagTaxonomy): string[] {
+  const found = new Set<string>();
+  tags.forEach(tag => {
+    const id = resolveTagId(tag, taxonomy);
+    if (!id) return;
+    found.add(id);
+    taxonomy.ancestors.get(id)?.forEach(ancestor => found.add(ancestor));
+  });
+  return taxonomy.entries.map(entry => entry.id).filter(id => found.has(id));
+}
+
+/**
+ * Display label for a tag; unknown IDs are returned unchanged
+ */
+export function getTagLabel(id: string, locale: 'zh' | 'en' = 'zh', taxonomy: CompiledTagTaxonomy = tagTaxonomy): string {
+  const entry = taxonomy.byId.get(id);
+  return entry ? entry.name[locale] || entry.name.zh : id;
+}
+
+/**
+ * Tags used by at least one event, with counts, in taxonomy order
+ */
+export function getUsedTags(events: Array<{ tags: string[] }>, taxonomy: CompiledTagTaxonomy = tagTaxonomy): Array<{ tag: TagDefinition; count: number }> {
+  const counts = new Map<string, number>();
+  events.forEach(event => {
+    normalizeEventTags(event.tags, taxonomy).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return taxonomy.entries
+    .filter(entry => counts.has(entry.id))
+    .map(entry => ({ tag: entry, count: counts.get(entry.id) || 0 }));
+}
@@ -59,10 +59,6 @@ export function validateCity(city: any): CityValidationResult {
     warnings.push('City contact should be an object');
   }
 
-  if (city.events && !Array.isArray(city.events)) {
-    warnings.push('City events should be an array');
-  }
-
   return {
     isValid: errors.length === 0,
     errors,
@@ -340,12 +336,6 @@ export function sanitizeCity(city: any): City | null {
     };
   }
 
-  if (Array.isArray(city.events)) {
-    sanitized.events = city.events.filter((event: any) => 
-      event && typeof event === 'object' && event.id
-    );
-  }
-
   return sanitized;
 }
 